@@ -0,0 +1,14 @@
+-- Tunnel segments and nodes that Facilities has closed, for maintenance or
+-- flooding. Each closure covers either a connection or a node. Closures
+-- without an end time stay in place until they are deleted.
+CREATE TABLE IF NOT EXISTS `closures` (
+  `closureID` int(11) NOT NULL AUTO_INCREMENT,
+  `connectionID` int(11) DEFAULT NULL,
+  `nodeID` int(11) DEFAULT NULL,
+  `startsAt` datetime NOT NULL,
+  `endsAt` datetime DEFAULT NULL,
+  `reason` varchar(255) DEFAULT NULL,
+  PRIMARY KEY (`closureID`),
+  KEY `connectionID` (`connectionID`),
+  KEY `nodeID` (`nodeID`)
+);
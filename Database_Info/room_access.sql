@@ -0,0 +1,20 @@
+-- Which nodes lead up to which rooms. Each row covers rooms in one building,
+-- written with the abbreviation used in its rooms ("AL"), and can be narrowed
+-- down to a floor, a range of room numbers (firstRoom to lastRoom), and/or a
+-- list of rooms separated by spaces ("109 152A"). A row with none of them
+-- covers the whole building. Floors and ranges go by the digits of the room
+-- number, so 155A is on floor 1 and between 100 and 199. Rooms that no row
+-- covers fall back to nodes.roomRegEx.
+-- `tunnel-graph convert-rooms --format sql` fills it from the room regexes.
+CREATE TABLE IF NOT EXISTS `room_access` (
+  `roomAccessID` int(11) NOT NULL AUTO_INCREMENT,
+  `nodeID` int(11) NOT NULL,
+  `building` varchar(8) NOT NULL,
+  `floor` int(11) DEFAULT NULL,
+  `firstRoom` varchar(16) DEFAULT NULL,
+  `lastRoom` varchar(16) DEFAULT NULL,
+  `rooms` varchar(255) DEFAULT NULL,
+  PRIMARY KEY (`roomAccessID`),
+  KEY `building` (`building`),
+  KEY `nodeID` (`nodeID`)
+);
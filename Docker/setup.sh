@@ -29,8 +29,8 @@ git checkout $branch
 # Start the app as a background process on port 80
 npm run start80 &>>app.log &
 
-# Start the other part of the server
-npm run start-server-local &>>server.log &
+# Start the other part of the server, using the user created above
+TUNNEL_DB_PASSWORD='Cs3900' npm run start-server-local &>>server.log &
 
 # Infinite loopy to keep the container up
 while true; do echo "Server is up and running"; sleep 65535; done
\ No newline at end of file
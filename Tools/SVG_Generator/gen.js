@@ -15,6 +15,21 @@ $("form").submit(function(e1) {
   var nodeRadius = e1.target[6].value;
   var strokeWidth = e1.target[7].value;
 
+  //Nodes are projected onto a flat plane around campus, in meters, and then
+  //scaled to fit between the bounds
+  var southWest = geodesy.toENU({ lat: +latMin, long: +longMin });
+  var northEast = geodesy.toENU({ lat: +latMax, long: +longMax });
+
+  var toX = function(row) {
+    var east = geodesy.toENU({ lat: +row[1], long: +row[2] }).east;
+    return map(east, southWest.east, northEast.east, 0, svgXMax);
+  };
+
+  var toY = function(row) {
+    var north = geodesy.toENU({ lat: +row[1], long: +row[2] }).north;
+    return map(north, northEast.north, southWest.north, 0, svgYMax);
+  };
+
   var reader = new FileReader();
   reader.readAsText(file);
   reader.onload = function(e2) {
@@ -41,17 +56,17 @@ $("form").submit(function(e1) {
         var node = document.createElementNS(null, "circle");
         node.setAttribute("id", "N" + data[i][0]);
 
-        node.setAttribute("cx", map(data[i][2], longMin, longMax, 0, svgXMax));
-        node.setAttribute("cy", map(data[i][1], latMax, latMin, 0, svgYMax));
+        node.setAttribute("cx", toX(data[i]));
+        node.setAttribute("cy", toY(data[i]));
 
         node.setAttribute("r", nodeRadius);
 
         node.setAttribute(
           "style",
           "transform-origin:" +
-            map(data[i][2], longMin, longMax, 0, svgXMax) +
+            toX(data[i]) +
             "px " +
-            map(data[i][1], latMax, latMin, 0, svgYMax) +
+            toY(data[i]) +
             "px"
         );
 
@@ -162,13 +177,13 @@ $("form").submit(function(e1) {
         path.setAttribute(
           "d",
           "M " +
-            map(data[parseInt(data2[i][1]) + 1][2], longMin, longMax, 0, svgXMax) +
+            toX(data[parseInt(data2[i][1]) + 1]) +
             " " +
-            map(data[parseInt(data2[i][1]) + 1][1], latMax, latMin, 0, svgYMax) +
+            toY(data[parseInt(data2[i][1]) + 1]) +
             " " +
-            map(data[parseInt(data2[i][2]) + 1][2], longMin, longMax, 0, svgXMax) +
+            toX(data[parseInt(data2[i][2]) + 1]) +
             " " +
-            map(data[parseInt(data2[i][2]) + 1][1], latMax, latMin, 0, svgYMax)
+            toY(data[parseInt(data2[i][2]) + 1])
         );
 
         switch (data[parseInt(data2[i][1]) + 1][8]) {
@@ -0,0 +1,110 @@
+/*
+ * Times all-pairs routes between building entrances using the graph exported
+ * to Database_Info. Run with `npm run bench`, optionally followed by
+ * `-- --iterations <n>` to change how many times every route is timed, or
+ * `-- --connections <file>` to time another export of the connections.
+ */
+const path = require("path");
+const cli = require("../src/cli.js");
+const storage = require("../src/storage");
+const tunnelGraph = require("../src/graph.js");
+const pathfinder = require("../src/pathfinder.js");
+
+//The connections that the benchmark has always been run on, so that its
+//numbers can be compared from one change to the next
+const CONNECTIONS_FILE = path.join(
+  __dirname,
+  "..",
+  "..",
+  "Database_Info",
+  "connections_csv_spiral4.csv"
+);
+
+async function loadGraph(connections) {
+  let files = storage.create("file", { connections });
+
+  return tunnelGraph.build(
+    await files.allNodes(),
+    await files.allEdges(),
+    await files.allBuildings()
+  );
+}
+
+//Building entrances are the intersections and exits that belong to a building
+function getEntrances(graph) {
+  return Array.from(graph.nodes.values())
+    .filter(node => node.buildingID > 0 && node.nodeTypeID <= 1)
+    .map(node => node.nodeID);
+}
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+async function main() {
+  let { options } = cli.parseArgs(process.argv.slice(2));
+  let iterations = cli.number(options, "iterations", 5);
+  let connections = options.connections || CONNECTIONS_FILE;
+
+  let graph = await loadGraph(connections);
+  let entrances = getEntrances(graph);
+
+  let times = [];
+  let failures = 0;
+  let slowest = { time: 0 };
+
+  //Warm up the JIT before timing anything
+  for (let start of entrances.slice(0, 5)) {
+    for (let end of entrances) {
+      if (start !== end)
+        await pathfinder.getPath(start, end, { graph }).catch(() => {});
+    }
+  }
+
+  let began = process.hrtime.bigint();
+
+  for (let i = 0; i < iterations; i++) {
+    for (let start of entrances) {
+      for (let end of entrances) {
+        if (start === end) continue;
+
+        let routeBegan = process.hrtime.bigint();
+        try {
+          await pathfinder.getPath(start, end, { graph });
+        } catch (error) {
+          //Routes that can't be found are counted but left out of the timings
+          failures++;
+          continue;
+        }
+        let time = Number(process.hrtime.bigint() - routeBegan) / 1e6;
+
+        times.push(time);
+        if (time > slowest.time) slowest = { time, start, end };
+      }
+    }
+  }
+
+  let total = Number(process.hrtime.bigint() - began) / 1e6;
+  let found = times.reduce((sum, time) => sum + time, 0);
+  times.sort((a, b) => a - b);
+
+  console.log(
+    `Graph: ${graph.nodes.size} nodes, ${
+      graph.connections.size
+    } connections (${path.basename(connections)})`
+  );
+  console.log(`Entrances: ${entrances.length}`);
+  console.log(`Routes timed: ${times.length} (${iterations} iterations)`);
+  console.log(`Failed routes: ${failures}, not included below`);
+  console.log(`Total: ${total.toFixed(1)} ms`);
+  console.log(`Mean: ${(found / times.length).toFixed(4)} ms`);
+  console.log(`Median: ${percentile(times, 0.5).toFixed(4)} ms`);
+  console.log(`95th percentile: ${percentile(times, 0.95).toFixed(4)} ms`);
+  console.log(
+    `Slowest: ${slowest.time.toFixed(4)} ms (${slowest.start} to ${
+      slowest.end
+    })`
+  );
+}
+
+main();
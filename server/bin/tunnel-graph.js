@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/*
+ * Tools for working with the tunnel data. The data is read from the storage
+ * backend chosen by the server's settings, so TUNNEL_STORAGE=file runs them
+ * against the CSV exports. Run `tunnel-graph help` to list the commands.
+ */
+const cli = require("../src/cli.js");
+const configLoader = require("../src/config.js");
+const database = require("../src/database.js");
+const storage = require("../src/storage");
+
+const COMMANDS = {
+  check: require("../src/commands/check.js"),
+  "convert-rooms": require("../src/commands/convertRooms.js"),
+  coverage: require("../src/commands/coverage.js"),
+  export: require("../src/commands/export.js"),
+  import: require("../src/commands/import.js"),
+  lengths: require("../src/commands/lengths.js"),
+  room: require("../src/commands/room.js")
+};
+
+function printHelp() {
+  console.log("Usage: tunnel-graph <command> [options] [--config <path>]\n");
+  for (let name in COMMANDS)
+    console.log(`  ${name.padEnd(15)}${COMMANDS[name].description}`);
+  console.log(
+    "\nRun tunnel-graph help <command> for the options of a command."
+  );
+}
+
+async function main() {
+  let { positional, options } = cli.parseArgs(process.argv.slice(2));
+  let [name, ...rest] = positional;
+
+  if (name === "help" && COMMANDS[rest[0]]) {
+    console.log(COMMANDS[rest[0]].usage);
+    return 0;
+  }
+
+  if (!name || name === "help" || options.help) {
+    printHelp();
+    return name || options.help ? 0 : 1;
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(COMMANDS, name)) {
+    console.error(`Unknown command ${name}\n`);
+    printHelp();
+    return 1;
+  }
+
+  let config = configLoader.load();
+  let backend = storage.fromConfig(config);
+  database.use(backend);
+
+  try {
+    return await COMMANDS[name].run(options, rest);
+  } finally {
+    await backend.close();
+  }
+}
+
+main().then(
+  code => (process.exitCode = code),
+  error => {
+    console.error(error.message);
+    process.exitCode = 2;
+  }
+);
@@ -0,0 +1,34 @@
+const crypto = require("crypto");
+const { ForbiddenError } = require("./errors.js");
+
+//The addresses that requests from the server's own machine come from
+const LOOPBACK = ["127.0.0.1", "::1", "::ffff:127.0.0.1"];
+
+/**
+ * Checks that a request may use the /admin endpoints. When an admin token is
+ * set, the request has to send it as "Authorization: Bearer <token>".
+ * Otherwise only requests from the server's own machine are allowed, since
+ * any web page can send a POST to the server.
+ * @param {Object} request - The request from the http server
+ * @param {string} [token] - The adminToken setting
+ * @throws {ForbiddenError} If the request isn't allowed
+ */
+exports.authorize = function(request, token) {
+  if (token) {
+    let match = /^Bearer (.+)$/.exec(request.headers.authorization || "");
+    if (!match || !sameToken(match[1], token))
+      throw new ForbiddenError("A valid admin token is required");
+  } else if (!LOOPBACK.includes(request.socket.remoteAddress)) {
+    throw new ForbiddenError(
+      "Admin requests are only accepted from this machine unless an admin token is set"
+    );
+  }
+};
+
+//Compares in constant time so the token can't be guessed from how long
+//requests take
+function sameToken(given, token) {
+  let a = Buffer.from(given);
+  let b = Buffer.from(token);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
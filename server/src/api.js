@@ -0,0 +1,367 @@
+const database = require("./database.js");
+const routeCache = require("./routeCache.js");
+const closures = require("./closures.js");
+const tunnelGraph = require("./graph.js");
+const routingRules = require("./routingRules.js");
+const eta = require("./eta.js");
+const instructions = require("./instructions.js");
+const i18n = require("./i18n.js");
+const buildings = require("./buildings.js");
+const geojson = require("./geojson.js");
+const roomSearch = require("./roomSearch.js");
+const roomResolver = require("./roomResolver.js");
+const validation = require("./validation.js");
+const roomIdentifier = require("../../src/roomIdentifier.js");
+const {
+  UnknownNodeError,
+  UnknownRoomError,
+  AmbiguousRoomError,
+  UnreachableDestinationError,
+  NotFoundError,
+  MethodNotAllowedError,
+  MalformedQueryError
+} = require("./errors.js");
+
+const router = require("./router.js").create("/api/v1");
+
+/**
+ * Finds the shortest route from a set of nodes to a set of nodes or to a room.
+ * @param {Object} request
+ * @param {number|Array} request.start - The ID(s) of the node(s) to start at,
+ *  such as the entrances of a building from buildingEntrances
+ * @param {Array} [request.endIDs] - The IDs of the nodes to end at
+ * @param {string} [request.room] - The room to end at, e.g. "AL 378", read
+ *  with identifyRoom
+ * @param {Object} request.profile - The routing profile to follow
+ * @param {Object} [request.speed] - The speed profile used to estimate how
+ *  long the route takes, from eta.SPEED_PROFILES
+ * @param {string} [request.language] - The language of the directions, from
+ *  i18n.LANGUAGES
+ * @return {Object} The route, as returned by pathfinder.getPath through the
+ *  route cache, along with its distance and duration from eta.estimate and
+ *  its turn-by-turn steps and maneuvers from instructions.build and
+ *  instructions.merge. Routes that go around closures list the closures that
+ *  a shorter route passes through in avoidedClosures, and how much longer
+ *  they are in detour.
+ * @throws {UnreachableDestinationError} If the destination can't be reached,
+ *  with the closures in the way in its details when they are the reason
+ * @throws {AmbiguousRoomError} If the room could be in more than one building
+ */
+exports.findRoute = async function({
+  start,
+  endIDs,
+  room,
+  profile,
+  speed,
+  language = i18n.DEFAULT_LANGUAGE
+}) {
+  if (room !== undefined) {
+    room = exports.identifyRoom(room);
+    endIDs = await database.getNodesToRoom(room, String(profile.allowStairs));
+    if (endIDs.length === 0) throw new UnknownRoomError(room);
+  }
+
+  const graph = tunnelGraph.current();
+  speed = speed || eta.defaultSpeedProfile(profile);
+
+  const active = closures.active(graph);
+  const cache = routeCache.current();
+
+  let path;
+  try {
+    path = await cache.getPath(start, endIDs, {
+      graph,
+      profile,
+      closures: active
+    });
+  } catch (error) {
+    if (
+      error instanceof UnreachableDestinationError &&
+      active.closures.length > 0
+    ) {
+      let openPath = await cache
+        .getPath(start, endIDs, { graph, profile })
+        .catch(() => null);
+      if (openPath) error.details.closures = closures.onPath(active, openPath);
+    }
+    throw error;
+  }
+
+  //The open route is only different when it passes through a closure
+  let openPath =
+    active.closures.length > 0
+      ? await cache.getPath(start, endIDs, { graph, profile })
+      : path;
+  let avoidedClosures = closures.onPath(active, openPath);
+
+  let estimate = eta.estimate(graph, path, speed);
+  let steps = instructions.build(graph, path, estimate.legs, language);
+
+  let detour = null;
+  if (avoidedClosures.length > 0) {
+    let openEstimate = eta.estimate(graph, openPath, speed);
+    detour = {
+      distance: estimate.distance - openEstimate.distance,
+      duration: estimate.duration - openEstimate.duration
+    };
+  }
+
+  return {
+    ...path,
+    speed: speed.name,
+    language,
+    ...estimate,
+    steps,
+    maneuvers: instructions.merge(graph, path, steps, language),
+    avoidedClosures,
+    detour
+  };
+};
+
+/**
+ * Finds the nodes that routes into or out of a building start and end at, so
+ * that a route between buildings can use whichever entrances are nearest.
+ * @param {number} buildingID - The ID of the building
+ * @return {Array} The IDs of the building's entrances, see
+ *  routeCache.getEntrances
+ * @throws {NotFoundError} If the building doesn't exist or has no entrances
+ */
+exports.buildingEntrances = function(buildingID) {
+  let graph = tunnelGraph.current();
+
+  if (!graph.buildings.has(buildingID))
+    throw new NotFoundError("Unknown building " + buildingID, { buildingID });
+
+  let entrances = routeCache.getEntrances(graph).get(buildingID);
+  if (!entrances)
+    throw new NotFoundError(
+      "There is no access to building " + buildingID + " from the tunnels",
+      { buildingID }
+    );
+
+  return entrances;
+};
+
+/**
+ * Reads the speed profile from the speed parameter.
+ * @param {Object} query - The parsed query string
+ * @return {Object} The speed profile, or undefined if none was given
+ */
+exports.getSpeed = function(query) {
+  return eta.getSpeedProfile(
+    validation.string(query, "speed", {
+      oneOf: Object.keys(eta.SPEED_PROFILES)
+    })
+  );
+};
+
+/**
+ * Reads the language of the directions from the lang parameter.
+ * @param {Object} query - The parsed query string
+ * @return {string} The language code, or undefined if none was given
+ */
+exports.getLanguage = function(query) {
+  return validation.string(query, "lang", { oneOf: i18n.LANGUAGES });
+};
+
+/**
+ * Reads a room the way people write it, such as "Russ 152a" or "Dunbar Library
+ * 1st floor", using the room identifier that the app shares.
+ * @param {string} room - The room as it was given
+ * @return {string} The room key, e.g. "RC 152A", or the room as it was given
+ *  if it can't be read, so that the room regexes can still try it
+ * @throws {AmbiguousRoomError} If the room could be in more than one building
+ */
+exports.identifyRoom = function(room) {
+  let identified = roomIdentifier.normalize(room);
+
+  if (identified.error === "AMBIGUOUS")
+    throw new AmbiguousRoomError(room, identified.ambiguities);
+
+  return identified.room || room;
+};
+
+//GET /api/v1/routes?from=<nodeID>|fromBuilding=<buildingID>&to=<nodeIDs>|toRoom=<room>|toBuilding=<buildingID>[&profile=<name>][&speed=<name>][&lang=<code>][&format=json|geojson]
+router.get("/routes", async function({ query }) {
+  let start = validation.integer(query, "from", { min: 0 });
+  let fromBuilding = validation.integer(query, "fromBuilding", { min: 0 });
+  let endIDs = validation.integerList(query, "to");
+  let room = validation.string(query, "toRoom");
+  let toBuilding = validation.integer(query, "toBuilding", { min: 0 });
+  let profile = routingRules.getProfile(
+    validation.string(query, "profile", {
+      oneOf: Object.keys(routingRules.PROFILES)
+    }) || "default"
+  );
+
+  if ((start === undefined) === (fromBuilding === undefined))
+    throw new MalformedQueryError(
+      "Exactly one of from and fromBuilding is required"
+    );
+  if ([endIDs, room, toBuilding].filter(end => end !== undefined).length !== 1)
+    throw new MalformedQueryError(
+      "Exactly one of to, toRoom, and toBuilding is required"
+    );
+
+  if (fromBuilding !== undefined)
+    start = exports.buildingEntrances(fromBuilding);
+  if (toBuilding !== undefined) endIDs = exports.buildingEntrances(toBuilding);
+
+  let speed = exports.getSpeed(query);
+  let language = exports.getLanguage(query);
+  let format = validation.string(query, "format", {
+    oneOf: ["json", "geojson"]
+  });
+
+  let route = await exports.findRoute({
+    start,
+    endIDs,
+    room,
+    profile,
+    speed,
+    language
+  });
+
+  return format === "geojson"
+    ? geojson.route(tunnelGraph.current(), route)
+    : route;
+});
+
+//GET /api/v1/network
+router.get("/network", async function() {
+  return geojson.network(tunnelGraph.current());
+});
+
+//GET /api/v1/stats
+router.get("/stats", async function() {
+  let graph = tunnelGraph.current();
+
+  return {
+    graph: {
+      nodes: graph.nodes.size,
+      connections: graph.connections.size,
+      loadedAt: graph.loadedAt
+    },
+    routeCache: routeCache.current().stats()
+  };
+});
+
+//GET /api/v1/closures
+router.get("/closures", async function() {
+  return closures.list(tunnelGraph.current());
+});
+
+//GET /api/v1/nodes/:id
+router.get("/nodes/:id", async function({ params }) {
+  let nodeID = validation.integer(params, "id", { min: 0 });
+  let graph = tunnelGraph.current();
+
+  let node = graph.nodes.get(nodeID);
+  if (!node) throw new UnknownNodeError(nodeID);
+
+  return {
+    ...node,
+    connections: graph.adjacency.get(nodeID).map(edge => ({
+      ...graph.connections.get(edge.connectionID),
+      nextNodeID: edge.nextNodeID
+    }))
+  };
+});
+
+//GET /api/v1/buildings
+router.get("/buildings", async function() {
+  return buildings.list(tunnelGraph.current());
+});
+
+//GET /api/v1/buildings/:id/rooms
+router.get("/buildings/:id/rooms", async function({ params }) {
+  let buildingID = validation.integer(params, "id", { min: 0 });
+
+  let building = tunnelGraph.current().buildings.get(buildingID);
+  if (!building)
+    throw new NotFoundError("Unknown building " + buildingID, { buildingID });
+
+  return buildings.rooms(building);
+});
+
+//GET /api/v1/rooms/search?q=<text>[&limit=<n>]
+router.get("/rooms/search", async function({ query }) {
+  let text = validation.string(query, "q", { required: true });
+  let limit = validation.integer(query, "limit", {
+    min: 1,
+    max: 50,
+    defaultValue: roomSearch.DEFAULT_LIMIT
+  });
+
+  return roomSearch.search(tunnelGraph.current(), text, { limit });
+});
+
+//GET /api/v1/rooms/resolve?room=<room>[&profile=<name>]
+router.get("/rooms/resolve", async function({ query }) {
+  let room = validation.string(query, "room", { required: true });
+  let profile = routingRules.getProfile(
+    validation.string(query, "profile", {
+      oneOf: Object.keys(routingRules.PROFILES)
+    }) || "default"
+  );
+
+  return roomResolver.resolve(
+    tunnelGraph.current(),
+    exports.identifyRoom(room),
+    { profile }
+  );
+});
+
+//GET /api/v1/rooms/access?room=<room>[&profile=<name>]
+//GET /api/v1/rooms/access[?building=<abbreviation>][&nodeID=<id>]
+router.get("/rooms/access", async function({ query }) {
+  let room = validation.string(query, "room");
+
+  if (room === undefined) {
+    let building = validation.string(query, "building");
+    let nodeID = validation.integer(query, "nodeID", { min: 0 });
+
+    return (await database.roomAccess()).filter(
+      row =>
+        (building === undefined || row.building === building) &&
+        (nodeID === undefined || row.nodeID === nodeID)
+    );
+  }
+
+  let profile = routingRules.getProfile(
+    validation.string(query, "profile", {
+      oneOf: Object.keys(routingRules.PROFILES)
+    }) || "default"
+  );
+  room = exports.identifyRoom(room);
+  let { source, entries } = await database.findRoomAccess(room);
+
+  return {
+    room,
+    source,
+    //Compiled regexes can't be sent as JSON
+    entries: entries.map(({ regex, error, ...entry }) => entry),
+    nodeIDs: await database.getNodesToRoom(room, String(profile.allowStairs))
+  };
+});
+
+/**
+ * Handles a request if its path is part of the API.
+ * @param {Object} request - The request from the http server
+ * @param {Object} parsedUrl - The parsed URL of the request
+ * @return {Object} The body of the response, or undefined if the path isn't
+ *  part of the API
+ */
+exports.handle = async function(request, parsedUrl) {
+  if (!parsedUrl.pathname.startsWith("/api/")) return undefined;
+
+  let match = router.match(request.method, parsedUrl.pathname);
+
+  if (!match)
+    throw new NotFoundError("Unknown API path", { path: parsedUrl.pathname });
+
+  if (match.allowed)
+    throw new MethodNotAllowedError(request.method, match.allowed);
+
+  return match.handler({ params: match.params, query: parsedUrl.query });
+};
@@ -0,0 +1,121 @@
+const BuildingRooms = require("../../src/building-roomKeys.json");
+
+//The class given to each building's nodes on the map, keyed by the name of the
+//building in the buildings table. These match the classes assigned by
+//Tools/SVG_Generator/gen.js
+const BUILDING_CLASSES = {
+  "No Building": "noBuilding",
+  "Allyn Hall": "allynHall",
+  "Biological Sciences I": "biologicalSciencesI",
+  "Biological Sciences II": "biologicalSciencesII",
+  "Brehm Laboratory": "brehmLaboratory",
+  "Creative Arts Center": "creativeArtsCenter",
+  "Diggs Laboratory": "diggsLaboratory",
+  "Dunbar Library": "dunbarLibrary",
+  "Fawcett Hall": "fawcettHall",
+  "Joshi Center": "joshiCenter",
+  "Library Annex": "libraryAnnex",
+  "Math & Microbiology": "mathAndMicrobiology",
+  "Medical Sciences": "medicalSciences",
+  "Millet Hall": "millettHall",
+  "Motion Pictures": "motionPictures",
+  "Oelman Hall": "oelmanHall",
+  "Rike hall": "rikeHall",
+  "Russ Engineering": "russEngineering",
+  "Student Success Center": "studentSuccessCenter",
+  "Student Union": "studentUnion",
+  "University Hall": "universityHall"
+};
+
+/**
+ * Looks up the entry in building-roomKeys.json for a building.
+ * @param {Object} building - The building, from the graph's buildings
+ * @return {Object} The name the app uses for the building along with its
+ *  abbreviation, map class, and rooms, or undefined if it has no entry
+ */
+exports.getRoomKeys = function(building) {
+  if (!building || !BUILDING_CLASSES[building.name]) return undefined;
+
+  let buildingClass = "." + BUILDING_CLASSES[building.name];
+
+  for (let name in BuildingRooms) {
+    if (BuildingRooms[name].Class === buildingClass) {
+      return {
+        name,
+        abbreviation: BuildingRooms[name].Abbreviation,
+        mapClass: BuildingRooms[name].Class,
+        rooms: BuildingRooms[name].Rooms || {}
+      };
+    }
+  }
+
+  return undefined;
+};
+
+/**
+ * Lists the buildings in the graph along with what the app knows about them.
+ * @param {Object} graph - The graph to take the buildings from
+ * @return {Array} The buildings, not including "No Building"
+ */
+exports.list = function(graph) {
+  return Array.from(graph.buildings.values())
+    .filter(building => building.buildingID > 0)
+    .map(building => {
+      let keys = exports.getRoomKeys(building) || {};
+
+      return {
+        buildingID: building.buildingID,
+        name: keys.name || building.name,
+        abbreviation: keys.abbreviation || null,
+        mapClass: keys.mapClass || null,
+        nodeIDs: Array.from(graph.nodes.values())
+          .filter(node => node.buildingID === building.buildingID)
+          .map(node => node.nodeID)
+      };
+    });
+};
+
+/**
+ * Lists the rooms in a building, as they are offered by the app.
+ * @param {Object} building - The building, from the graph's buildings
+ * @return {Array} The rooms, each with a name, a number, and the room key
+ *  used to route to it (the abbreviation and the number, e.g. "AL 378")
+ */
+exports.rooms = function(building) {
+  let keys = exports.getRoomKeys(building);
+  if (!keys) return [];
+
+  return Object.keys(keys.rooms).map(name => ({
+    name: name.trim(),
+    number: String(keys.rooms[name]),
+    room: keys.abbreviation + " " + keys.rooms[name]
+  }));
+};
+
+/**
+ * Lists every room that the app offers, building by building, in the order
+ * of building-roomKeys.json.
+ * @return {Array} The rooms, each with the building's name, abbreviation, and
+ *  map class, the room's name and number, and the room key that the app
+ *  routes to (the abbreviation and the number, built the way Map.getPath
+ *  builds it)
+ */
+exports.allRooms = function() {
+  let rooms = [];
+
+  for (let building in BuildingRooms) {
+    let keys = BuildingRooms[building];
+
+    for (let name in keys.Rooms || {})
+      rooms.push({
+        building,
+        abbreviation: keys.Abbreviation,
+        mapClass: keys.Class,
+        name: name.trim(),
+        number: String(keys.Rooms[name]),
+        room: keys.Abbreviation + " " + keys.Rooms[name]
+      });
+  }
+
+  return rooms;
+};
@@ -0,0 +1,40 @@
+/**
+ * Splits command line arguments into positional arguments and --options.
+ * An option followed by another option or by nothing is set to true.
+ * @param {Array} args - The arguments, without the node and script paths
+ * @return {Object} { positional: [...], options: { name: value } }
+ */
+exports.parseArgs = function(args) {
+  let positional = [];
+  let options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith("--")) {
+      positional.push(args[i]);
+    } else if (i + 1 < args.length && !args[i + 1].startsWith("--")) {
+      options[args[i].substring(2)] = args[++i];
+    } else {
+      options[args[i].substring(2)] = true;
+    }
+  }
+
+  return { positional, options };
+};
+
+/**
+ * Reads a numeric option.
+ * @param {Object} options - The options from parseArgs
+ * @param {string} name - The name of the option
+ * @param {number} [defaultValue] - The value used when it isn't given
+ * @return {number} The value of the option
+ * @throws {Error} If the option isn't a number
+ */
+exports.number = function(options, name, defaultValue) {
+  if (options[name] === undefined) return defaultValue;
+
+  let value = Number(options[name]);
+  if (options[name] === true || Number.isNaN(value))
+    throw new Error(`--${name} must be a number`);
+
+  return value;
+};
@@ -0,0 +1,86 @@
+/**
+ * Reads rows from the closures table. Times may be Date objects or strings,
+ * depending on the storage backend.
+ * @param {Array} rows - Rows from the closures table
+ * @return {Array} The closures, each with a closureID, the connectionID or
+ *  nodeID that is closed, when it startsAt and endsAt (null if it hasn't been
+ *  given an end), and the reason for it
+ */
+exports.fromRows = function(rows) {
+  return rows.map(row => ({
+    closureID: row.closureID,
+    connectionID: isSet(row.connectionID) ? row.connectionID : null,
+    nodeID: isSet(row.nodeID) ? row.nodeID : null,
+    startsAt: new Date(row.startsAt),
+    endsAt: isSet(row.endsAt) ? new Date(row.endsAt) : null,
+    reason: isSet(row.reason) ? row.reason : null
+  }));
+};
+
+/**
+ * Finds the closures that are in effect at a given time.
+ * @param {Object} graph - The graph, from graph.build
+ * @param {Date} [at] - The time to check, defaults to now
+ * @return {Object} { closures, connectionIDs, nodeIDs }, where closures is an
+ *  array of the closures in effect and connectionIDs and nodeIDs are sets of
+ *  what they close
+ */
+exports.active = function(graph, at = new Date()) {
+  let active = {
+    closures: [],
+    connectionIDs: new Set(),
+    nodeIDs: new Set()
+  };
+
+  for (let closure of graph.closures || []) {
+    if (!isInEffect(closure, at)) continue;
+
+    active.closures.push(closure);
+    if (closure.connectionID !== null)
+      active.connectionIDs.add(closure.connectionID);
+    if (closure.nodeID !== null) active.nodeIDs.add(closure.nodeID);
+  }
+
+  return active;
+};
+
+/**
+ * Lists the closures that haven't ended yet, for the map to draw.
+ * @param {Object} graph - The graph, from graph.build
+ * @param {Date} [at] - The time to check, defaults to now
+ * @return {Array} The closures, in the order they start, each with whether it
+ *  is active yet
+ */
+exports.list = function(graph, at = new Date()) {
+  return (graph.closures || [])
+    .filter(closure => closure.endsAt === null || closure.endsAt > at)
+    .sort((a, b) => a.startsAt - b.startsAt)
+    .map(closure => ({ ...closure, active: isInEffect(closure, at) }));
+};
+
+/**
+ * Finds the closures that a route passes through.
+ * @param {Object} active - The closures in effect, from active
+ * @param {Object} path - A route from pathfinder.getPath
+ * @return {Array} The closures on the route, empty if it is open
+ */
+exports.onPath = function(active, path) {
+  let nodeIDs = new Set(path.nodeIDs);
+  let edgeIDs = new Set(path.edgeIDs);
+
+  return active.closures.filter(
+    closure =>
+      (closure.connectionID !== null && edgeIDs.has(closure.connectionID)) ||
+      (closure.nodeID !== null && nodeIDs.has(closure.nodeID))
+  );
+};
+
+function isInEffect(closure, at) {
+  return (
+    closure.startsAt <= at && (closure.endsAt === null || closure.endsAt > at)
+  );
+}
+
+function isSet(value) {
+  return value !== null && value !== undefined;
+}
@@ -0,0 +1,50 @@
+const tunnelGraph = require("../graph.js");
+const graphCheck = require("../graphCheck.js");
+const cli = require("../cli.js");
+
+exports.description = "Check the tunnel data for mistakes";
+
+exports.usage = `tunnel-graph check [--tolerance <fraction>] [--tolerance-meters <meters>] [--json]
+
+Reports disconnected groups of nodes, nodes without connections, connections to
+missing nodes, staircases and elevators with no intersection next to them,
+duplicate connections, and connections whose length is far from the distance
+between their nodes. A length is reported when it is off by more than both
+tolerances (defaults: ${graphCheck.DEFAULT_TOLERANCE.fraction} and ${graphCheck.DEFAULT_TOLERANCE.meters} m).
+Exits with 1 if anything is found.`;
+
+/**
+ * @param {Object} options - The options from cli.parseArgs
+ * @return {number} The exit code
+ */
+exports.run = async function(options) {
+  let graph = await tunnelGraph.load();
+
+  let problems = graphCheck.run(graph, {
+    tolerance: {
+      fraction: cli.number(
+        options,
+        "tolerance",
+        graphCheck.DEFAULT_TOLERANCE.fraction
+      ),
+      meters: cli.number(
+        options,
+        "tolerance-meters",
+        graphCheck.DEFAULT_TOLERANCE.meters
+      )
+    }
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify(problems, null, 2));
+  } else {
+    for (let problem of problems)
+      console.log(`[${problem.check}] ${problem.message}`);
+
+    console.log(
+      `Checked ${graph.nodes.size} nodes and ${graph.connections.size} connections, found ${problems.length} problem(s)`
+    );
+  }
+
+  return problems.length > 0 ? 1 : 0;
+};
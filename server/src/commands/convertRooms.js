@@ -0,0 +1,71 @@
+const fs = require("fs");
+const database = require("../database.js");
+const buildings = require("../buildings.js");
+const csv = require("../csv.js");
+const roomAccess = require("../roomAccess.js");
+
+exports.description = "Turn the room regexes into room_access rows";
+
+exports.usage = `tunnel-graph convert-rooms [--format report|csv|sql] [--output <file>]
+
+Tries each node's room regex against every three digit room number in the
+buildings it names and writes the rooms it matches as room_access rows: whole
+floors, ranges of room numbers, and lists of rooms. The rows are then checked
+against every room in src/building-roomKeys.json, and any room that they would
+send to different nodes than the regexes do is listed.
+
+--format report (the default) lists the rows. --format csv prints them in the
+layout of Database_Info/room_access.csv, and --format sql prints statements
+that replace the rows of the room_access table. --output writes them to a file
+instead. Exits with 1 if any room would change nodes.`;
+
+/**
+ * @param {Object} options - The options from cli.parseArgs
+ * @return {number} The exit code
+ */
+exports.run = async function(options) {
+  let format = options.format || "report";
+  if (!["report", "csv", "sql"].includes(format))
+    throw new Error("--format must be report, csv, or sql");
+  if (options.output === true) throw new Error("--output needs a file name");
+
+  let { rows, unconverted, differences } = roomAccess.fromRegexes(
+    await database.roomRegexes(),
+    buildings.allRooms()
+  );
+
+  for (let entry of unconverted)
+    console.error(
+      `Warning: node ${entry.nodeID}'s regex ${entry.roomRegEx} wasn't converted: ${entry.reason}`
+    );
+  for (let difference of differences)
+    console.error(
+      `Warning: ${
+        difference.room
+      } goes to node(s) ${difference.fromRegexes.join(", ") ||
+        "none"} with the regexes but ${difference.fromRows.join(", ") ||
+        "none"} with the rows`
+    );
+
+  let text;
+  if (format === "csv") {
+    text = csv.format(rows.map(roomAccess.toColumns), roomAccess.COLUMNS);
+  } else if (format === "sql") {
+    text = roomAccess.toSql(rows) + "\n";
+  } else {
+    text =
+      rows
+        .map(row => `Node ${row.nodeID} serves ${roomAccess.describe(row)}\n`)
+        .join("") +
+      `Made ${rows.length} rows, ${differences.length} room(s) would change nodes\n`;
+  }
+
+  if (options.output) {
+    fs.writeFileSync(options.output, text);
+    console.error(`Wrote ${rows.length} rows to ${options.output}`);
+  } else {
+    process.stdout.write(text);
+  }
+
+  return differences.length > 0 ? 1 : 0;
+};
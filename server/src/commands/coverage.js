@@ -0,0 +1,41 @@
+const database = require("../database.js");
+const buildings = require("../buildings.js");
+const roomCoverage = require("../roomCoverage.js");
+
+exports.description = "Check that routes can reach the app's rooms";
+
+exports.usage = `tunnel-graph coverage [--json]
+
+Looks up every room offered in src/building-roomKeys.json the same way routes
+do, building the room the same way the app does ("AL 378") and using the
+room_access table before the room regexes. Reports rooms that no staircase or
+elevator serves, rooms that only staircases serve (so routes without stairs
+fail), regexes that don't match any room, and regexes that can't be compiled.
+Exits with 1 if anything is found.`;
+
+/**
+ * @param {Object} options - The options from cli.parseArgs
+ * @return {number} The exit code
+ */
+exports.run = async function(options) {
+  let rooms = buildings.allRooms();
+  let regexes = await database.roomRegexes();
+  let problems = await roomCoverage.run(
+    rooms,
+    regexes,
+    database.findRoomAccess
+  );
+
+  if (options.json) {
+    console.log(JSON.stringify(problems, null, 2));
+  } else {
+    for (let problem of problems)
+      console.log(`[${problem.check}] ${problem.message}`);
+
+    console.log(
+      `Checked ${rooms.length} rooms against ${regexes.length} regexes, found ${problems.length} problem(s)`
+    );
+  }
+
+  return problems.length > 0 ? 1 : 0;
+};
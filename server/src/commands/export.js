@@ -0,0 +1,35 @@
+const fs = require("fs");
+const tunnelGraph = require("../graph.js");
+const geojson = require("../geojson.js");
+
+exports.description = "Export the tunnel network as GeoJSON";
+
+exports.usage = `tunnel-graph export [--output <file>]
+
+Writes the tunnel network as a GeoJSON FeatureCollection, for overlaying it on
+campus maps in GIS tools. Nodes are Points with their type, building, and
+floor, and connections are LineStrings with their length and whether they are
+indoors or have stairs or an elevator. The GeoJSON is printed unless --output
+is given.`;
+
+/**
+ * @param {Object} options - The options from cli.parseArgs
+ * @return {number} The exit code
+ */
+exports.run = async function(options) {
+  if (options.output === true) throw new Error("--output needs a file name");
+
+  let graph = await tunnelGraph.load();
+  let text = JSON.stringify(geojson.network(graph), null, 2) + "\n";
+
+  if (options.output) {
+    fs.writeFileSync(options.output, text);
+    console.error(
+      `Wrote ${graph.nodes.size} nodes and ${graph.connections.size} connections to ${options.output}`
+    );
+  } else {
+    process.stdout.write(text);
+  }
+
+  return 0;
+};
@@ -0,0 +1,107 @@
+const tunnelGraph = require("../graph.js");
+const indoorMap = require("../indoorMap.js");
+const graphImport = require("../graphImport.js");
+const cli = require("../cli.js");
+
+exports.description = "Import nodes and connections drawn in a GIS editor";
+
+exports.usage = `tunnel-graph import <file> [--input geojson|osm] [--format report|sql|json] [--replace]
+                    [--snap <meters>] [--first-node-id <id>] [--first-connection-id <id>]
+
+Reads tunnels drawn as GeoJSON or as OpenStreetMap XML (e.g. saved from JOSM)
+and turns them into rows for the nodes and connections tables. Simple Indoor
+Tagging is understood: level (0, 0;1, 0-2) sets floors, highway=elevator
+nodes become elevators with a node on each of their levels, highway=steps ways
+become stairs, door and entrance nodes become exits, and indoor=no marks
+anything outside. Only corridors (indoor=corridor), highway=footway, corridor,
+steps, and elevator ways, and ways that lead to a door are imported: rooms,
+areas, and other outlines are skipped. Widths are read in meters unless they
+are written in feet ("5 ft" or "5'"), and are stored in whole feet. Files
+written by tunnel-graph export can be read back in.
+
+Nothing is written to the database. --format report (the default) is a dry run
+that lists what would be added, changed, and removed compared to the current
+graph. --format sql prints the statements that make those changes, and
+--format json prints the rows and the diff.
+
+Drawn nodes within --snap meters (default ${graphImport.DEFAULT_SNAP}) of a node on the same floor take
+its ID, so new tunnels can be joined to existing intersections. New nodes and
+connections are numbered from one past the highest current ID, or from
+--first-node-id and --first-connection-id. The file is added to the graph
+unless --replace is given, in which case it is taken as the whole network and
+anything missing from it is removed.`;
+
+/**
+ * @param {Object} options - The options from cli.parseArgs
+ * @param {Array} rest - The positional arguments after the command name
+ * @return {number} The exit code
+ */
+exports.run = async function(options, rest) {
+  let format = options.format || "report";
+  if (!["report", "sql", "json"].includes(format))
+    throw new Error("--format must be report, sql, or json");
+  if (!rest[0]) throw new Error("Give the file to import");
+
+  let map = indoorMap.readFile(rest[0], options.input);
+  let graph = await tunnelGraph.load();
+
+  let rows = graphImport.toRows(map, graph, {
+    snap: cli.number(options, "snap"),
+    firstNodeID: cli.number(options, "first-node-id"),
+    firstConnectionID: cli.number(options, "first-connection-id")
+  });
+  let diff = graphImport.diff(graph, rows, { replace: options.replace });
+
+  for (let warning of rows.warnings) console.error("Warning: " + warning);
+  if (map.skipped > 0)
+    console.error(`Warning: skipped ${map.skipped} areas or relations`);
+
+  if (format === "sql") {
+    console.log(graphImport.toSql(diff));
+  } else if (format === "json") {
+    console.log(
+      JSON.stringify(
+        { nodes: rows.nodes, connections: rows.connections, diff },
+        null,
+        2
+      )
+    );
+  } else {
+    printReport(diff);
+  }
+
+  return 0;
+};
+
+function printReport(diff) {
+  for (let [table, idColumn] of [
+    ["nodes", "nodeID"],
+    ["connections", "connectionID"]
+  ]) {
+    let { added, changed, removed } = diff[table];
+
+    for (let row of added) console.log(`+ ${describe(table, row)}`);
+    for (let { row, changes } of changed)
+      console.log(
+        `~ ${describe(table, row)}: ${Object.keys(changes)
+          .map(
+            column => `${column} ${changes[column][0]} -> ${changes[column][1]}`
+          )
+          .join(", ")}`
+      );
+    for (let row of removed)
+      console.log(
+        `- ${table === "nodes" ? "Node" : "Connection"} ${row[idColumn]}`
+      );
+
+    console.log(
+      `${table}: ${added.length} added, ${changed.length} changed, ${removed.length} removed`
+    );
+  }
+}
+
+function describe(table, row) {
+  return table === "nodes"
+    ? `Node ${row.nodeID} (type ${row.nodeTypeID}, building ${row.buildingID}, floor ${row.floor})`
+    : `Connection ${row.connectionID} (${row.nodeA_ID} - ${row.nodeB_ID}, ${row.length} m)`;
+}
@@ -0,0 +1,61 @@
+const tunnelGraph = require("../graph.js");
+const connectionLengths = require("../connectionLengths.js");
+const svgGeometry = require("../svgGeometry.js");
+const cli = require("../cli.js");
+
+exports.description = "Recalculate connection lengths from node coordinates";
+
+exports.usage = `tunnel-graph lengths [--svg <map.svg>] [--format report|sql] [--min-change <meters>] [--all]
+
+Recalculates the length of every connection from the latitude, longitude, and
+elevation of its nodes. With --svg, connections that are drawn with bends on
+the map (e.g. src/Components/Maps/map.svg) are measured along the bends.
+
+Only lengths that changed by more than --min-change (default 0.01 m) are
+listed, unless --all is given. --format report (the default) prints the old and
+new lengths, and --format sql prints UPDATE statements for the connections table.`;
+
+/**
+ * @param {Object} options - The options from cli.parseArgs
+ * @return {number} The exit code
+ */
+exports.run = async function(options) {
+  let format = options.format || "report";
+  if (format !== "report" && format !== "sql")
+    throw new Error("--format must be report or sql");
+
+  let graph = await tunnelGraph.load();
+  let map = options.svg ? svgGeometry.readMap(options.svg) : undefined;
+
+  let results = connectionLengths.recalculate(graph, { map });
+  if (!options.all)
+    results = connectionLengths.changed(
+      results,
+      cli.number(options, "min-change", 0.01)
+    );
+
+  if (format === "sql") {
+    if (results.length > 0) console.log(connectionLengths.toSql(results));
+    return 0;
+  }
+
+  for (let result of results) {
+    let change =
+      result.oldLength === null
+        ? "new"
+        : diff(result.newLength - result.oldLength);
+
+    console.log(
+      `Connection ${result.connectionID}: ${result.oldLength} -> ${result.newLength} m (${change}, ${result.source})`
+    );
+  }
+  console.log(
+    `${results.length} of ${graph.connections.size} connection lengths changed`
+  );
+
+  return 0;
+};
+
+function diff(change) {
+  return (change >= 0 ? "+" : "") + change.toFixed(2);
+}
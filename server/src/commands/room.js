@@ -0,0 +1,95 @@
+const tunnelGraph = require("../graph.js");
+const routingRules = require("../routingRules.js");
+const roomResolver = require("../roomResolver.js");
+const api = require("../api.js");
+
+exports.description = "Explain which nodes serve a room";
+
+exports.usage = `tunnel-graph room <room> [--profile default|accessible] [--json]
+
+Resolves a room such as "AL 378" or "allyn 378" to the nodes that routes to it end at, the
+way the server does for toRoom. Lists the room_access rows that cover the
+room and every node whose regex matches, along with their buildings and
+floors, the regexes that almost match, and nodes in a different building than
+the room. Regexes are only used for rooms that no room_access row covers.
+Exits with 1 if the room can't be routed to or anything looks wrong, and with
+2 if the room could be in more than one building.`;
+
+/**
+ * @param {Object} options - The options from cli.parseArgs
+ * @param {Array} rest - The words of the room
+ * @return {number} The exit code
+ */
+exports.run = async function(options, rest) {
+  let room = rest.join(" ");
+  if (!room)
+    throw new Error("Give the room to resolve, e.g. tunnel-graph room AL 378");
+
+  let profile = routingRules.getProfile(options.profile || "default");
+  if (!profile)
+    throw new Error(
+      `--profile must be one of ${Object.keys(routingRules.PROFILES).join(
+        ", "
+      )}`
+    );
+
+  let graph = await tunnelGraph.load();
+  let resolution = await roomResolver.resolve(graph, api.identifyRoom(room), {
+    profile
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify(resolution, null, 2));
+  } else {
+    printReport(resolution, profile);
+  }
+
+  return resolution.problems.length > 0 ? 1 : 0;
+};
+
+function printReport(resolution, profile) {
+  let buildings = resolution.buildings.map(building => building.name);
+  console.log(
+    `${resolution.room} (${buildings.join(" or ") || "unknown building"}, ${
+      profile.name
+    } profile)`
+  );
+  console.log(
+    resolution.nodeIDs.length > 0
+      ? `Routes end at node(s) ${resolution.nodeIDs.join(", ")}`
+      : "Routes can't end anywhere"
+  );
+
+  if (resolution.rows.length > 0) console.log("\nroom_access rows:");
+  for (let row of resolution.rows)
+    console.log(
+      `  ${describe(row)} ${row.covers}${
+        row.usable ? "" : " - not used: " + row.reason
+      }`
+    );
+
+  if (resolution.matches.length > 0)
+    console.log(
+      resolution.source === "table"
+        ? "\nMatched, but not used since room_access covers the room:"
+        : "\nMatched:"
+    );
+  for (let match of resolution.matches)
+    console.log(
+      `  ${describe(match)} /${match.regex}/${
+        match.usable ? "" : " - not used: " + match.reason
+      }`
+    );
+
+  if (resolution.nearMisses.length > 0) console.log("\nAlmost matched:");
+  for (let miss of resolution.nearMisses)
+    console.log(`  ${describe(miss)} /${miss.regex}/ - ${miss.reason}`);
+
+  if (resolution.problems.length > 0) console.log("\nProblems:");
+  for (let problem of resolution.problems) console.log(`  ${problem}`);
+}
+
+function describe(node) {
+  return `node ${node.nodeID} (${node.type}, ${node.building ||
+    "no building"}, floor ${node.floor})`;
+}
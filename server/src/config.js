@@ -1,26 +1,224 @@
-const tabletop = {
-  host: "sql.tabletopartistry.net",
-  port: "8100",
-  user: "tunnelapp-user",
-  password: "Cs3900",
-  database: "wsutunnelapp"
+const fs = require("fs");
+const storage = require("./storage");
+const log = require("./log.js");
+
+//Every setting, where it can be given, and what it must look like. Settings
+//are read from the config file first and then from the environment, so
+//environment variables win.
+const SCHEMA = {
+  port: {
+    env: "TUNNEL_PORT",
+    type: "integer",
+    min: 1,
+    max: 65535,
+    default: 5000
+  },
+  "storage.backend": {
+    env: "TUNNEL_STORAGE",
+    type: "string",
+    oneOf: storage.BACKENDS,
+    default: "mysql"
+  },
+  "storage.filename": {
+    env: "TUNNEL_SQLITE_FILE",
+    type: "string",
+    requiredWhen: config => config.storage.backend === "sqlite"
+  },
+  "database.host": {
+    env: "TUNNEL_DB_HOST",
+    type: "string",
+    requiredWhen: usesMysql
+  },
+  "database.port": {
+    env: "TUNNEL_DB_PORT",
+    type: "integer",
+    min: 1,
+    max: 65535,
+    default: 3306
+  },
+  "database.user": {
+    env: "TUNNEL_DB_USER",
+    type: "string",
+    requiredWhen: usesMysql
+  },
+  "database.password": {
+    env: "TUNNEL_DB_PASSWORD",
+    type: "string",
+    requiredWhen: usesMysql
+  },
+  "database.database": {
+    env: "TUNNEL_DB_NAME",
+    type: "string",
+    default: "wsutunnelapp"
+  },
+  logLevel: {
+    env: "TUNNEL_LOG_LEVEL",
+    type: "string",
+    oneOf: log.LEVELS,
+    default: "info"
+  },
+  corsOrigins: { env: "TUNNEL_CORS_ORIGINS", type: "list", default: ["*"] },
+  "routeCache.size": {
+    env: "TUNNEL_ROUTE_CACHE_SIZE",
+    type: "integer",
+    min: 0,
+    max: 1000000,
+    default: 10000
+  },
+  "routeCache.precompute": {
+    env: "TUNNEL_PRECOMPUTE_ROUTES",
+    type: "boolean",
+    default: false
+  },
+  "routing.accessibleMinWidth": {
+    env: "TUNNEL_ACCESSIBLE_MIN_WIDTH",
+    type: "integer",
+    min: 0,
+    max: 255,
+    default: 3
+  },
+  adminToken: { env: "TUNNEL_ADMIN_TOKEN", type: "string" }
 };
 
-const aws = {
-  host: "wsutunnel.csjmi9luacji.us-east-1.rds.amazonaws.com",
-  port: "3306",
-  user: "wsutunneladmin",
-  password: "Cs3900tunneluser",
-  database: "wsutunnelapp"
+/**
+ * Thrown when the settings are missing or invalid. Lists every problem that
+ * was found, not just the first one.
+ */
+class ConfigError extends Error {
+  constructor(problems) {
+    super("Invalid configuration:\n  " + problems.join("\n  "));
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+exports.ConfigError = ConfigError;
+
+/**
+ * Loads the settings for the server from an optional JSON config file and
+ * from environment variables. The config file is given with --config <path>
+ * or with the TUNNEL_CONFIG environment variable.
+ * @param {Object} [env] - The environment variables to read
+ * @param {Array} [argv] - The command line arguments to read
+ * @return {Object} The settings, e.g. { port, storage: { backend, filename },
+ *  database: { host, port, user, password, database }, logLevel, corsOrigins,
+ *  routeCache: { size, precompute }, routing: { accessibleMinWidth },
+ *  adminToken }
+ * @throws {ConfigError} If the settings are missing or invalid
+ */
+exports.load = function(env = process.env, argv = process.argv.slice(2)) {
+  let problems = [];
+  let file = {};
+
+  let configArg = argv.indexOf("--config");
+  let configFile = configArg > -1 ? argv[configArg + 1] : env.TUNNEL_CONFIG;
+
+  if (configFile) {
+    try {
+      file = JSON.parse(fs.readFileSync(configFile, "utf8"));
+    } catch (error) {
+      throw new ConfigError([
+        `Could not read the config file ${configFile}: ${error.message}`
+      ]);
+    }
+  }
+
+  let config = { storage: {}, database: {}, routeCache: {}, routing: {} };
+
+  for (let key in SCHEMA) {
+    let setting = SCHEMA[key];
+    let value = getPath(file, key);
+    let source = `${key} in ${configFile}`;
+
+    if (env[setting.env] !== undefined && env[setting.env] !== "") {
+      value = env[setting.env];
+      source = setting.env;
+    }
+
+    if (value === undefined) {
+      value = setting.default;
+    } else {
+      value = check(setting, value, source, problems);
+    }
+
+    setPath(config, key, value);
+  }
+
+  //Requirements that depend on other settings are checked once they are all read
+  for (let key in SCHEMA) {
+    let setting = SCHEMA[key];
+    if (
+      setting.requiredWhen &&
+      setting.requiredWhen(config) &&
+      getPath(config, key) === undefined
+    )
+      problems.push(
+        `${key} is required when using the ${config.storage.backend} storage backend, set ${setting.env}`
+      );
+  }
+
+  if (problems.length > 0) throw new ConfigError(problems);
+
+  return config;
 };
 
-const local = {
-  host: 'localhost',
-  port: '3306',
-  user: "tunnelapp-user",
-  password: "Cs3900",
-  database: "wsutunnelapp"
+//Converts a value to the type of its setting, recording a problem if it can't be
+function check(setting, value, source, problems) {
+  switch (setting.type) {
+    case "integer": {
+      let number = Number(value);
+      if (
+        !Number.isInteger(number) ||
+        (setting.min !== undefined && number < setting.min) ||
+        (setting.max !== undefined && number > setting.max)
+      ) {
+        problems.push(
+          `${source} must be an integer from ${setting.min} to ${
+            setting.max
+          }, got ${JSON.stringify(value)}`
+        );
+      }
+      return number;
+    }
+
+    case "boolean":
+      if (value === "true" || value === "false") value = value === "true";
+      if (typeof value !== "boolean")
+        problems.push(
+          `${source} must be true or false, got ${JSON.stringify(value)}`
+        );
+      return value;
+
+    case "list":
+      if (typeof value === "string")
+        value = value.split(",").map(item => item.trim());
+      if (!Array.isArray(value) || value.some(item => typeof item !== "string"))
+        problems.push(`${source} must be a list of strings`);
+      return value;
+
+    default:
+      if (typeof value !== "string") {
+        problems.push(`${source} must be a string`);
+      } else if (setting.oneOf && !setting.oneOf.includes(value)) {
+        problems.push(
+          `${source} must be one of ${setting.oneOf.join(", ")}, got "${value}"`
+        );
+      }
+      return value;
+  }
 }
 
+function usesMysql(config) {
+  return config.storage.backend === "mysql";
+}
 
-module.exports = { tabletop, aws, local };
+function getPath(object, key) {
+  return key
+    .split(".")
+    .reduce((value, part) => (value ? value[part] : undefined), object);
+}
+
+function setPath(object, key, value) {
+  let parts = key.split(".");
+  let last = parts.pop();
+  parts.reduce((value, part) => value[part], object)[last] = value;
+}
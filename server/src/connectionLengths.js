@@ -0,0 +1,97 @@
+const geodesy = require("./geodesy.js");
+const svgGeometry = require("./svgGeometry.js");
+
+/**
+ * Works out how long every connection should be from the positions of its
+ * nodes.
+ * @param {Object} graph - A graph made by graph.build
+ * @param {Object} [options]
+ * @param {Object} [options.map] - A map from svgGeometry.readMap. Connections
+ *  drawn on it with bends are measured along the bends instead of in a
+ *  straight line.
+ * @return {Array} { connectionID, oldLength, newLength, source } for every
+ *  connection whose nodes are both in the graph, where source is "straight"
+ *  or "svg"
+ */
+exports.recalculate = function(graph, options = {}) {
+  let project = options.map
+    ? svgGeometry.fitProjection(options.map.nodes, graph.nodes)
+    : null;
+  let results = [];
+
+  for (let connection of graph.connections.values()) {
+    let nodeA = graph.nodes.get(connection.nodeA_ID);
+    let nodeB = graph.nodes.get(connection.nodeB_ID);
+    if (!nodeA || !nodeB) continue;
+
+    let path = options.map && options.map.paths.get(connection.connectionID);
+    let bends =
+      path && path.length > 2 ? bendsBetween(path, nodeA, project) : [];
+
+    results.push({
+      connectionID: connection.connectionID,
+      oldLength: connection.length,
+      newLength: round(measure([nodeA, ...bends, nodeB])),
+      source: bends.length > 0 ? "svg" : "straight"
+    });
+  }
+
+  return results;
+};
+
+/**
+ * @param {Array} results - The results of recalculate
+ * @param {number} [minChange] - The smallest change in meters to include
+ * @return {Array} The results whose length changed by more than minChange
+ */
+exports.changed = function(results, minChange = 0.01) {
+  return results.filter(
+    result =>
+      result.oldLength === null ||
+      result.oldLength === undefined ||
+      Math.abs(result.newLength - result.oldLength) > minChange
+  );
+};
+
+/**
+ * @param {Array} results - The results of recalculate
+ * @return {string} SQL that stores the new lengths
+ */
+exports.toSql = function(results) {
+  return results
+    .map(
+      result =>
+        `UPDATE connections SET length = ${result.newLength} WHERE connectionID = ${result.connectionID};`
+    )
+    .join("\n");
+};
+
+//The points between the ends of a path drawn on the map, as { lat, long },
+//in order from nodeA. The ends themselves are left out since the
+//nodes' own coordinates are more up to date than the map.
+function bendsBetween(path, nodeA, project) {
+  let points = path.map(project);
+  let [first, last] = [points[0], points[points.length - 1]];
+
+  //Paths can be drawn in either direction
+  if (geodesy.distance(first, nodeA) > geodesy.distance(last, nodeA))
+    points.reverse();
+
+  return points.slice(1, -1);
+}
+
+//Adds up the distances between consecutive points. Bends don't have an
+//elevation, so the climb between the ends is spread along the whole path.
+function measure(points) {
+  let flat = 0;
+  for (let i = 1; i < points.length; i++)
+    flat += geodesy.distance(points[i - 1], points[i]);
+
+  let climb =
+    geodesy.height(points[points.length - 1]) - geodesy.height(points[0]);
+  return Math.hypot(flat, climb);
+}
+
+function round(length) {
+  return Math.round(length * 10000) / 10000;
+}
@@ -0,0 +1,99 @@
+const fs = require("fs");
+
+/**
+ * Parses CSV text into an array of rows. Quoted fields may contain commas,
+ * newlines, and doubled quotes.
+ * @param {string} text - The CSV text to parse
+ * @return {Array} An array of rows, each of which is an array of fields
+ */
+exports.parse = function(text) {
+  let rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    let c = text[i];
+
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      //Treat \r\n as a single line break
+      if (c === "\r" && text[i + 1] === "\n") i++;
+
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+
+  //Store the last row if the text doesn't end with a line break
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Reads a CSV file whose first row holds the column names.
+ * @param {string} file - The path of the file to read
+ * @return {Array} An array of objects keyed by column name
+ */
+exports.readObjects = function(file) {
+  let [header, ...rows] = exports.parse(fs.readFileSync(file, "utf8"));
+
+  return rows.map(row => {
+    let object = {};
+    header.forEach((column, i) => (object[column] = row[i]));
+    return object;
+  });
+};
+
+/**
+ * Reads a CSV file without a header row.
+ * @param {string} file - The path of the file to read
+ * @return {Array} An array of rows, each of which is an array of fields
+ */
+exports.readRows = function(file) {
+  return exports.parse(fs.readFileSync(file, "utf8"));
+};
+
+/**
+ * Writes objects as CSV text with a header row. Fields are quoted when they
+ * hold commas, quotes, or line breaks, and null values are left empty.
+ * @param {Array} objects - The objects to write
+ * @param {Array} columns - The keys to write, in order
+ * @return {string} The CSV text, ending with a line break
+ */
+exports.format = function(objects, columns) {
+  let lines = [columns.join(",")];
+
+  for (let object of objects)
+    lines.push(columns.map(column => formatField(object[column])).join(","));
+
+  return lines.join("\n") + "\n";
+};
+
+function formatField(value) {
+  if (value === null || value === undefined) return "";
+
+  let text = String(value);
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
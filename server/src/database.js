@@ -1,50 +1,136 @@
-const mysql = require("mysql");
-const util = require("util");
-const { tabletop, aws, local } = require("./config.js");
+const roomAccess = require("./roomAccess.js");
 
-const config = process.argv.slice(2)[0];
+//The backend that the tunnel data is read from
+let backend = null;
 
-const pool = mysql.createPool(eval(config));
-const query = util.promisify(pool.query).bind(pool);
+//The room regexes of the backend, compiled the first time they are needed
+let roomRegexes = null;
+
+//The rows of the room_access table, read the first time they are needed
+let roomAccessRows = null;
+
+/**
+ * Switches the backend that the tunnel data is read from.
+ * @param {Object} newBackend - A backend made by storage.create
+ */
+exports.use = function(newBackend) {
+  backend = newBackend;
+  exports.forgetRooms();
+};
+
+function current() {
+  if (!backend) throw new Error("No storage backend has been chosen");
+
+  return backend;
+}
 
 exports.allEdges = async function() {
-  return query("SELECT connectionID, nodeA_ID, nodeB_ID FROM connections");
+  return current().allEdges();
 };
 
-exports.node = async function(nodeID) {
-  return query("SELECT * FROM nodes WHERE nodeID = ?", nodeID);
+exports.allNodes = async function() {
+  return current().allNodes();
 };
 
-exports.getNodesToRoom = async function(roomNumber, useStairs = true) {
-  // Get all regexes and their corresponding node IDs
-  let nodes = await query(
-    "SELECT nodeID, roomRegEx, nodeTypeID FROM nodes WHERE nodeTypeID>=" +
-      (useStairs === "true" ? "2" : "3")
-  );
+exports.allBuildings = async function() {
+  return current().allBuildings();
+};
+
+exports.allClosures = async function() {
+  return current().allClosures();
+};
+
+/**
+ * Reads the room regexes and compiles them. They are kept until the backend
+ * is changed or forgetRooms is called.
+ * @return {Array} { nodeID, roomRegEx, nodeTypeID, regex } for every node that
+ *  serves rooms. regex is null if roomRegEx isn't a valid regular expression,
+ *  and error says why.
+ */
+exports.roomRegexes = async function() {
+  if (!roomRegexes) {
+    let pending = current()
+      .roomRegexes()
+      .then(rows => rows.map(compileRoomRegex));
+    roomRegexes = pending;
+
+    //Try again next time rather than keeping the failure
+    pending.catch(() => {
+      if (roomRegexes === pending) roomRegexes = null;
+    });
+  }
 
-  //Create an array to hold the nodeIDs with regexs that match the room number
-  let connectedNodeIDs = [];
+  return roomRegexes;
+};
+
+/**
+ * Reads the rows of the room_access table. They are kept until the backend is
+ * changed or forgetRooms is called.
+ * @return {Array} The rows, from roomAccess.fromRows
+ */
+exports.roomAccess = async function() {
+  if (!roomAccessRows) {
+    let pending = current()
+      .roomAccess()
+      .then(roomAccess.fromRows);
+    roomAccessRows = pending;
+
+    pending.catch(() => {
+      if (roomAccessRows === pending) roomAccessRows = null;
+    });
+  }
+
+  return roomAccessRows;
+};
+
+/**
+ * Drops the room regexes and room_access rows so that they are read again,
+ * such as when the tunnel data is reloaded.
+ */
+exports.forgetRooms = function() {
+  roomRegexes = null;
+  roomAccessRows = null;
+};
 
-  //Check over all of the nodes to see if their regex matches the room number
-  nodes.forEach(i => {
-    let regex = new RegExp(i.roomRegEx);
-    if (regex.test(roomNumber)) {
-      //If it does, add it to the array
-      connectedNodeIDs.push(i.nodeID);
-    }
-  });
+/**
+ * Finds what says which nodes serve a room. The room_access table is used
+ * when any of its rows serve the room, and the room regexes otherwise.
+ * @param {string} roomNumber - The room, e.g. "AL 378"
+ * @return {Object} { source, entries }, where source is "table" or "regex",
+ *  or null if nothing serves the room, and entries are the room_access rows
+ *  or room regexes that serve it
+ */
+exports.findRoomAccess = async function(roomNumber) {
+  let rows = roomAccess.lookup(await exports.roomAccess(), roomNumber);
+  if (rows.length > 0) return { source: "table", entries: rows };
 
-  return connectedNodeIDs;
+  let regexes = (await exports.roomRegexes()).filter(
+    i => i.regex && i.regex.test(roomNumber)
+  );
+  return { source: regexes.length > 0 ? "regex" : null, entries: regexes };
 };
 
-exports.adjacentNodes = async function(nodeID) {
-  let sql =
-    "SELECT connectionID, length, nodeA_ID AS nextNodeID " +
-    "FROM connections " +
-    "WHERE nodeB_ID=? " +
-    "UNION " +
-    "SELECT connectionID, length, nodeB_ID AS nextNodeID " +
-    "FROM connections " +
-    "WHERE nodeA_ID=?";
-  return query(sql, [nodeID, nodeID]);
+/**
+ * Finds the nodes that serve a room, using the room_access table and falling
+ * back to the room regexes for rooms it doesn't cover.
+ * @param {string} roomNumber - The room, e.g. "AL 378"
+ * @param {string|boolean} [useStairs] - Whether staircases may serve the room.
+ *  Otherwise only elevators can.
+ * @return {Array} The IDs of the nodes
+ */
+exports.getNodesToRoom = async function(roomNumber, useStairs = true) {
+  let minType = String(useStairs) === "true" ? 2 : 3;
+  let { entries } = await exports.findRoomAccess(roomNumber);
+
+  return Array.from(
+    new Set(entries.filter(i => i.nodeTypeID >= minType).map(i => i.nodeID))
+  );
 };
+
+function compileRoomRegex(row) {
+  try {
+    return { ...row, regex: new RegExp(row.roomRegEx), error: null };
+  } catch (error) {
+    return { ...row, regex: null, error: error.message };
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * The base class for errors that are sent back to the client. Every error is
+ * serialized as { error: { code, message, details } } with its HTTP status.
+ */
+class ApiError extends Error {
+  constructor(status, code, message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      error: { code: this.code, message: this.message, details: this.details }
+    };
+  }
+}
+
+//A node ID that isn't in the graph
+class UnknownNodeError extends ApiError {
+  constructor(nodeIDs) {
+    super(
+      404,
+      "UNKNOWN_NODE",
+      "Unknown node " + [].concat(nodeIDs).join(", "),
+      { nodeIDs: [].concat(nodeIDs) }
+    );
+  }
+}
+
+//None of the end nodes can be reached from any of the start nodes
+class UnreachableDestinationError extends ApiError {
+  constructor(startIDs, endIDs, profile) {
+    super(
+      422,
+      "UNREACHABLE_DESTINATION",
+      profile.allowStairs
+        ? "There is no route to that destination"
+        : "There is no wheelchair accessible route to that destination",
+      {
+        startIDs: [].concat(startIDs),
+        endIDs,
+        profile: profile.name,
+        noAccessibleRoute: !profile.allowStairs
+      }
+    );
+  }
+}
+
+//A room that isn't served by any node
+class UnknownRoomError extends ApiError {
+  constructor(room) {
+    super(404, "UNKNOWN_ROOM", "Could not find any paths to room " + room, {
+      room
+    });
+  }
+}
+
+//A room that could be in more than one building, such as "Student 152"
+class AmbiguousRoomError extends ApiError {
+  constructor(room, ambiguities) {
+    super(
+      400,
+      "AMBIGUOUS_ROOM",
+      `${room} could be ${ambiguities.map(a => a.room).join(" or ")}`,
+      { room, ambiguities }
+    );
+  }
+}
+
+//A request for something that the client isn't allowed to do
+class ForbiddenError extends ApiError {
+  constructor(message) {
+    super(403, "FORBIDDEN", message);
+  }
+}
+
+//A path that the API doesn't have, or a building that doesn't exist
+class NotFoundError extends ApiError {
+  constructor(message, details) {
+    super(404, "NOT_FOUND", message, details);
+  }
+}
+
+//A path that the API has, but not for the method that was used
+class MethodNotAllowedError extends ApiError {
+  constructor(method, allowed) {
+    super(
+      405,
+      "METHOD_NOT_ALLOWED",
+      `${method} is not supported, use ${allowed.join(", ")}`,
+      { method, allowed }
+    );
+  }
+}
+
+//A request whose URL or parameters can't be understood
+class MalformedQueryError extends ApiError {
+  constructor(message, details) {
+    super(400, "MALFORMED_QUERY", message, details);
+  }
+}
+
+//Anything else that went wrong while handling a request
+class InternalError extends ApiError {
+  constructor() {
+    super(500, "INTERNAL_ERROR", "Something went wrong on the server");
+  }
+}
+
+module.exports = {
+  ApiError,
+  UnknownNodeError,
+  UnreachableDestinationError,
+  UnknownRoomError,
+  AmbiguousRoomError,
+  ForbiddenError,
+  NotFoundError,
+  MethodNotAllowedError,
+  MalformedQueryError,
+  InternalError
+};
@@ -0,0 +1,99 @@
+const routingRules = require("./routingRules.js");
+
+//How fast people move through the tunnels, selected by name. Speeds are in
+//meters per second and penalties are in seconds.
+//  stairsPerFloor - the time it takes to climb or descend one floor of stairs
+//  elevatorWait - the time spent waiting for an elevator to arrive
+//  elevatorPerFloor - the time an elevator takes to travel one floor
+const SPEED_PROFILES = {
+  default: {
+    name: "default",
+    walkingSpeed: 1.4,
+    stairsPerFloor: 15,
+    elevatorWait: 45,
+    elevatorPerFloor: 5
+  },
+  slow: {
+    name: "slow",
+    walkingSpeed: 1.0,
+    stairsPerFloor: 25,
+    elevatorWait: 45,
+    elevatorPerFloor: 5
+  },
+  wheelchair: {
+    name: "wheelchair",
+    walkingSpeed: 1.1,
+    stairsPerFloor: 25,
+    elevatorWait: 60,
+    elevatorPerFloor: 5
+  }
+};
+exports.SPEED_PROFILES = SPEED_PROFILES;
+
+/**
+ * @param {string} name - The name of a speed profile
+ * @return {Object} The profile with that name, or undefined if there isn't one
+ */
+exports.getSpeedProfile = function(name) {
+  return Object.prototype.hasOwnProperty.call(SPEED_PROFILES, name)
+    ? SPEED_PROFILES[name]
+    : undefined;
+};
+
+/**
+ * Picks the speed profile to use when none was asked for. Routes that avoid
+ * stairs are assumed to be taken in a wheelchair.
+ * @param {Object} profile - The routing profile of the route
+ * @return {Object} The speed profile
+ */
+exports.defaultSpeedProfile = function(profile) {
+  return profile.allowStairs
+    ? SPEED_PROFILES.default
+    : SPEED_PROFILES.wheelchair;
+};
+
+/**
+ * Works out how far and how long each connection of a route is.
+ * @param {Object} graph - The graph the route was found in
+ * @param {Object} path - A route from pathfinder.getPath
+ * @param {Object} speedProfile - One of SPEED_PROFILES
+ * @return {Object} { distance, duration, legs }, where legs has the distance
+ *  and duration of each connection in path.edgeIDs. Distances are in meters
+ *  and durations are in seconds.
+ */
+exports.estimate = function(graph, path, speedProfile) {
+  let legs = path.edgeIDs.map((edgeID, i) => {
+    let connection = graph.connections.get(edgeID);
+    let from = graph.nodes.get(path.nodeIDs[i]);
+    let to = graph.nodes.get(path.nodeIDs[i + 1]);
+    let previous = i > 0 ? graph.connections.get(path.edgeIDs[i - 1]) : {};
+
+    let duration = connection.length / speedProfile.walkingSpeed;
+
+    if (routingRules.changesFloors(connection, from, to)) {
+      //Staircases and elevators between nodes on the same floor still take
+      //people up or down a floor into the building
+      let floors = Math.max(1, Math.abs((to.floor || 0) - (from.floor || 0)));
+
+      if (connection.hasElevator === "T") {
+        duration = floors * speedProfile.elevatorPerFloor;
+        //Riding on through another elevator connection doesn't mean waiting again
+        if (previous.hasElevator !== "T") duration += speedProfile.elevatorWait;
+      } else {
+        duration += floors * speedProfile.stairsPerFloor;
+      }
+    }
+
+    return { edgeID, distance: connection.length, duration: round(duration) };
+  });
+
+  return {
+    distance: round(legs.reduce((total, leg) => total + leg.distance, 0)),
+    duration: round(legs.reduce((total, leg) => total + leg.duration, 0)),
+    legs
+  };
+};
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
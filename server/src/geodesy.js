@@ -0,0 +1,144 @@
+/*
+ * Distances, bearings, and projections for points given as { lat, long, elev }
+ * in degrees and meters. Shared by the pathfinding server and the SVG
+ * generator, so it can be loaded with require() or with a <script> tag, which
+ * defines a global named geodesy.
+ */
+(function(root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.geodesy = factory();
+  }
+})(this, function() {
+  let geodesy = {};
+
+  //Radius at ground level at WSU = 6,369,712m  Radius at sea level at WSU= 6,369,424m
+  const EARTH_RADIUS = 6369712;
+  geodesy.EARTH_RADIUS = EARTH_RADIUS;
+
+  //The middle of the tunnel system, used as the origin of local projections
+  const CAMPUS_ORIGIN = { lat: 39.7815, long: -84.063, elev: 0 };
+  geodesy.CAMPUS_ORIGIN = CAMPUS_ORIGIN;
+
+  //How far apart the floors of a building are, in meters, when the heights of
+  //its floors aren't given
+  const FLOOR_HEIGHT = 4;
+  geodesy.FLOOR_HEIGHT = FLOOR_HEIGHT;
+
+  /**
+   * Finds the great-circle distance between two points, ignoring elevation.
+   * @param {Object} a - The first point
+   * @param {Object} b - The second point
+   * @return {number} The distance in meters
+   */
+  geodesy.distance = function(a, b) {
+    let dLat = toRad(b.lat - a.lat);
+    let dLong = toRad(b.long - a.long);
+
+    let h =
+      Math.pow(Math.sin(dLat / 2), 2) +
+      Math.cos(toRad(a.lat)) *
+        Math.cos(toRad(b.lat)) *
+        Math.pow(Math.sin(dLong / 2), 2);
+
+    return 2 * EARTH_RADIUS * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+  };
+
+  /**
+   * Finds the height of a node above the tunnels, counting its elevation and
+   * the floor it is on.
+   * @param {Object} node - A node with elev and floor
+   * @param {Object} [floorHeights] - The height of each floor above the
+   *  tunnels, indexed by floor number. Floors that aren't listed are assumed
+   *  to be FLOOR_HEIGHT apart.
+   * @return {number} The height in meters
+   */
+  geodesy.height = function(node, floorHeights) {
+    let floor = node.floor || 0;
+    let floorHeight =
+      floorHeights && floorHeights[floor] !== undefined
+        ? floorHeights[floor]
+        : floor * FLOOR_HEIGHT;
+
+    return (node.elev || 0) + floorHeight;
+  };
+
+  /**
+   * Finds the straight-line distance between two nodes, including the climb
+   * between their elevations and floors.
+   * @param {Object} a - The first node
+   * @param {Object} b - The second node
+   * @param {Object} [floorHeights] - See height
+   * @return {number} The distance in meters
+   */
+  geodesy.distance3D = function(a, b, floorHeights) {
+    let climb =
+      geodesy.height(a, floorHeights) - geodesy.height(b, floorHeights);
+
+    return Math.hypot(geodesy.distance(a, b), climb);
+  };
+
+  /**
+   * Finds the direction to travel in to get from one point to another.
+   * @param {Object} a - The point to start at
+   * @param {Object} b - The point to go to
+   * @return {number} The initial bearing in degrees clockwise from north,
+   *  from 0 up to 360
+   */
+  geodesy.bearing = function(a, b) {
+    let dLong = toRad(b.long - a.long);
+    let y = Math.sin(dLong) * Math.cos(toRad(b.lat));
+    let x =
+      Math.cos(toRad(a.lat)) * Math.sin(toRad(b.lat)) -
+      Math.sin(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.cos(dLong);
+
+    return (toDeg(Math.atan2(y, x)) + 360) % 360;
+  };
+
+  /**
+   * Projects a point onto a flat east-north-up plane. Over an area the size
+   * of campus the plane is accurate to about a centimeter, so distances on it
+   * can be found with Math.hypot.
+   * @param {Object} point - The point to project
+   * @param {Object} [origin] - The point at the origin of the plane
+   * @return {Object} { east, north, up } in meters from the origin
+   */
+  geodesy.toENU = function(point, origin = CAMPUS_ORIGIN) {
+    return {
+      east:
+        toRad(point.long - origin.long) *
+        EARTH_RADIUS *
+        Math.cos(toRad(origin.lat)),
+      north: toRad(point.lat - origin.lat) * EARTH_RADIUS,
+      up: (point.elev || 0) - (origin.elev || 0)
+    };
+  };
+
+  /**
+   * Turns a point on an east-north-up plane back into a latitude, longitude,
+   * and elevation.
+   * @param {Object} enu - { east, north, up } in meters from the origin
+   * @param {Object} [origin] - The point at the origin of the plane
+   * @return {Object} { lat, long, elev }
+   */
+  geodesy.fromENU = function(enu, origin = CAMPUS_ORIGIN) {
+    return {
+      lat: origin.lat + toDeg(enu.north / EARTH_RADIUS),
+      long:
+        origin.long +
+        toDeg(enu.east / (EARTH_RADIUS * Math.cos(toRad(origin.lat)))),
+      elev: (origin.elev || 0) + (enu.up || 0)
+    };
+  };
+
+  function toRad(deg) {
+    return (deg * Math.PI) / 180;
+  }
+
+  function toDeg(rad) {
+    return (rad * 180) / Math.PI;
+  }
+
+  return geodesy;
+});
@@ -0,0 +1,139 @@
+const { NODE_TYPE_NAMES } = require("./graph.js");
+
+/**
+ * Converts the whole tunnel network to GeoJSON, so that it can be overlaid on
+ * other maps of campus.
+ * @param {Object} graph - The graph from graph.build
+ * @return {Object} A FeatureCollection with:
+ *  - a Point for each node, with its nodeID, type, buildingID, building name,
+ *    floor, and whether it is indoors
+ *  - a LineString for each connection, with its connectionID, the nodes it
+ *    joins, length in meters, and whether it is indoors, has stairs, or has an
+ *    elevator
+ */
+exports.network = function(graph) {
+  let features = [];
+
+  for (let node of graph.nodes.values())
+    features.push(
+      feature(point(node), {
+        kind: "node",
+        nodeID: node.nodeID,
+        type: NODE_TYPE_NAMES[node.nodeTypeID] || "intersection",
+        buildingID: node.buildingID > 0 ? node.buildingID : null,
+        building: buildingName(graph, node.buildingID),
+        floor: node.floor || 0,
+        indoor: flag(node.isIndoors)
+      })
+    );
+
+  for (let connection of graph.connections.values()) {
+    let nodeA = graph.nodes.get(connection.nodeA_ID);
+    let nodeB = graph.nodes.get(connection.nodeB_ID);
+
+    //Dangling connections have nowhere to be drawn, tunnel-graph check lists them
+    if (!nodeA || !nodeB) continue;
+
+    features.push(
+      feature(lineString([nodeA, nodeB]), {
+        kind: "connection",
+        connectionID: connection.connectionID,
+        nodeA_ID: connection.nodeA_ID,
+        nodeB_ID: connection.nodeB_ID,
+        length: connection.length,
+        indoor: isIndoors(connection, nodeA, nodeB),
+        stairs: connection.hasStairs === "T",
+        elevator: connection.hasElevator === "T"
+      })
+    );
+  }
+
+  return featureCollection(features);
+};
+
+/**
+ * Converts a route to GeoJSON.
+ * @param {Object} graph - The graph the route was found in
+ * @param {Object} route - A route from api.findRoute
+ * @return {Object} A FeatureCollection with a LineString for each step of the
+ *  route, carrying the step's properties (distance, duration, type, turn,
+ *  instruction, ...), followed by Points for where the route starts and ends.
+ *  The collection's properties hold the route's distance, duration, profile,
+ *  and speed.
+ */
+exports.route = function(graph, route) {
+  let nodes = route.nodeIDs.map(nodeID => graph.nodes.get(nodeID));
+
+  //GIS tools expect flat properties, so the building and floor are split up
+  let features = route.steps.map(({ building, floor, ...step }, i) =>
+    feature(lineString([nodes[i], nodes[i + 1]]), {
+      kind: "step",
+      index: i,
+      ...step,
+      buildingID: building ? building.buildingID : null,
+      building: building ? building.name : null,
+      floorFrom: floor.from,
+      floorTo: floor.to
+    })
+  );
+
+  features.push(
+    feature(point(nodes[0]), { kind: "start", nodeID: nodes[0].nodeID }),
+    feature(point(nodes[nodes.length - 1]), {
+      kind: "end",
+      nodeID: nodes[nodes.length - 1].nodeID
+    })
+  );
+
+  let collection = featureCollection(features);
+  collection.properties = {
+    distance: route.distance,
+    duration: route.duration,
+    profile: route.profile,
+    speed: route.speed
+  };
+
+  return collection;
+};
+
+//Connections without their own indoors flag are indoors, like the default in
+//the database, unless one of their ends is outside
+function isIndoors(connection, nodeA, nodeB) {
+  let indoors = flag(connection.isIndoors);
+  if (indoors !== null) return indoors;
+
+  return flag(nodeA.isIndoors) !== false && flag(nodeB.isIndoors) !== false;
+}
+
+//The database stores flags as T and F
+function flag(value) {
+  if (value === "T") return true;
+  if (value === "F") return false;
+  return null;
+}
+
+function buildingName(graph, buildingID) {
+  let building = buildingID > 0 ? graph.buildings.get(buildingID) : null;
+  return building ? building.name : null;
+}
+
+//GeoJSON positions are longitude first
+function position(node) {
+  return [node.long, node.lat];
+}
+
+function point(node) {
+  return { type: "Point", coordinates: position(node) };
+}
+
+function lineString(nodes) {
+  return { type: "LineString", coordinates: nodes.map(position) };
+}
+
+function feature(geometry, properties) {
+  return { type: "Feature", geometry, properties };
+}
+
+function featureCollection(features) {
+  return { type: "FeatureCollection", features };
+}
@@ -0,0 +1,175 @@
+const database = require("./database.js");
+const geodesy = require("./geodesy.js");
+const closures = require("./closures.js");
+
+//The values of nodeTypeID, as stored in the types table
+const NODE_TYPES = {
+  INTERSECTION: 0,
+  EXIT: 1,
+  STAIRCASE: 2,
+  ELEVATOR: 3
+};
+exports.NODE_TYPES = NODE_TYPES;
+
+//What each type of node is called in directions and exports
+exports.NODE_TYPE_NAMES = {
+  [NODE_TYPES.INTERSECTION]: "intersection",
+  [NODE_TYPES.EXIT]: "exit",
+  [NODE_TYPES.STAIRCASE]: "staircase",
+  [NODE_TYPES.ELEVATOR]: "elevator"
+};
+
+//The graph that is currently being used for pathfinding
+let currentGraph = null;
+
+/**
+ * Builds an in-memory adjacency structure out of rows from the nodes and
+ * connections tables.
+ * @param {Array} nodeRows - Rows from the nodes table
+ * @param {Array} connectionRows - Rows from the connections table
+ * @param {Array} [buildingRows] - Rows from the buildings table
+ * @param {Array} [closureRows] - Rows from the closures table
+ * @return {Object} An object containing maps of the nodes, the connections,
+ *  the buildings, the edges leaving each node, the position of each node on an
+ *  east-north-up plane, and the vertical cores that each staircase or elevator
+ *  belongs to, along with the closures from closures.fromRows
+ */
+exports.build = function(
+  nodeRows,
+  connectionRows,
+  buildingRows = [],
+  closureRows = []
+) {
+  let graph = {
+    nodes: new Map(),
+    connections: new Map(),
+    buildings: new Map(),
+    adjacency: new Map(),
+    positions: new Map(),
+    closures: closures.fromRows(closureRows),
+    loadedAt: new Date()
+  };
+
+  for (let building of buildingRows) {
+    //Some of the names were saved with trailing line breaks
+    graph.buildings.set(building.buildingID, {
+      ...building,
+      name: building.name.trim()
+    });
+  }
+
+  for (let node of nodeRows) {
+    graph.nodes.set(node.nodeID, node);
+    graph.adjacency.set(node.nodeID, []);
+
+    //Nodes are projected onto a flat plane once so that the distances between
+    //them can be found quickly while searching
+    graph.positions.set(node.nodeID, {
+      ...geodesy.toENU(node),
+      up: geodesy.height(node)
+    });
+  }
+
+  for (let connection of connectionRows) {
+    graph.connections.set(connection.connectionID, connection);
+
+    //Connections are undirected, so store them on both of their ends
+    addEdge(graph, connection.nodeA_ID, connection.nodeB_ID, connection);
+    addEdge(graph, connection.nodeB_ID, connection.nodeA_ID, connection);
+  }
+
+  graph.verticalCores = findVerticalCores(graph);
+
+  return graph;
+};
+
+/**
+ * Loads every node, connection, building, and closure from the database and swaps the result in
+ * as the current graph. Requests that are already running keep using the
+ * graph they started with.
+ * @return {Object} The newly loaded graph
+ */
+exports.load = async function() {
+  //The rooms that nodes serve may have changed too
+  database.forgetRooms();
+
+  let [
+    nodeRows,
+    connectionRows,
+    buildingRows,
+    closureRows
+  ] = await Promise.all([
+    database.allNodes(),
+    database.allEdges(),
+    database.allBuildings(),
+    database.allClosures()
+  ]);
+
+  currentGraph = exports.build(
+    nodeRows,
+    connectionRows,
+    buildingRows,
+    closureRows
+  );
+
+  return currentGraph;
+};
+
+/**
+ * @return {Object} The graph that is currently loaded
+ */
+exports.current = function() {
+  if (!currentGraph) throw new Error("The tunnel graph has not been loaded");
+
+  return currentGraph;
+};
+
+/**
+ * @param {Object} node - A row from the nodes table
+ * @return {boolean} Whether the node is a staircase or an elevator
+ */
+exports.isVertical = function(node) {
+  return (
+    node.nodeTypeID === NODE_TYPES.STAIRCASE ||
+    node.nodeTypeID === NODE_TYPES.ELEVATOR
+  );
+};
+
+//Groups staircases and elevators that are connected to each other into cores.
+//Each vertical node is mapped to the set of nodes its core touches: the
+//members of the core and every node adjacent to one of them.
+function findVerticalCores(graph) {
+  let cores = new Map();
+
+  for (let node of graph.nodes.values()) {
+    if (!exports.isVertical(node) || cores.has(node.nodeID)) continue;
+
+    let touches = new Set([node.nodeID]);
+    let toVisit = [node.nodeID];
+
+    while (toVisit.length > 0) {
+      let thisNodeID = toVisit.pop();
+      cores.set(thisNodeID, touches);
+
+      for (let edge of graph.adjacency.get(thisNodeID)) {
+        let nextNode = graph.nodes.get(edge.nextNodeID);
+        if (!nextNode || touches.has(edge.nextNodeID)) continue;
+
+        touches.add(edge.nextNodeID);
+        if (exports.isVertical(nextNode)) toVisit.push(edge.nextNodeID);
+      }
+    }
+  }
+
+  return cores;
+}
+
+function addEdge(graph, fromID, toID, connection) {
+  if (!graph.adjacency.has(fromID)) graph.adjacency.set(fromID, []);
+
+  graph.adjacency.get(fromID).push({
+    connectionID: connection.connectionID,
+    length: connection.length,
+    nextNodeID: toID
+  });
+}
@@ -0,0 +1,193 @@
+const geodesy = require("./geodesy.js");
+const tunnelGraph = require("./graph.js");
+
+//How far a connection's length may be from the distance between its nodes,
+//as a fraction of that distance and as an absolute number of meters. A length
+//is only reported when it is off by more than both. Tunnels that bend are
+//longer than the straight line between their ends, so this is generous.
+const DEFAULT_TOLERANCE = { fraction: 0.25, meters: 2 };
+exports.DEFAULT_TOLERANCE = DEFAULT_TOLERANCE;
+
+/**
+ * Looks for mistakes in the tunnel data that would break or skew routes.
+ * @param {Object} graph - A graph made by graph.build
+ * @param {Object} [options]
+ * @param {Object} [options.tolerance] - How far lengths may be off, see
+ *  DEFAULT_TOLERANCE
+ * @return {Array} The problems that were found, each with the name of the
+ *  check that found it, a message, and the IDs of the nodes and connections
+ *  involved
+ */
+exports.run = function(graph, options = {}) {
+  let tolerance = { ...DEFAULT_TOLERANCE, ...options.tolerance };
+
+  return [
+    ...danglingConnections(graph),
+    ...orphanNodes(graph),
+    ...disconnectedComponents(graph),
+    ...unreachableVerticalNodes(graph),
+    ...duplicateConnections(graph),
+    ...wrongLengths(graph, tolerance)
+  ];
+};
+
+//Connections whose ends aren't in the nodes table
+function danglingConnections(graph) {
+  let problems = [];
+
+  for (let connection of graph.connections.values()) {
+    let missing = [connection.nodeA_ID, connection.nodeB_ID].filter(
+      i => !graph.nodes.has(i)
+    );
+
+    if (missing.length > 0)
+      problems.push({
+        check: "dangling",
+        message: `Connection ${
+          connection.connectionID
+        } leads to missing node ${missing.join(" and ")}`,
+        nodeIDs: missing,
+        connectionIDs: [connection.connectionID]
+      });
+  }
+
+  return problems;
+}
+
+//Nodes without any connections
+function orphanNodes(graph) {
+  return Array.from(graph.nodes.keys())
+    .filter(nodeID => graph.adjacency.get(nodeID).length === 0)
+    .map(nodeID => ({
+      check: "orphan",
+      message: `Node ${nodeID} has no connections`,
+      nodeIDs: [nodeID],
+      connectionIDs: []
+    }));
+}
+
+//Groups of connected nodes that can't be reached from the rest of the graph.
+//The largest group is taken to be the tunnel system, and orphans are left to
+//orphanNodes.
+function disconnectedComponents(graph) {
+  let seen = new Set();
+  let components = [];
+
+  for (let nodeID of graph.nodes.keys()) {
+    if (seen.has(nodeID)) continue;
+
+    let component = [];
+    let toVisit = [nodeID];
+    seen.add(nodeID);
+
+    while (toVisit.length > 0) {
+      let thisNodeID = toVisit.pop();
+      component.push(thisNodeID);
+
+      for (let edge of graph.adjacency.get(thisNodeID)) {
+        if (seen.has(edge.nextNodeID) || !graph.nodes.has(edge.nextNodeID))
+          continue;
+
+        seen.add(edge.nextNodeID);
+        toVisit.push(edge.nextNodeID);
+      }
+    }
+
+    components.push(component);
+  }
+
+  components.sort((a, b) => b.length - a.length);
+
+  return components
+    .slice(1)
+    .filter(component => component.length > 1)
+    .map(component => ({
+      check: "component",
+      message: `Nodes ${component
+        .sort((a, b) => a - b)
+        .join(", ")} aren't connected to the rest of the tunnels`,
+      nodeIDs: component,
+      connectionIDs: []
+    }));
+}
+
+//Staircases and elevators that can only be reached through other staircases
+//and elevators, so no route from the tunnels can get to them. Ones without
+//any connections are left to orphanNodes.
+function unreachableVerticalNodes(graph) {
+  let problems = [];
+
+  for (let node of graph.nodes.values()) {
+    let edges = graph.adjacency.get(node.nodeID);
+    if (!tunnelGraph.isVertical(node) || edges.length === 0) continue;
+
+    let hasIntersection = edges.some(edge => {
+      let nextNode = graph.nodes.get(edge.nextNodeID);
+      return nextNode && !tunnelGraph.isVertical(nextNode);
+    });
+
+    if (!hasIntersection)
+      problems.push({
+        check: "vertical",
+        message: `Node ${node.nodeID} is a staircase or elevator with no intersection or exit next to it`,
+        nodeIDs: [node.nodeID],
+        connectionIDs: []
+      });
+  }
+
+  return problems;
+}
+
+//Connections between the same pair of nodes
+function duplicateConnections(graph) {
+  let byPair = new Map();
+
+  for (let connection of graph.connections.values()) {
+    let pair = [connection.nodeA_ID, connection.nodeB_ID]
+      .sort((a, b) => a - b)
+      .join("-");
+
+    if (!byPair.has(pair)) byPair.set(pair, []);
+    byPair.get(pair).push(connection.connectionID);
+  }
+
+  return Array.from(byPair)
+    .filter(([, connectionIDs]) => connectionIDs.length > 1)
+    .map(([pair, connectionIDs]) => ({
+      check: "duplicate",
+      message: `Connections ${connectionIDs.join(
+        ", "
+      )} all join nodes ${pair.split("-").join(" and ")}`,
+      nodeIDs: pair.split("-").map(i => +i),
+      connectionIDs
+    }));
+}
+
+//Connections whose length is far from the distance between their nodes
+function wrongLengths(graph, tolerance) {
+  let problems = [];
+
+  for (let connection of graph.connections.values()) {
+    let nodeA = graph.nodes.get(connection.nodeA_ID);
+    let nodeB = graph.nodes.get(connection.nodeB_ID);
+    if (!nodeA || !nodeB) continue;
+
+    let distance = geodesy.distance3D(nodeA, nodeB);
+    let difference = Math.abs(connection.length - distance);
+
+    if (
+      !(difference <= tolerance.meters) &&
+      !(difference <= distance * tolerance.fraction)
+    )
+      problems.push({
+        check: "length",
+        message: `Connection ${connection.connectionID} is ${
+          connection.length
+        } m long, but its nodes are ${distance.toFixed(2)} m apart`,
+        nodeIDs: [connection.nodeA_ID, connection.nodeB_ID],
+        connectionIDs: [connection.connectionID]
+      });
+  }
+
+  return problems;
+}
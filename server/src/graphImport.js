@@ -0,0 +1,623 @@
+const geodesy = require("./geodesy.js");
+const { NODE_TYPES, NODE_TYPE_NAMES } = require("./graph.js");
+
+//How close, in meters, a drawn node has to be to a node on the same floor of
+//the current graph to be taken as that node
+const DEFAULT_SNAP = 1;
+exports.DEFAULT_SNAP = DEFAULT_SNAP;
+
+//The highway values of ways that can be walked along, even when they loop
+//back on themselves
+const ROUTABLE_HIGHWAYS = ["footway", "corridor", "steps", "elevator"];
+
+//The indoor values of outlines, which are areas rather than paths
+const INDOOR_AREAS = ["room", "area", "level", "wall"];
+
+//Widths are drawn in meters, but the connections table keeps whole feet
+const METERS_PER_FOOT = 0.3048;
+
+//The columns compared when diffing, and how far apart numbers may be
+const NODE_FIELDS = {
+  lat: 1e-7,
+  long: 1e-7,
+  floor: 0,
+  buildingID: 0,
+  nodeTypeID: 0,
+  isIndoors: 0
+};
+const CONNECTION_FIELDS = {
+  nodeA_ID: 0,
+  nodeB_ID: 0,
+  length: 0.01,
+  isIndoors: 0,
+  hasStairs: 0,
+  hasElevator: 0
+};
+
+/**
+ * Turns an indoor map into rows for the nodes and connections tables.
+ *
+ * Only ways that can be walked along are imported: corridors, footways, steps,
+ * elevators, ways that lead to a door, and connections written by tunnel-graph
+ * export. Rooms and other areas, and closed ways that aren't highways, are
+ * outlines rather than paths, so they are skipped.
+ *
+ * Ways become chains of connections. Only the vertices that matter are kept as
+ * nodes: the ends of ways, the vertices where ways meet, and vertices with
+ * tags of their own. The vertices in between are bends, which are counted in
+ * the length of the connection.
+ *
+ * Floors come from the level tag of a node, or else of its way. A node on
+ * several levels, like an elevator tagged level=0;1;2, becomes one node per
+ * level joined by elevator connections. The first vertex of a way on several
+ * levels, like stairs tagged level=0;1, is on the first level and the last is
+ * on the last.
+ *
+ * Lengths are measured along the ways, unless a way that becomes a single
+ * connection has a length tag, as the ones written by tunnel-graph export do.
+ * Widths are read in meters, as in OpenStreetMap, unless they are written in
+ * feet ("5 ft" or "5'"), and are stored as whole feet rounded down.
+ *
+ * IDs are kept when a node or way has a nodeID or connectionID tag. Otherwise
+ * nodes within the snap distance of a node on the same floor of the graph
+ * take its ID and position, and connections between the same nodes as one in
+ * the graph take its ID.
+ * Everything else is given a new ID above the highest one in the graph.
+ * @param {Object} map - The map from indoorMap
+ * @param {Object} graph - The current graph, from graph.build
+ * @param {Object} [options]
+ * @param {number} [options.snap] - See DEFAULT_SNAP
+ * @param {number} [options.firstNodeID] - The first new node ID to give out
+ * @param {number} [options.firstConnectionID] - The first new connection ID
+ * @return {Object} { nodes, connections, warnings }, where nodes and
+ *  connections are rows in the same shape as the storage backends return
+ */
+exports.toRows = function(map, graph, options = {}) {
+  let snap = options.snap !== undefined ? options.snap : DEFAULT_SNAP;
+  let warnings = [];
+  let buildingIDs = buildingsByName(graph);
+
+  let paths = map.ways.filter(way => isRoutable(way, map.nodes));
+  if (paths.length < map.ways.length)
+    warnings.push(
+      `Skipped ${map.ways.length -
+        paths.length} ways that aren't corridors, footways, steps, or elevators`
+    );
+
+  //Every vertex of every way, on the level it is used at
+  let uses = new Map();
+  let chains = paths.map(way => {
+    let wayLevels = levels(way.tags.level);
+
+    return way.nodeRefs.map((ref, i) => {
+      let node = map.nodes.get(ref);
+      let nodeLevels = levels(node.tags.level);
+      let floor;
+
+      if (node.tags.floor !== undefined) floor = +node.tags.floor;
+      else if (nodeLevels.length === 1) floor = nodeLevels[0];
+      else if (wayLevels.length === 1) floor = wayLevels[0];
+      else if (wayLevels.length > 1)
+        floor =
+          i === way.nodeRefs.length - 1
+            ? wayLevels[wayLevels.length - 1]
+            : wayLevels[0];
+      else floor = nodeLevels.length > 0 ? nodeLevels[0] : 0;
+
+      let key = ref + "@" + floor;
+      if (!uses.has(key)) uses.set(key, { node, floor, ways: [] });
+      uses.get(key).ways.push(way);
+
+      return key;
+    });
+  });
+
+  //Nodes of an elevator that no way reaches are still stops of the elevator,
+  //and points that no way uses are kept on their own
+  let usedRefs = new Set(Array.from(uses.values()).map(use => use.node.ref));
+  for (let node of map.nodes.values()) {
+    let nodeLevels = levels(node.tags.level);
+    let used = usedRefs.has(node.ref);
+
+    if (isElevator(node.tags) && nodeLevels.length > 1) {
+      for (let floor of nodeLevels)
+        if (!uses.has(node.ref + "@" + floor))
+          uses.set(node.ref + "@" + floor, { node, floor, ways: [] });
+    } else if (!used && Object.keys(node.tags).length > 0) {
+      let floor =
+        node.tags.floor !== undefined
+          ? +node.tags.floor
+          : nodeLevels.length > 0
+          ? nodeLevels[0]
+          : 0;
+      uses.set(node.ref + "@" + floor, { node, floor, ways: [] });
+    }
+  }
+
+  //Decide which vertices become nodes, and what they are
+  let ends = new Set();
+  let stairsEnds = new Set();
+  chains.forEach((chain, w) => {
+    for (let key of [chain[0], chain[chain.length - 1]]) {
+      ends.add(key);
+      if (isStairs(paths[w].tags)) stairsEnds.add(key);
+    }
+  });
+
+  let rows = new Map();
+  for (let [key, use] of uses) {
+    let { node, floor, ways } = use;
+    let keep =
+      ends.has(key) ||
+      ways.length !== 1 ||
+      Object.keys(node.tags).some(tag => tag !== "level");
+    if (!keep) continue;
+
+    rows.set(key, {
+      nodeID: null,
+      lat: node.lat,
+      long: node.long,
+      elev: 0,
+      isIndoors: isIndoors(node.tags) ? "T" : "F",
+      buildingID: buildingID(node.tags, ways, buildingIDs, warnings),
+      floor,
+      nodeTypeID: nodeType(node.tags, stairsEnds.has(key)),
+      tags: node.tags
+    });
+  }
+
+  assignNodeIDs(rows, graph, snap, options.firstNodeID, warnings);
+
+  //Split ways into connections at the vertices that became nodes
+  let connections = [];
+  paths.forEach((way, w) => {
+    let chain = chains[w];
+    let start = 0;
+    let pieces = [];
+
+    for (let i = 1; i < chain.length; i++) {
+      if (!rows.has(chain[i])) continue;
+      pieces.push(chain.slice(start, i + 1));
+      start = i;
+    }
+
+    for (let piece of pieces) {
+      let points = piece.map(key => ({
+        ...uses.get(key).node,
+        floor: uses.get(key).floor
+      }));
+
+      connections.push({
+        connectionID: pieces.length === 1 ? tagID(way.tags.connectionID) : null,
+        nodeA_ID: rows.get(piece[0]).nodeID,
+        nodeB_ID: rows.get(piece[piece.length - 1]).nodeID,
+        length:
+          pieces.length === 1 && tagNumber(way.tags.length) !== null
+            ? tagNumber(way.tags.length)
+            : round(measure(points)),
+        isIndoors: isIndoors(way.tags) ? "T" : "F",
+        hasStairs: isStairs(way.tags) ? "T" : "F",
+        hasElevator: flag(way.tags.elevator) ? "T" : "F",
+        width: widthInFeet(way.tags.width)
+      });
+    }
+  });
+
+  //Join the floors of each elevator
+  let elevatorStops = new Map();
+  for (let [key, row] of rows) {
+    let node = uses.get(key).node;
+    if (!isElevator(node.tags)) continue;
+
+    if (!elevatorStops.has(node.ref)) elevatorStops.set(node.ref, []);
+    elevatorStops.get(node.ref).push(row);
+  }
+  for (let stops of elevatorStops.values()) {
+    stops.sort((a, b) => a.floor - b.floor);
+    for (let i = 1; i < stops.length; i++)
+      connections.push({
+        connectionID: null,
+        nodeA_ID: stops[i - 1].nodeID,
+        nodeB_ID: stops[i].nodeID,
+        length: round(geodesy.distance3D(stops[i - 1], stops[i])),
+        isIndoors: "T",
+        hasStairs: "F",
+        hasElevator: "T",
+        width: null
+      });
+  }
+
+  assignConnectionIDs(connections, graph, options.firstConnectionID, warnings);
+
+  return {
+    nodes: Array.from(rows.values()).map(({ tags, ...row }) => row),
+    connections,
+    warnings: Array.from(new Set(warnings))
+  };
+};
+
+/**
+ * Compares imported rows with the current graph.
+ * @param {Object} graph - The current graph
+ * @param {Object} rows - { nodes, connections } from toRows
+ * @param {Object} [options]
+ * @param {boolean} [options.replace] - Whether the rows are the whole network,
+ *  so that anything in the graph that isn't in them is removed. Otherwise the
+ *  rows are added to the graph.
+ * @return {Object} { nodes, connections }, each with the added rows, the
+ *  changed rows as { row, changes: { column: [old, new] } }, and the removed
+ *  rows
+ */
+exports.diff = function(graph, rows, options = {}) {
+  return {
+    nodes: diffTable(graph.nodes, rows.nodes, "nodeID", NODE_FIELDS, options),
+    connections: diffTable(
+      graph.connections,
+      rows.connections,
+      "connectionID",
+      CONNECTION_FIELDS,
+      options
+    )
+  };
+};
+
+/**
+ * Writes the SQL that applies a diff to the database, in one transaction.
+ * @param {Object} diff - The diff from diff
+ * @return {string} The statements
+ */
+exports.toSql = function(diff) {
+  let statements = ["START TRANSACTION;"];
+
+  for (let row of diff.connections.removed)
+    statements.push(
+      `DELETE FROM connections WHERE connectionID = ${row.connectionID};`
+    );
+  for (let row of diff.nodes.removed)
+    statements.push(`DELETE FROM nodes WHERE nodeID = ${row.nodeID};`);
+
+  for (let row of diff.nodes.added) statements.push(insert("nodes", row));
+  for (let { row, changes } of diff.nodes.changed)
+    statements.push(update("nodes", "nodeID", row, changes));
+
+  for (let row of diff.connections.added)
+    statements.push(insert("connections", row));
+  for (let { row, changes } of diff.connections.changed)
+    statements.push(update("connections", "connectionID", row, changes));
+
+  statements.push("COMMIT;");
+  return statements.join("\n");
+};
+
+function diffTable(current, rows, idColumn, fields, options) {
+  let added = [];
+  let changed = [];
+  let seen = new Set();
+
+  for (let row of rows) {
+    seen.add(row[idColumn]);
+    let old = current.get(row[idColumn]);
+    if (!old) {
+      added.push(row);
+      continue;
+    }
+
+    let changes = {};
+    for (let field in fields) {
+      let [a, b] = [value(old, field), value(row, field)];
+      let same =
+        typeof a === "number" && typeof b === "number"
+          ? Math.abs(a - b) <= fields[field]
+          : a === b;
+      if (!same) changes[field] = [a, b];
+    }
+    if (Object.keys(changes).length > 0) changed.push({ row, changes });
+  }
+
+  let removed = options.replace
+    ? Array.from(current.values()).filter(row => !seen.has(row[idColumn]))
+    : [];
+
+  return { added, changed, removed };
+}
+
+//Empty columns are read as their defaults in the database schema, and empty
+//floors as the ground floor like everywhere else in the server
+const EMPTY_VALUES = {
+  floor: 0,
+  isIndoors: "T",
+  hasStairs: "F",
+  hasElevator: "F"
+};
+
+function value(row, field) {
+  if (row[field] === undefined || row[field] === null)
+    return EMPTY_VALUES[field] !== undefined ? EMPTY_VALUES[field] : null;
+
+  return row[field];
+}
+
+function assignNodeIDs(rows, graph, snap, firstNodeID, warnings) {
+  let taken = new Set();
+  let next = firstNodeID !== undefined ? firstNodeID : nextID(graph.nodes);
+
+  //Nodes with an ID of their own come first, so that they keep it
+  let ordered = Array.from(rows.values()).sort(
+    (a, b) => (tagID(a.tags.nodeID) === null) - (tagID(b.tags.nodeID) === null)
+  );
+
+  for (let row of ordered) {
+    let id = tagID(row.tags.nodeID);
+    if (id !== null && taken.has(id)) {
+      warnings.push(`Node ID ${id} is used more than once, giving it a new ID`);
+      id = null;
+    }
+
+    if (id === null) {
+      let nearby = nearestNode(graph, row, snap);
+      if (nearby && !taken.has(nearby.nodeID)) {
+        id = nearby.nodeID;
+        snapTo(row, nearby);
+      }
+    }
+
+    if (id === null) {
+      while (taken.has(next) || graph.nodes.has(next)) next++;
+      id = next;
+    }
+
+    taken.add(id);
+    row.nodeID = id;
+  }
+}
+
+function assignConnectionIDs(connections, graph, firstConnectionID, warnings) {
+  let taken = new Set();
+  let next =
+    firstConnectionID !== undefined
+      ? firstConnectionID
+      : nextID(graph.connections);
+
+  let existing = new Map();
+  for (let connection of graph.connections.values())
+    existing.set(pairKey(connection), connection.connectionID);
+
+  for (let connection of connections) {
+    let id = connection.connectionID;
+    if (id !== null && taken.has(id)) {
+      warnings.push(
+        `Connection ID ${id} is used more than once, giving it a new ID`
+      );
+      id = null;
+    }
+
+    if (id === null && existing.has(pairKey(connection))) {
+      let match = existing.get(pairKey(connection));
+      if (!taken.has(match)) id = match;
+    }
+
+    if (id === null) {
+      while (taken.has(next) || graph.connections.has(next)) next++;
+      id = next;
+    }
+
+    taken.add(id);
+    connection.connectionID = id;
+  }
+}
+
+function nextID(rows) {
+  return rows.size > 0 ? Math.max(...rows.keys()) + 1 : 0;
+}
+
+//A drawn node that snapped to a node stays where that node is, and a plain
+//vertex keeps everything else about it too
+function snapTo(row, node) {
+  row.lat = node.lat;
+  row.long = node.long;
+
+  if (Object.keys(row.tags).every(tag => tag === "level")) {
+    row.buildingID = node.buildingID;
+    row.nodeTypeID = node.nodeTypeID;
+    if (node.isIndoors) row.isIndoors = node.isIndoors;
+  }
+}
+
+function nearestNode(graph, row, snap) {
+  let nearest = null;
+  let nearestDistance = snap;
+
+  for (let node of graph.nodes.values()) {
+    if ((node.floor || 0) !== row.floor) continue;
+
+    let distance = geodesy.distance(node, row);
+    if (distance <= nearestDistance) {
+      nearest = node;
+      nearestDistance = distance;
+    }
+  }
+
+  return nearest;
+}
+
+//Connections are undirected, so the same pair of nodes in either order match
+function pairKey(connection) {
+  return [connection.nodeA_ID, connection.nodeB_ID]
+    .sort((a, b) => a - b)
+    .join("-");
+}
+
+//Adds up the distances between consecutive vertices, including any climbs
+function measure(points) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++)
+    length += geodesy.distance3D(points[i - 1], points[i]);
+
+  return length;
+}
+
+//Levels are written as 0, 0;1;2, or a range like 0-2
+function levels(level) {
+  if (level === undefined || level === null || level === "") return [];
+
+  let result = [];
+  for (let part of String(level).split(";")) {
+    let range = part.trim().match(/^(-?\d+)-(-?\d+)$/);
+    if (range)
+      for (let floor = +range[1]; floor <= +range[2]; floor++)
+        result.push(floor);
+    else if (part.trim() !== "" && !Number.isNaN(+part)) result.push(+part);
+  }
+
+  return result;
+}
+
+function nodeType(tags, endsStairs) {
+  let named = Object.keys(NODE_TYPE_NAMES).find(
+    id => NODE_TYPE_NAMES[id] === tags.type
+  );
+  if (named !== undefined) return +named;
+
+  if (isElevator(tags)) return NODE_TYPES.ELEVATOR;
+  if (flag(tags.stairs) || tags.highway === "steps")
+    return NODE_TYPES.STAIRCASE;
+
+  if (tags.door !== undefined || tags.entrance !== undefined)
+    return NODE_TYPES.EXIT;
+
+  //Otherwise the ends of stairs are where the staircase is
+  if (endsStairs) return NODE_TYPES.STAIRCASE;
+
+  return NODE_TYPES.INTERSECTION;
+}
+
+function buildingID(tags, ways, buildingIDs, warnings) {
+  let sources = [tags, ...ways.map(way => way.tags)];
+
+  for (let source of sources) {
+    let id = tagID(source.buildingID);
+    if (id !== null) return id;
+
+    if (source.building && source.building !== "yes") {
+      let byName = buildingIDs.get(String(source.building).toLowerCase());
+      if (byName !== undefined) return byName;
+
+      warnings.push(`Unknown building ${source.building}`);
+    }
+  }
+
+  return 0;
+}
+
+function buildingsByName(graph) {
+  let byName = new Map();
+  for (let building of graph.buildings.values())
+    byName.set(building.name.toLowerCase(), building.buildingID);
+
+  return byName;
+}
+
+function isRoutable(way, nodes) {
+  let { tags, nodeRefs } = way;
+  let closed =
+    nodeRefs.length > 2 && nodeRefs[0] === nodeRefs[nodeRefs.length - 1];
+
+  if (flag(tags.area) || INDOOR_AREAS.includes(tags.indoor)) return false;
+  if (closed && !ROUTABLE_HIGHWAYS.includes(tags.highway)) return false;
+
+  //Connections written by tunnel-graph export
+  if (tags.kind === "connection" || tagID(tags.connectionID) !== null)
+    return true;
+
+  if (tags.indoor === "corridor" || ROUTABLE_HIGHWAYS.includes(tags.highway))
+    return true;
+  if (isStairs(tags) || flag(tags.elevator)) return true;
+
+  //Paths drawn up to a door lead into or out of a building
+  return nodeRefs.some(ref => {
+    let node = nodes.get(ref);
+    return node.tags.door !== undefined || node.tags.entrance !== undefined;
+  });
+}
+
+//Rounding down keeps a corridor that is just too narrow from passing as wide
+//enough
+function widthInFeet(value) {
+  let match = /^\s*(\d+(?:\.\d+)?)\s*(m|ft|')?\s*$/.exec(
+    value === undefined || value === null ? "" : String(value)
+  );
+  if (!match) return null;
+
+  let feet =
+    match[2] === "ft" || match[2] === "'"
+      ? +match[1]
+      : match[1] / METERS_PER_FOOT;
+  return Math.floor(feet + 1e-9);
+}
+
+function isElevator(tags) {
+  return tags.highway === "elevator" || tags.type === "elevator";
+}
+
+function isStairs(tags) {
+  return tags.highway === "steps" || flag(tags.stairs);
+}
+
+//Everything drawn is in the tunnels unless it is tagged indoor=no
+function isIndoors(tags) {
+  return tags.indoor !== "no" && tags.indoor !== false;
+}
+
+//Tags are strings in OSM and can be booleans in GeoJSON
+function flag(value) {
+  return value === true || value === "yes" || value === "T";
+}
+
+function tagNumber(value) {
+  return value !== undefined &&
+    value !== null &&
+    value !== "" &&
+    !Number.isNaN(+value)
+    ? +value
+    : null;
+}
+
+function tagID(value) {
+  return value !== undefined && value !== null && /^\d+$/.test(String(value))
+    ? +value
+    : null;
+}
+
+function insert(table, row) {
+  let columns = Object.keys(row);
+  return `INSERT INTO ${table} (${columns
+    .map(column => "`" + column + "`")
+    .join(", ")}) VALUES (${columns
+    .map(column => sqlValue(row[column]))
+    .join(", ")});`;
+}
+
+function update(table, idColumn, row, changes) {
+  let assignments = Object.keys(changes).map(
+    column => "`" + column + "` = " + sqlValue(row[column])
+  );
+  return `UPDATE ${table} SET ${assignments.join(", ")} WHERE ${idColumn} = ${
+    row[idColumn]
+  };`;
+}
+
+function sqlValue(value) {
+  if (value === null || value === undefined) return "NULL";
+  if (typeof value === "number") return String(value);
+  return (
+    "'" +
+    String(value)
+      .replace(/\\/g, "\\\\")
+      .replace(/'/g, "''") +
+    "'"
+  );
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
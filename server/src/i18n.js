@@ -0,0 +1,54 @@
+const messages = require("../../src/i18n/messages.js");
+
+//The message catalogs for the directions, by language code
+const CATALOGS = {
+  en: require("./locales/en.json"),
+  es: require("./locales/es.json")
+};
+
+//Messages missing from a catalog fall back to this language
+const DEFAULT_LANGUAGE = "en";
+exports.DEFAULT_LANGUAGE = DEFAULT_LANGUAGE;
+
+//The language codes that have a catalog
+exports.LANGUAGES = Object.keys(CATALOGS);
+
+/**
+ * Looks up a message and fills in its parameters, the same way as the app
+ * does with src/i18n/messages.js. Messages can be split into plural forms
+ * (one, few, many, other, ...), which are picked using the count parameter.
+ * @param {string} language - The language code, e.g. "es"
+ * @param {string|Array} key - The path to the message in the catalog, e.g.
+ *  "step.stairs.up", or an array of its parts when they contain dots or spaces
+ * @param {Object} [params] - The values for the {placeholders} in the message.
+ *  Numbers are formatted for the language.
+ * @return {string} The message
+ * @throws {Error} If none of the catalogs have the message
+ */
+exports.translate = function(language, key, params = {}) {
+  let path = Array.isArray(key) ? key : key.split(".");
+  let message = messages.translate(
+    CATALOGS,
+    DEFAULT_LANGUAGE,
+    language,
+    path,
+    params
+  );
+  if (message === undefined)
+    throw new Error("There is no message for " + path.join("."));
+
+  return message;
+};
+
+/**
+ * Writes a distance for people who are walking it. Distances are rounded to
+ * the nearest 5 meters once they are long enough that nobody is counting steps.
+ * @param {string} language - The language code
+ * @param {number} meters - The distance in meters
+ * @return {string} The distance with its unit, e.g. "80 m"
+ */
+exports.formatDistance = function(language, meters) {
+  let count = meters < 20 ? Math.round(meters) : Math.round(meters / 5) * 5;
+
+  return exports.translate(language, "unit.meters", { count });
+};
@@ -0,0 +1,220 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Reads an indoor map drawn in a GIS editor.
+ * @param {string} file - The path to a .geojson/.json or .osm/.xml file
+ * @param {string} [format] - geojson or osm, guessed from the file's extension
+ *  when it isn't given
+ * @return {Object} The map, see parseGeoJSON
+ * @throws {Error} If the format can't be guessed or the file can't be parsed
+ */
+exports.readFile = function(file, format) {
+  format = format || guessFormat(file);
+  let text = fs.readFileSync(file, "utf8");
+
+  if (format === "geojson") return exports.parseGeoJSON(text);
+  if (format === "osm") return exports.parseOSM(text);
+  throw new Error(`Unknown map format ${format}, use geojson or osm`);
+};
+
+/**
+ * Reads the points and lines of a GeoJSON FeatureCollection. Lines that share
+ * a vertex are joined there, and a Point on a vertex gives it its tags. The
+ * properties of features are used as tags, so both Simple Indoor Tagging
+ * (indoor, level, door, highway=elevator, ...) and the properties written by
+ * tunnel-graph export (nodeID, type, buildingID, floor, ...) are understood.
+ * @param {string|Object} geojson - The GeoJSON text or object
+ * @return {Object} { nodes, ways, skipped }, where nodes maps a reference to
+ *  { ref, lat, long, tags }, ways is an array of { ref, nodeRefs, tags } in
+ *  the order they were drawn, and skipped counts the features that aren't
+ *  points or lines, such as corridors drawn as areas
+ */
+exports.parseGeoJSON = function(geojson) {
+  let collection = typeof geojson === "string" ? JSON.parse(geojson) : geojson;
+  if (!collection || collection.type !== "FeatureCollection")
+    throw new Error("The GeoJSON must be a FeatureCollection");
+
+  let nodes = new Map();
+  let ways = [];
+  let skipped = 0;
+
+  //Points are read first so that lines can find them by their coordinates.
+  //Points with a nodeID can also be found by it, which tells apart nodes that
+  //are stacked on different floors.
+  let byCoordinates = new Map();
+  let features = collection.features.filter(feature => feature.geometry);
+  for (let feature of features) {
+    if (feature.geometry.type !== "Point") continue;
+
+    let properties = feature.properties || {};
+    let coordinates = coordinateRef(feature.geometry.coordinates);
+    let ref =
+      properties.nodeID !== undefined && properties.nodeID !== null
+        ? "node:" + properties.nodeID
+        : coordinates;
+
+    nodes.set(ref, {
+      ref,
+      ...position(feature.geometry.coordinates),
+      tags: { ...properties }
+    });
+    if (!byCoordinates.has(coordinates)) byCoordinates.set(coordinates, ref);
+  }
+
+  features.forEach((feature, i) => {
+    let properties = feature.properties || {};
+    let { type, coordinates } = feature.geometry;
+    let lines =
+      type === "LineString"
+        ? [coordinates]
+        : type === "MultiLineString"
+        ? coordinates
+        : [];
+
+    if (type !== "Point" && lines.length === 0) skipped++;
+
+    for (let line of lines) {
+      let nodeRefs = line.map((vertex, v) => {
+        //Connections written by tunnel-graph export name the nodes at their ends
+        let endID =
+          v === 0
+            ? properties.nodeA_ID
+            : v === line.length - 1
+            ? properties.nodeB_ID
+            : undefined;
+        if (endID !== undefined && nodes.has("node:" + endID))
+          return "node:" + endID;
+
+        let ref = coordinateRef(vertex);
+        if (byCoordinates.has(ref)) return byCoordinates.get(ref);
+
+        nodes.set(ref, { ref, ...position(vertex), tags: {} });
+        byCoordinates.set(ref, ref);
+        return ref;
+      });
+
+      ways.push({
+        ref: String(feature.id !== undefined ? feature.id : i),
+        nodeRefs,
+        tags: { ...properties }
+      });
+    }
+  });
+
+  return { nodes, ways, skipped };
+};
+
+/**
+ * Reads the nodes and ways of an OpenStreetMap XML file, such as one saved by
+ * JOSM. Relations are ignored.
+ * @param {string} xml - The OSM XML
+ * @return {Object} { nodes, ways, skipped }, see parseGeoJSON. skipped
+ *  counts the relations.
+ */
+exports.parseOSM = function(xml) {
+  let nodes = new Map();
+  let ways = [];
+  let skipped = 0;
+
+  //OSM files are flat, so each element can be matched on its own
+  let elements = /<(node|way|relation)\b([^>]*?)(\/>|>([\s\S]*?)<\/\1>)/g;
+  let match;
+
+  while ((match = elements.exec(xml)) !== null) {
+    let [, kind, attributeText, , body = ""] = match;
+    let attributes = readAttributes(attributeText);
+    let tags = readTags(body);
+
+    //Deleted elements are kept in files saved by JOSM until they are uploaded
+    if (attributes.action === "delete") continue;
+
+    if (kind === "node") {
+      nodes.set(attributes.id, {
+        ref: attributes.id,
+        lat: +attributes.lat,
+        long: +attributes.lon,
+        tags
+      });
+    } else if (kind === "way") {
+      let nodeRefs = [];
+      let nd = /<nd\b([^>]*?)\/>/g;
+      let ndMatch;
+      while ((ndMatch = nd.exec(body)) !== null)
+        nodeRefs.push(readAttributes(ndMatch[1]).ref);
+
+      ways.push({ ref: attributes.id, nodeRefs, tags });
+    } else {
+      skipped++;
+    }
+  }
+
+  for (let way of ways) {
+    let missing = way.nodeRefs.find(ref => !nodes.has(ref));
+    if (missing !== undefined)
+      throw new Error(
+        `Way ${way.ref} uses node ${missing}, which isn't in the file`
+      );
+  }
+
+  return { nodes, ways, skipped };
+};
+
+function guessFormat(file) {
+  let extension = path.extname(file).toLowerCase();
+
+  if (extension === ".geojson" || extension === ".json") return "geojson";
+  if (extension === ".osm" || extension === ".xml") return "osm";
+  throw new Error(
+    `Can't tell the format of ${file} from its extension, give --input geojson or --input osm`
+  );
+}
+
+//Vertices are matched by their coordinates, rounded to about a centimeter so
+//that lines snapped together in an editor still meet
+function coordinateRef(coordinates) {
+  return coordinates
+    .slice(0, 2)
+    .map(c => c.toFixed(7))
+    .join(",");
+}
+
+//GeoJSON positions are longitude first
+function position(coordinates) {
+  return { lat: coordinates[1], long: coordinates[0] };
+}
+
+function readAttributes(text) {
+  let attributes = {};
+  let attribute = /([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+
+  while ((match = attribute.exec(text)) !== null)
+    attributes[match[1]] = unescapeXml(
+      match[3] !== undefined ? match[3] : match[4]
+    );
+
+  return attributes;
+}
+
+function readTags(body) {
+  let tags = {};
+  let tag = /<tag\b([^>]*?)\/>/g;
+  let match;
+
+  while ((match = tag.exec(body)) !== null) {
+    let { k, v } = readAttributes(match[1]);
+    tags[k] = v;
+  }
+
+  return tags;
+}
+
+function unescapeXml(text) {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
@@ -0,0 +1,254 @@
+const geodesy = require("./geodesy.js");
+const i18n = require("./i18n.js");
+const routingRules = require("./routingRules.js");
+const { NODE_TYPE_NAMES } = require("./graph.js");
+
+/**
+ * Names the turn between two bearings. Turns of less than 22.5 degrees are
+ * straight and turns of less than 45 degrees are slight.
+ * @param {number} from - The bearing being followed, in degrees
+ * @param {number} to - The bearing being turned onto, in degrees
+ * @return {string} straight, slight left, left, slight right, or right
+ */
+exports.getTurn = function(from, to) {
+  //Bring the angle between -180 and 180 degrees, with right turns positive
+  let angle = ((to - from + 540) % 360) - 180;
+
+  if (Math.abs(angle) < 22.5) return "straight";
+
+  let side = angle > 0 ? "right" : "left";
+  return Math.abs(angle) < 45 ? "slight " + side : side;
+};
+
+/**
+ * Builds turn-by-turn directions for a route, one step for each connection.
+ * Each step describes the connection and what to do at the node it leads to.
+ * @param {Object} graph - The graph the route was found in
+ * @param {Object} path - A route from pathfinder.getPath
+ * @param {Array} [legs] - The legs from eta.estimate, used for durations
+ * @param {string} [language] - The language to write the instructions in,
+ *  from i18n.LANGUAGES
+ * @return {Array} The steps, each with:
+ *  - edgeID, fromNodeID, and toNodeID
+ *  - distance (in meters) and duration (in seconds) to the maneuver
+ *  - bearing, the direction of the connection in degrees from north, or null
+ *    if it only goes up or down
+ *  - type: continue, stairs, elevator, or arrive
+ *  - turn: straight, slight left, left, slight right, right, or null when
+ *    there is nothing to turn onto, such as at the end or before stairs
+ *  - nodeType, the kind of node the step ends at
+ *  - building, { buildingID, name } of the building the step ends in, or
+ *    null outside of the buildings
+ *  - floor, { from, to }
+ *  - instruction, the step in words
+ */
+exports.build = function(
+  graph,
+  path,
+  legs = [],
+  language = i18n.DEFAULT_LANGUAGE
+) {
+  let nodes = path.nodeIDs.map(i => graph.nodes.get(i));
+  //Staircases and elevators that are stacked on top of each other don't have
+  //a direction
+  let bearings = path.edgeIDs.map((edgeID, i) =>
+    geodesy.distance(nodes[i], nodes[i + 1]) < 0.5
+      ? null
+      : geodesy.bearing(nodes[i], nodes[i + 1])
+  );
+
+  return path.edgeIDs.map((edgeID, i) => {
+    let connection = graph.connections.get(edgeID);
+    let from = nodes[i];
+    let to = nodes[i + 1];
+    let isLast = i === path.edgeIDs.length - 1;
+    let building = graph.buildings.get(to.buildingID);
+
+    let step = {
+      edgeID,
+      fromNodeID: from.nodeID,
+      toNodeID: to.nodeID,
+      distance: connection.length,
+      duration: legs[i] ? legs[i].duration : null,
+      bearing: bearings[i] === null ? null : Math.round(bearings[i]),
+      type: "continue",
+      turn:
+        isLast || bearings[i] === null || bearings[i + 1] === null
+          ? null
+          : exports.getTurn(bearings[i], bearings[i + 1]),
+      nodeType: NODE_TYPE_NAMES[to.nodeTypeID] || "intersection",
+      building:
+        building && building.buildingID > 0
+          ? { buildingID: building.buildingID, name: building.name }
+          : null,
+      floor: { from: from.floor || 0, to: to.floor || 0 }
+    };
+
+    if (routingRules.changesFloors(connection, from, to)) {
+      step.type = connection.hasElevator === "T" ? "elevator" : "stairs";
+    } else if (isLast) {
+      step.type = "arrive";
+    }
+
+    step.instruction = describe(step, language);
+    return step;
+  });
+};
+
+/**
+ * Groups steps into maneuvers, so that going straight through several
+ * intersections is read as one instruction. A maneuver ends wherever the route
+ * turns, changes floors, enters a building, or arrives.
+ * @param {Object} graph - The graph the route was found in
+ * @param {Object} path - A route from pathfinder.getPath
+ * @param {Array} steps - The steps from build
+ * @param {string} [language] - The language to write the instructions in
+ * @return {Array} The maneuvers, each with:
+ *  - startIndex and endIndex, the positions in path.nodeIDs that it goes
+ *    between, and edgeIDs, the connections it follows
+ *  - distance and duration, the totals of its steps
+ *  - type, turn, and floor, from its last step
+ *  - entering, { buildingID, name } of the building it enters, or null
+ *  - toward, { buildingID, name } of the next building the route goes into
+ *    after it turns, or null
+ *  - instruction, the maneuver in words, e.g. "In 40 m, turn left toward
+ *    Millett Hall"
+ */
+exports.merge = function(graph, path, steps, language = i18n.DEFAULT_LANGUAGE) {
+  let start = graph.nodes.get(path.nodeIDs[0]);
+  let buildingIDs = [start.buildingID > 0 ? start.buildingID : null].concat(
+    steps.map(step => (step.building ? step.building.buildingID : null))
+  );
+
+  let maneuvers = [];
+  let startIndex = 0;
+
+  steps.forEach((step, i) => {
+    let entering =
+      step.building && step.building.buildingID !== buildingIDs[i]
+        ? step.building
+        : null;
+
+    let goesOn =
+      step.type === "continue" &&
+      (step.turn === "straight" || step.turn === null) &&
+      !entering;
+    if (goesOn) return;
+
+    let group = steps.slice(startIndex, i + 1);
+    let maneuver = {
+      startIndex,
+      endIndex: i + 1,
+      edgeIDs: group.map(step => step.edgeID),
+      distance: round(group.reduce((total, step) => total + step.distance, 0)),
+      duration: round(
+        group.reduce((total, step) => total + (step.duration || 0), 0)
+      ),
+      type: step.type,
+      turn: step.turn,
+      floor: step.floor,
+      entering,
+      toward: null
+    };
+
+    //Name the next building the route goes into, to give the turn a landmark
+    if (step.turn && step.turn !== "straight") {
+      let next = steps
+        .slice(i + 1)
+        .find(
+          later =>
+            later.building && later.building.buildingID !== buildingIDs[i + 1]
+        );
+      maneuver.toward = next ? next.building : null;
+    }
+
+    //The distance to walk before the maneuver, not counting the stairs or
+    //elevator itself
+    let approach =
+      step.type === "stairs" || step.type === "elevator"
+        ? maneuver.distance - step.distance
+        : maneuver.distance;
+
+    maneuver.instruction = describeManeuver(maneuver, step, approach, language);
+    maneuvers.push(maneuver);
+    startIndex = i + 1;
+  });
+
+  return maneuvers;
+};
+
+function describeManeuver(maneuver, lastStep, approach, language) {
+  const t = (key, params) => i18n.translate(language, key, params);
+  let action;
+
+  if (maneuver.type === "stairs" || maneuver.type === "elevator") {
+    action = lowerFirst(lastStep.instruction);
+  } else if (maneuver.type === "arrive") {
+    action = t(["maneuver", "arrive"], {
+      place: t(["place", "the", lastStep.nodeType])
+    });
+  } else if (maneuver.turn && maneuver.turn !== "straight") {
+    action = t(["maneuver", "turn", maneuver.turn]);
+    if (maneuver.toward)
+      action = t("maneuver.toward", {
+        action,
+        building: maneuver.toward.name
+      });
+  }
+
+  let parts = [];
+  if (maneuver.entering)
+    parts.push(t("maneuver.entering", { building: maneuver.entering.name }));
+  if (action) parts.push(action);
+
+  //Stairs and elevators right next to the last maneuver don't need a distance
+  let instruction =
+    approach < 5 && action
+      ? parts.join(", ")
+      : t(action ? "maneuver.in" : "maneuver.continue", {
+          distance: i18n.formatDistance(language, approach),
+          parts: parts.join(", ")
+        });
+
+  return instruction.charAt(0).toUpperCase() + instruction.slice(1);
+}
+
+function lowerFirst(text) {
+  return text.charAt(0).toLowerCase() + text.slice(1);
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function describe(step, language) {
+  const t = (key, params) => i18n.translate(language, key, params);
+
+  if (step.type === "stairs" || step.type === "elevator") {
+    if (step.floor.from === step.floor.to)
+      return t(["step", step.type, "into"], {
+        building: step.building ? step.building.name : t("building.unnamed")
+      });
+
+    let direction = step.floor.to > step.floor.from ? "up" : "down";
+    return t(["step", step.type, direction], { floor: step.floor.to });
+  }
+
+  if (step.type === "arrive")
+    return step.building
+      ? t("step.arriveIn", {
+          place: t(["place", "the", step.nodeType]),
+          building: step.building.name
+        })
+      : t("step.arrive", { place: t(["place", "the", step.nodeType]) });
+
+  let place = t(["place", "next", step.nodeType]);
+  if (step.building)
+    place = t("place.inBuilding", { place, building: step.building.name });
+
+  if (step.turn === null) return t("step.head", { place });
+
+  if (step.turn === "straight") return t("step.straight", { place });
+
+  return t(["step", "turn", step.turn], { place });
+}
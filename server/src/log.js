@@ -0,0 +1,25 @@
+//The levels that can be logged at, from the most to the least important
+const LEVELS = ["error", "warn", "info", "debug"];
+exports.LEVELS = LEVELS;
+
+let currentLevel = "info";
+
+/**
+ * Sets the least important level that is still logged.
+ * @param {string} level - One of LEVELS
+ */
+exports.setLevel = function(level) {
+  if (!LEVELS.includes(level)) throw new Error("Unknown log level " + level);
+
+  currentLevel = level;
+};
+
+for (let level of LEVELS) {
+  //Errors and warnings go to stderr, everything else goes to stdout
+  let write =
+    level === "error" || level === "warn" ? console.error : console.log;
+
+  exports[level] = function(...args) {
+    if (LEVELS.indexOf(level) <= LEVELS.indexOf(currentLevel)) write(...args);
+  };
+}
@@ -1,48 +1,89 @@
-const database = require("./database.js");
-const coordinate = require("./coordinate.js");
+const tunnelGraph = require("./graph.js");
+const PriorityQueue = require("./priorityQueue.js");
+const routingRules = require("./routingRules.js");
+const {
+  UnknownNodeError,
+  UnreachableDestinationError
+} = require("./errors.js");
 const DEBUG = 0;
 
 /**
- * Uses A* to find a path from one node to another or from one node to the
- * nearest of an array of nodes.
- * @param {number} startID - The ID of the node to start at
+ * Uses A* to find a path from one node to another or from the nearest of an
+ * array of nodes to the nearest of another, such as from any entrance of one
+ * building to any entrance of another.
+ * @param {number|Array} startIDs - The ID(s) of the node(s) to start at
  * @param {number|Array} endIDs - The ID(s) of the node(s) to end at
+ * @param {Object} [options]
+ * @param {Object} [options.graph] - The graph to search, defaults to the one
+ *  that is currently loaded
+ * @param {Object} [options.profile] - The routing profile to follow, from
+ *  routingRules.PROFILES
+ * @param {Object} [options.closures] - The closures to route around, from
+ *  closures.active
  * @return {Object} An object containing data representing the shortest path
- *  between two points
+ *  between two points. Its first node is the start that the path leaves from.
+ * @throws {UnknownNodeError} If a start node or an end node isn't in the graph
+ * @throws {UnreachableDestinationError} If none of the end nodes can be reached
+ *  from any of the start nodes
  */
-exports.getPath = async function(startID, endIDs) {
-  //Make sure that endIDs is an array
+exports.getPath = async function(startIDs, endIDs, options = {}) {
+  //Make sure that startIDs and endIDs are arrays
+  if (!Array.isArray(startIDs)) startIDs = [startIDs];
   if (!Array.isArray(endIDs)) endIDs = [endIDs];
 
-  //Retrieve the information about all of the ending nodes
-  let endNodes = new Map();
+  //Run against a single snapshot of the graph, even if it is reloaded mid-search
+  const graph = options.graph || tunnelGraph.current();
 
-  //Load in the data for all of the possible end IDs
-  for (let i of endIDs) {
-    let nodeData = await database.node(i);
-    endNodes.set(i, nodeData);
+  //Make sure that every node is actually in the graph
+  let unknownIDs = [...startIDs, ...endIDs].filter(i => !graph.nodes.has(i));
+  if (unknownIDs.length > 0) throw new UnknownNodeError(unknownIDs);
 
-    if (DEBUG >= 5) {
+  if (DEBUG >= 5) {
+    for (let i of endIDs) {
       console.log("Set end node " + i + " to: ");
-      console.log(nodeData);
+      console.log(graph.nodes.get(i));
     }
   }
 
-  //Create a stack to hold the ID's frontier nodes.  this should be kept sorted at all times
-  let toVisit = [{ id: startID, heuristic: 0 }];
+  //Decide which nodes and connections this route is allowed to use
+  let profile = options.profile || routingRules.PROFILES.default;
+  let rules = routingRules.create(
+    graph,
+    startIDs,
+    endIDs,
+    profile,
+    options.closures
+  );
+
+  //Create a priority queue to hold the frontier nodes, ordered by their heuristic
+  let toVisit = new PriorityQueue();
 
   //Stores the distance to each of the nodes visited. Unvisited nodes will have a distance of -1
   let distances = new Map();
-  distances.set(startID, 0);
 
   //Stores the node preceding any given node in the path
   let previousNodes = new Map();
-  previousNodes.set(startID, { nodeID: startID, edgeID: undefined });
+
+  //Every start is on the frontier from the beginning, so the search finds the
+  //shortest path from whichever start is nearest
+  for (let startID of startIDs) {
+    toVisit.push(
+      { id: startID, distance: 0 },
+      crowFlight(graph, startID, endIDs)
+    );
+    distances.set(startID, 0);
+    previousNodes.set(startID, { nodeID: startID, edgeID: undefined });
+  }
 
   //Begin A* pathfinding
-  while (toVisit.length > 0) {
+  while (!toVisit.isEmpty()) {
     //Get the ID of the next node to be visited
-    var thisNodeID = toVisit.pop().id;
+    let next = toVisit.pop();
+    var thisNodeID = next.id;
+
+    //Skip entries that were queued before a shorter path to the node was found
+    if (next.distance > distances.get(thisNodeID)) continue;
+
     if (DEBUG >= 3) console.log("Popped node " + thisNodeID);
 
     //Check to see if an end node has been reached
@@ -59,16 +100,24 @@ exports.getPath = async function(startID, endIDs) {
     }
 
     //Get the nodes adjacent to this node
-    let edges = await database.adjacentNodes(thisNodeID);
+    let edges = graph.adjacency.get(thisNodeID) || [];
 
     for (let edge of edges) {
-      let currentPath = distances.get(thisNodeID) + edge.length;
+      let otherNode = graph.nodes.get(edge.nextNodeID);
+
+      //Skip anything that the route isn't allowed to pass through, such as
+      //stairs that don't lead toward the destination
+      if (!otherNode || !rules.canTraverse(thisNodeID, edge, otherNode))
+        continue;
+
+      let currentPath =
+        distances.get(thisNodeID) + rules.cost(thisNodeID, edge, otherNode);
 
       let previousPath = distances.get(edge.nextNodeID);
 
       //Check to see if either the next node hasn't been visited or the path to the node
       //via the current path is shorter than the previous one
-      if (!previousPath || currentPath < previousPath) {
+      if (previousPath === undefined || currentPath < previousPath) {
         //Store the total distance to that node
         distances.set(edge.nextNodeID, currentPath);
 
@@ -78,59 +127,35 @@ exports.getPath = async function(startID, endIDs) {
           edgeID: edge.connectionID
         });
 
-        let otherNode = await database.node(edge.nextNodeID);
-
-        //Check to see if the node is an intersection or an exit, so the
-        //  algorithm doen't plot through stair                                                                    V-- this is a temporary fix. It is bad.
-        if (
-          endIDs.includes(otherNode[0].nodeID) ||
-          otherNode[0].nodeTypeID === 0 ||
-          otherNode[0].nodeTypeID === 1 ||
-          thisNodeID === 1 ||
-          thisNodeID === 2 ||
-          thisNodeID === 3
-        ) {
-          //Get the minimum distance from otherNode to the end node
-          let crowFlightToEnd = Math.min(
-            ...endIDs.map(i =>
-              coordinate.distanceTo(otherNode[0], endNodes.get(i)[0])
-            )
-          );
+        //Get the minimum distance from otherNode to the end node
+        let crowFlightToEnd = crowFlight(graph, edge.nextNodeID, endIDs);
+
+        //Get the A* heuristic distance for this node
+        let heuristic = currentPath + crowFlightToEnd;
 
-          //Get the A* heuristic distance for this node
-          let heuristic = currentPath + crowFlightToEnd;
-
-          //Get the index where this node should be spliced in
-          let insertIndex = toVisit.length;
-          while (
-            insertIndex !== 0 &&
-            heuristic > toVisit[insertIndex - 1].heuristic
-          )
-            insertIndex--;
-
-          //And splice it in
-          toVisit.splice(insertIndex, 0, {
-            id: edge.nextNodeID,
-            heuristic: heuristic
-          });
-
-          if (DEBUG >= 3)
-            console.log(
-              "Inserted node " + edge.nextNodeID + " at index " + insertIndex
-            );
-        }
+        //Add it to the frontier
+        toVisit.push({ id: edge.nextNodeID, distance: currentPath }, heuristic);
+
+        if (DEBUG >= 3)
+          console.log(
+            "Queued node " + edge.nextNodeID + " with heuristic " + heuristic
+          );
       }
     }
   }
 
+  //Check to see if the search ran out of nodes before reaching an end
+  if (firstEndID === undefined)
+    throw new UnreachableDestinationError(startIDs, endIDs, profile);
+
   //Get the path taken..
 
   //Object to store path data
-  let path = { nodeIDs: [firstEndID], edgeIDs: [] };
+  let path = { nodeIDs: [firstEndID], edgeIDs: [], profile: profile.name };
 
   //Iterate backwards through the path, storing it into the path object arrays
   //Note that the resulting arrays will be backwards from the actual direction of the path...
-  while (path.nodeIDs[path.nodeIDs.length - 1] !== startID) {
+  while (!startIDs.includes(path.nodeIDs[path.nodeIDs.length - 1])) {
     //Get the ID of this node
     var thisID = path.nodeIDs[path.nodeIDs.length - 1];
     //Get the previous node in the path
@@ -148,32 +173,23 @@ exports.getPath = async function(startID, endIDs) {
   return path;
 };
 
+//The straight-line distance from a node to the nearest of the end nodes
+function crowFlight(graph, nodeID, endIDs) {
+  return Math.min(...endIDs.map(i => planarDistance(graph, nodeID, i)));
+}
+
+//The straight-line distance between two nodes, including the climb between
+//their floors
+function planarDistance(graph, nodeA_ID, nodeB_ID) {
+  let a = graph.positions.get(nodeA_ID);
+  let b = graph.positions.get(nodeB_ID);
+
+  return Math.hypot(a.east - b.east, a.north - b.north, a.up - b.up);
+}
+
 if (DEBUG >= 1) {
   let asyncTest = async function() {
-    //Check to see that all nodes have valid connections
-    if (DEBUG >= 11) {
-      for (var i = 1; i < 138; i++) {
-        console.log("------------------------------------");
-        console.log("Nodes connected to " + i);
-        console.log("------------------------------------");
-
-        let hasSomethingBesidesAStairOrElevator = false;
-
-        let edges = await database.adjacentNodes(i);
-        for (let edge of edges) {
-          let nodeData = await database.node(edge.nextNodeID);
-          console.log(nodeData);
-          if (nodeData[0].nodeTypeID === 0 || nodeData[0].nodeTypeID === 1)
-            hasSomethingBesidesAStairOrElevator = true;
-        }
-
-        if (!hasSomethingBesidesAStairOrElevator) {
-          console.log(
-            "\x1b[31;1mThis node does not have any routable connections!\x1b[0m"
-          );
-        }
-      }
-    }
+    await tunnelGraph.load();
 
     console.log("Testing some dummy paths...");
     console.log(await exports.getPath(1, [6, 5, 13]));
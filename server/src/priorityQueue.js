@@ -0,0 +1,101 @@
+/**
+ * A binary min-heap. Values with the lowest priority are popped first, and
+ * values with equal priorities are popped in the order they were pushed.
+ */
+class PriorityQueue {
+  constructor() {
+    this.heap = [];
+    this.pushed = 0;
+  }
+
+  get size() {
+    return this.heap.length;
+  }
+
+  isEmpty() {
+    return this.heap.length === 0;
+  }
+
+  /**
+   * Adds a value to the queue in O(log n) time.
+   * @param {*} value - The value to store
+   * @param {number} priority - The priority of the value, lowest first
+   */
+  push(value, priority) {
+    this.heap.push({ value, priority, order: this.pushed++ });
+    this.siftUp(this.heap.length - 1);
+  }
+
+  /**
+   * Removes the value with the lowest priority in O(log n) time.
+   * @return {*} The value with the lowest priority, or undefined if the queue
+   *  is empty
+   */
+  pop() {
+    if (this.heap.length === 0) return undefined;
+
+    let top = this.heap[0];
+    let last = this.heap.pop();
+
+    if (this.heap.length > 0) {
+      this.heap[0] = last;
+      this.siftDown(0);
+    }
+
+    return top.value;
+  }
+
+  /**
+   * @return {*} The value with the lowest priority without removing it
+   */
+  peek() {
+    return this.heap.length > 0 ? this.heap[0].value : undefined;
+  }
+
+  siftUp(index) {
+    while (index > 0) {
+      let parent = (index - 1) >> 1;
+      if (!this.before(index, parent)) break;
+
+      this.swap(index, parent);
+      index = parent;
+    }
+  }
+
+  siftDown(index) {
+    while (true) {
+      let left = 2 * index + 1;
+      let right = left + 1;
+      let smallest = index;
+
+      if (left < this.heap.length && this.before(left, smallest))
+        smallest = left;
+      if (right < this.heap.length && this.before(right, smallest))
+        smallest = right;
+
+      if (smallest === index) break;
+
+      this.swap(index, smallest);
+      index = smallest;
+    }
+  }
+
+  //Check to see if the entry at index a should be popped before the one at b
+  before(a, b) {
+    let entryA = this.heap[a];
+    let entryB = this.heap[b];
+
+    if (entryA.priority !== entryB.priority)
+      return entryA.priority < entryB.priority;
+
+    return entryA.order < entryB.order;
+  }
+
+  swap(a, b) {
+    let temp = this.heap[a];
+    this.heap[a] = this.heap[b];
+    this.heap[b] = temp;
+  }
+}
+
+module.exports = PriorityQueue;
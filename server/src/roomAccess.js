@@ -0,0 +1,305 @@
+//Rooms are written as a building's abbreviation and a number, which may have
+//a letter before it for a wing and letters after it, e.g. "SU 031A"
+const ROOM = /^([A-Z]+) ([A-Z]*)(\d+)([A-Z]*)$/;
+
+//The columns of the room_access table
+exports.COLUMNS = [
+  "roomAccessID",
+  "nodeID",
+  "building",
+  "floor",
+  "firstRoom",
+  "lastRoom",
+  "rooms"
+];
+
+//Runs of room numbers shorter than this are listed room by room rather than
+//written as a range
+const MIN_RANGE = 10;
+
+/**
+ * Reads rows from the room_access table. Each row says that a node serves
+ * rooms in a building, narrowed down by a floor, a range of room numbers,
+ * and/or a list of rooms. A row with none of them serves the whole building.
+ * @param {Array} rows - Rows from the room_access table, with the nodeTypeID
+ *  of each row's node
+ * @return {Array} The rows, each with a roomAccessID, nodeID, nodeTypeID,
+ *  building (the abbreviation used in its rooms), floor, firstRoom and
+ *  lastRoom, and rooms (an array, or null if the row doesn't list any)
+ */
+exports.fromRows = function(rows) {
+  return rows.map(row => ({
+    roomAccessID: +row.roomAccessID,
+    nodeID: +row.nodeID,
+    nodeTypeID: +row.nodeTypeID,
+    building: String(row.building).trim(),
+    floor: isSet(row.floor) ? +row.floor : null,
+    firstRoom: isSet(row.firstRoom) ? String(row.firstRoom).trim() : null,
+    lastRoom: isSet(row.lastRoom) ? String(row.lastRoom).trim() : null,
+    rooms: isSet(row.rooms) ? String(row.rooms).split(/[\s;]+/) : null
+  }));
+};
+
+/**
+ * Splits a room into its parts.
+ * @param {string} room - The room, e.g. "SU 031A"
+ * @return {Object} { building, number, prefix, digits, suffix, floor }, where
+ *  number is written as in the room, digits is its digits as a number, and
+ *  floor is the first of three digits, or null if the room isn't written as a
+ *  building and a number
+ */
+exports.parseRoom = function(room) {
+  let match = ROOM.exec(String(room).trim());
+  if (!match) return null;
+
+  let [, building, prefix, digits, suffix] = match;
+  return {
+    building,
+    number: prefix + digits + suffix,
+    prefix,
+    digits: +digits,
+    suffix,
+    floor: digits.length === 3 ? +digits[0] : null
+  };
+};
+
+/**
+ * Checks whether a row of the room_access table serves a room. Floors and
+ * ranges go by the digits of the room number, so they take in rooms with
+ * letters before or after the digits. Rooms listed in a row have to be
+ * written the same way.
+ * @param {Object} row - A row, from fromRows
+ * @param {string} room - The room, e.g. "AL 378"
+ * @return {boolean} Whether the row serves the room
+ */
+exports.serves = function(row, room) {
+  let parsed = exports.parseRoom(room);
+  if (!parsed || parsed.building !== row.building) return false;
+
+  if (row.floor !== null && parsed.floor !== row.floor) return false;
+
+  if (row.firstRoom !== null || row.lastRoom !== null) {
+    let first = row.firstRoom === null ? -Infinity : digitsOf(row.firstRoom);
+    let last = row.lastRoom === null ? Infinity : digitsOf(row.lastRoom);
+    if (parsed.digits < first || parsed.digits > last) return false;
+  }
+
+  if (row.rooms !== null && !row.rooms.includes(parsed.number)) return false;
+
+  return true;
+};
+
+/**
+ * Finds the rows of the room_access table that serve a room.
+ * @param {Array} rows - The rows, from fromRows
+ * @param {string} room - The room, e.g. "AL 378"
+ * @return {Array} The rows that serve the room
+ */
+exports.lookup = function(rows, room) {
+  return rows.filter(row => exports.serves(row, room));
+};
+
+/**
+ * Turns the room regexes into room_access rows. Each regex is tried against
+ * every three digit room number in the buildings it names, and the numbers it
+ * matches are written as floors, ranges, and lists of rooms. The result is
+ * then checked against the rooms that the app offers.
+ * @param {Array} regexes - The compiled room regexes, from
+ *  database.roomRegexes
+ * @param {Array} rooms - The rooms to check the result against, from
+ *  buildings.allRooms
+ * @return {Object} { rows, unconverted, differences }:
+ *  - rows: the room_access rows, numbered from 1
+ *  - unconverted: the regexes that no rows could be made for, with the reason
+ *  - differences: the rooms that the rows would send to different nodes than
+ *    the regexes do, with the nodeIDs of each
+ */
+exports.fromRegexes = function(regexes, rooms) {
+  let rows = [];
+  let unconverted = [];
+
+  for (let entry of regexes) {
+    if (!entry.regex) {
+      unconverted.push({ ...describe(entry), reason: entry.error });
+      continue;
+    }
+
+    let converted = convertRegex(entry);
+    if (converted.length === 0)
+      unconverted.push({
+        ...describe(entry),
+        reason: "It doesn't match any three digit room numbers"
+      });
+
+    rows.push(...converted);
+  }
+
+  rows.forEach((row, i) => (row.roomAccessID = i + 1));
+
+  return {
+    rows,
+    unconverted,
+    differences: compare(rows, regexes, rooms)
+  };
+};
+
+/**
+ * Lists the columns of a row as they are stored in the room_access table.
+ * @param {Object} row - A row, from fromRows or fromRegexes
+ * @return {Object} The columns, without the node's type
+ */
+exports.toColumns = function(row) {
+  return {
+    roomAccessID: row.roomAccessID,
+    nodeID: row.nodeID,
+    building: row.building,
+    floor: row.floor,
+    firstRoom: row.firstRoom,
+    lastRoom: row.lastRoom,
+    rooms: row.rooms === null ? null : row.rooms.join(" ")
+  };
+};
+
+/**
+ * Describes the rooms that a row serves, e.g. "AL floor 1" or "BS 140-299".
+ * @param {Object} row - A row, from fromRows or fromRegexes
+ * @return {string} The description
+ */
+exports.describe = function(row) {
+  let parts = [row.building];
+
+  if (row.floor !== null) parts.push("floor " + row.floor);
+  if (row.firstRoom !== null || row.lastRoom !== null)
+    parts.push((row.firstRoom || "") + "-" + (row.lastRoom || ""));
+  if (row.rooms !== null) parts.push(row.rooms.join(", "));
+  if (parts.length === 1) parts.push("every room");
+
+  return parts.join(" ");
+};
+
+/**
+ * Writes the SQL that fills the room_access table with rows.
+ * @param {Array} rows - The rows, from fromRegexes
+ * @return {string} The statements
+ */
+exports.toSql = function(rows) {
+  let statements = ["START TRANSACTION;", "DELETE FROM room_access;"];
+
+  for (let row of rows) {
+    let columns = exports.toColumns(row);
+    statements.push(
+      `INSERT INTO room_access (${Object.keys(columns)
+        .map(column => "`" + column + "`")
+        .join(", ")}) VALUES (${Object.values(columns)
+        .map(sqlValue)
+        .join(", ")});`
+    );
+  }
+
+  statements.push("COMMIT;");
+  return statements.join("\n");
+};
+
+//Tries the regex against every three digit number in each building that it
+//names, then writes the numbers it matched as whole floors, ranges, and lists
+function convertRegex(entry) {
+  let rows = [];
+  let buildings = new Set(entry.roomRegEx.match(/[A-Z]{2,}/g) || []);
+
+  for (let building of buildings) {
+    let numbers = [];
+    for (let number = 0; number < 1000; number++)
+      if (entry.regex.test(building + " " + pad(number))) numbers.push(number);
+
+    let base = {
+      nodeID: entry.nodeID,
+      nodeTypeID: entry.nodeTypeID,
+      building,
+      floor: null,
+      firstRoom: null,
+      lastRoom: null,
+      rooms: null
+    };
+    let listed = [];
+
+    for (let [first, last] of runs(numbers)) {
+      if (first % 100 === 0 && last === first + 99) {
+        rows.push({ ...base, floor: first / 100 });
+      } else if (last - first + 1 >= MIN_RANGE) {
+        rows.push({ ...base, firstRoom: pad(first), lastRoom: pad(last) });
+      } else {
+        for (let number = first; number <= last; number++)
+          listed.push(pad(number));
+      }
+    }
+
+    if (listed.length > 0) rows.push({ ...base, rooms: listed });
+  }
+
+  return rows;
+}
+
+//Splits sorted numbers into runs of consecutive numbers, as [first, last]
+function runs(numbers) {
+  let found = [];
+
+  for (let number of numbers) {
+    let run = found[found.length - 1];
+    if (run && run[1] === number - 1) run[1] = number;
+    else found.push([number, number]);
+  }
+
+  return found;
+}
+
+//Rooms covered by the rows go to the nodes of the rows, and the rest go to
+//the regexes, the same as database.getNodesToRoom
+function compare(rows, regexes, rooms) {
+  let differences = [];
+  let seen = new Set();
+
+  for (let { room } of rooms) {
+    if (seen.has(room)) continue;
+    seen.add(room);
+
+    let fromRegexes = nodeIDs(
+      regexes.filter(entry => entry.regex && entry.regex.test(room))
+    );
+    let covering = exports.lookup(rows, room);
+    let fromRows = covering.length > 0 ? nodeIDs(covering) : fromRegexes;
+
+    if (fromRegexes.join() !== fromRows.join())
+      differences.push({ room, fromRegexes, fromRows });
+  }
+
+  return differences;
+}
+
+function nodeIDs(entries) {
+  return Array.from(new Set(entries.map(entry => entry.nodeID))).sort(
+    (a, b) => a - b
+  );
+}
+
+function describe(entry) {
+  return { nodeID: entry.nodeID, roomRegEx: entry.roomRegEx };
+}
+
+function sqlValue(value) {
+  if (value === null) return "NULL";
+  if (typeof value === "number") return String(value);
+  return "'" + String(value).replace(/'/g, "''") + "'";
+}
+
+function digitsOf(room) {
+  return +String(room).replace(/\D/g, "");
+}
+
+function pad(number) {
+  return String(number).padStart(3, "0");
+}
+
+//Missing values may be null, undefined, or empty, depending on the backend
+function isSet(value) {
+  return value !== null && value !== undefined && value !== "";
+}
@@ -0,0 +1,118 @@
+const { NODE_TYPES } = require("./graph.js");
+
+//Nodes that shouldn't serve any rooms are given regexes that can never match,
+//such as "a^This staircase leads to the outside", to note why
+const DISABLED = /^a\^/;
+
+//Where the lookup for a room found the nodes that serve it
+const SOURCES = {
+  table: "in the room_access table",
+  regex: "through their regexes"
+};
+
+/**
+ * Checks that the rooms that the app offers can be routed to. Each room is
+ * looked up the same way routes are, from the room_access table first and the
+ * room regexes otherwise.
+ * @param {Array} rooms - The rooms, from buildings.allRooms
+ * @param {Array} regexes - The compiled room regexes, from
+ *  database.roomRegexes
+ * @param {Function} findRoomAccess - Finds what serves a room, like
+ *  database.findRoomAccess
+ * @return {Array} The problems that were found, each with the name of the
+ *  check that found it, a message, the rooms and nodeIDs involved, and the
+ *  source of the lookup ("table", "regex", or null) for room checks:
+ *  - uncovered: rooms that no staircase or elevator serves, so routes to them
+ *    fail
+ *  - stairsOnly: rooms served only by staircases, so routes to them fail with
+ *    useStairs=false
+ *  - unusedRegex: regexes that don't match any of the rooms, apart from the
+ *    ones that start with "a^" to turn a node off
+ *  - invalidRegex: regexes that can't be compiled
+ */
+exports.run = async function(rooms, regexes, findRoomAccess) {
+  let problems = [];
+  let valid = regexes.filter(entry => entry.regex);
+  let used = new Set();
+
+  for (let [room, names] of groupRooms(rooms)) {
+    valid
+      .filter(entry => entry.regex.test(room))
+      .forEach(entry => used.add(entry));
+
+    let { source, entries } = await findRoomAccess(room);
+    let serving = entries.filter(
+      entry => entry.nodeTypeID >= NODE_TYPES.STAIRCASE
+    );
+    let label = `${room} (${names.join(", ")})`;
+
+    if (serving.length === 0) {
+      problems.push({
+        check: "uncovered",
+        message:
+          entries.length > 0
+            ? `${label} is only served by node(s) ${nodeList(entries)} ${
+                SOURCES[source]
+              }, which aren't staircases or elevators`
+            : `${label} isn't served by any room_access row or node's regex`,
+        rooms: [room],
+        nodeIDs: nodeIDs(entries),
+        source
+      });
+    } else if (
+      !serving.some(entry => entry.nodeTypeID === NODE_TYPES.ELEVATOR)
+    ) {
+      problems.push({
+        check: "stairsOnly",
+        message: `${label} is only served by staircase(s) ${nodeList(
+          serving
+        )} ${SOURCES[source]}, so it can't be reached without stairs`,
+        rooms: [room],
+        nodeIDs: nodeIDs(serving),
+        source
+      });
+    }
+  }
+
+  for (let entry of valid)
+    if (!used.has(entry) && !DISABLED.test(entry.roomRegEx))
+      problems.push({
+        check: "unusedRegex",
+        message: `The regex ${entry.roomRegEx} of node ${entry.nodeID} doesn't match any room in the app`,
+        rooms: [],
+        nodeIDs: [entry.nodeID]
+      });
+
+  for (let entry of regexes)
+    if (!entry.regex)
+      problems.push({
+        check: "invalidRegex",
+        message: `The regex ${entry.roomRegEx} of node ${entry.nodeID} is invalid: ${entry.error}`,
+        rooms: [],
+        nodeIDs: [entry.nodeID]
+      });
+
+  return problems;
+};
+
+//Rooms are often listed under several names, such as a department and the
+//office it shares, but only need checking once
+function groupRooms(rooms) {
+  let groups = new Map();
+
+  for (let room of rooms) {
+    if (!groups.has(room.room)) groups.set(room.room, []);
+    groups.get(room.room).push(room.name);
+  }
+
+  return groups;
+}
+
+//Several room_access rows can give the same node
+function nodeIDs(entries) {
+  return Array.from(new Set(entries.map(entry => entry.nodeID)));
+}
+
+function nodeList(entries) {
+  return nodeIDs(entries).join(", ");
+}
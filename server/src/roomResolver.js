@@ -0,0 +1,208 @@
+const database = require("./database.js");
+const buildings = require("./buildings.js");
+const roomAccess = require("./roomAccess.js");
+const routingRules = require("./routingRules.js");
+const { NODE_TYPES, NODE_TYPE_NAMES } = require("./graph.js");
+
+/**
+ * Works out which nodes serve a room and why, for finding out why a room
+ * can't be routed to.
+ * @param {Object} graph - The graph the nodes are in
+ * @param {string} room - The room, e.g. "AL 378"
+ * @param {Object} [options]
+ * @param {Object} [options.profile] - The routing profile, which decides
+ *  whether staircases can serve the room
+ * @return {Object} The resolution:
+ *  - room: the room that was resolved
+ *  - source: "table" if rows of the room_access table cover the room,
+ *    "regex" if only the room regexes do, or null if nothing does
+ *  - buildings: the buildings with the room's abbreviation
+ *  - nodeIDs: the nodes that routes to the room end at
+ *  - rows: the room_access rows that cover the room, with the rooms they
+ *    cover and the same details as matches
+ *  - matches: every node whose regex matches the room, with its regex, type,
+ *    building, and floor, whether it is usable, the reason if it isn't, and
+ *    whether it is in the wrong building
+ *  - nearMisses: nodes whose regex almost matches, with the reason
+ *  - invalid: nodes whose regex can't be compiled, with the error
+ *  - problems: sentences describing anything that looks wrong
+ */
+exports.resolve = async function(
+  graph,
+  room,
+  { profile = routingRules.PROFILES.default } = {}
+) {
+  let abbreviation = room
+    .trim()
+    .split(/\s+/)[0]
+    .toUpperCase();
+  let buildingList = buildings.list(graph);
+  let names = new Map(buildingList.map(b => [b.buildingID, b.name]));
+  let expected = buildingList
+    .filter(building => building.abbreviation === abbreviation)
+    .map(({ buildingID, name }) => ({ buildingID, name }));
+  let expectedIDs = new Set(expected.map(building => building.buildingID));
+
+  let matches = [];
+  let nearMisses = [];
+  let invalid = [];
+
+  for (let entry of await database.roomRegexes()) {
+    if (!entry.regex) {
+      invalid.push({
+        nodeID: entry.nodeID,
+        regex: entry.roomRegEx,
+        error: entry.error
+      });
+      continue;
+    }
+
+    let node = graph.nodes.get(entry.nodeID);
+
+    if (entry.regex.test(room)) {
+      let reason = whyUnusable(node, profile);
+
+      matches.push({
+        ...describeNode(entry, node, names),
+        regex: entry.roomRegEx,
+        usable: reason === null,
+        reason,
+        wrongBuilding:
+          expected.length > 0 && !!node && !expectedIDs.has(node.buildingID)
+      });
+    } else {
+      let reason = whyAlmostMatched(entry, room, abbreviation);
+      if (reason)
+        nearMisses.push({
+          ...describeNode(entry, node, names),
+          regex: entry.roomRegEx,
+          reason
+        });
+    }
+  }
+
+  let access = await database.findRoomAccess(room);
+  let rows = [];
+
+  if (access.source === "table") {
+    for (let row of access.entries) {
+      let node = graph.nodes.get(row.nodeID);
+      let reason = whyUnusable(node, profile);
+
+      rows.push({
+        roomAccessID: row.roomAccessID,
+        covers: roomAccess.describe(row),
+        ...describeNode(row, node, names),
+        usable: reason === null,
+        reason,
+        wrongBuilding:
+          expected.length > 0 && !!node && !expectedIDs.has(node.buildingID)
+      });
+    }
+  }
+
+  //Routes only use the regexes for rooms that the table doesn't cover
+  let used = access.source === "table" ? rows : matches;
+
+  let resolution = {
+    room,
+    source: access.source,
+    buildings: expected,
+    nodeIDs: Array.from(
+      new Set(used.filter(entry => entry.usable).map(entry => entry.nodeID))
+    ),
+    rows,
+    matches,
+    nearMisses,
+    invalid
+  };
+
+  return {
+    ...resolution,
+    problems: findProblems(resolution, used, abbreviation, profile)
+  };
+};
+
+//Buildings are named the way the app names them, which is how the rooms
+//are listed
+function describeNode(entry, node, names) {
+  return {
+    nodeID: entry.nodeID,
+    type: NODE_TYPE_NAMES[entry.nodeTypeID] || "intersection",
+    buildingID: node ? node.buildingID : null,
+    building: (node && names.get(node.buildingID)) || null,
+    floor: node ? node.floor || 0 : null
+  };
+}
+
+//Routes only end at the staircases and elevators that lead up to rooms, and
+//the accessible profile only ends at elevators
+function whyUnusable(node, profile) {
+  if (!node) return "The node isn't in the graph";
+
+  if (node.nodeTypeID < NODE_TYPES.STAIRCASE)
+    return `Rooms are only served by staircases and elevators, not by ${
+      NODE_TYPE_NAMES[node.nodeTypeID]
+    }s`;
+
+  if (!profile.allowStairs && node.nodeTypeID === NODE_TYPES.STAIRCASE)
+    return `The ${profile.name} profile doesn't use staircases`;
+
+  return null;
+}
+
+function whyAlmostMatched(entry, room, abbreviation) {
+  if (new RegExp(entry.roomRegEx, "i").test(room))
+    return "It only matches if upper and lower case are ignored";
+
+  let spaced = room
+    .trim()
+    .replace(/\s+/g, " ")
+    .replace(/^([A-Za-z]+)\s*(?=\d)/, "$1 ");
+  if (spaced !== room && entry.regex.test(spaced))
+    return `It matches "${spaced}"`;
+
+  if (
+    /^[A-Z]+$/.test(abbreviation) &&
+    new RegExp("\\b" + abbreviation + "\\b").test(entry.roomRegEx)
+  )
+    return `It serves other ${abbreviation} rooms`;
+
+  return null;
+}
+
+//Looks for problems with the room_access rows or regexes that routes use
+function findProblems(resolution, used, abbreviation, profile) {
+  let problems = [];
+
+  if (resolution.buildings.length === 0)
+    problems.push(`No building has the abbreviation ${abbreviation}`);
+
+  if (resolution.source === null) {
+    problems.push(
+      `No room_access row or node's regex covers ${resolution.room}`
+    );
+  } else if (resolution.nodeIDs.length === 0) {
+    problems.push(
+      `Nodes serve ${resolution.room}, but none of them can be used by the ${profile.name} profile`
+    );
+  }
+
+  let expected = resolution.buildings
+    .map(building => building.name)
+    .join(" or ");
+  for (let entry of used) {
+    let building = entry.building || "no building";
+    if (entry.wrongBuilding)
+      problems.push(
+        `Node ${entry.nodeID} serves ${resolution.room} but is in ${building}, not ${expected}`
+      );
+  }
+
+  for (let entry of resolution.invalid)
+    problems.push(
+      `Node ${entry.nodeID} has an invalid regex ${entry.regex}: ${entry.error}`
+    );
+
+  return problems;
+}
@@ -0,0 +1,256 @@
+const buildings = require("./buildings.js");
+const database = require("./database.js");
+
+//Words that say little about which room is meant
+const STOP_WORDS = new Set(["a", "an", "and", "for", "in", "of", "the"]);
+
+//How many results are returned when no limit is given
+const DEFAULT_LIMIT = 10;
+exports.DEFAULT_LIMIT = DEFAULT_LIMIT;
+
+//Results must score at least this much, out of 1
+const MIN_SCORE = 0.5;
+
+//The searchable entries for each graph, built the first time it is searched
+const indexes = new WeakMap();
+
+/**
+ * Searches the buildings and the rooms, departments, and offices in
+ * building-roomKeys.json. The search tolerates typos and reads room codes
+ * with or without a space, so "veterans center", "russ 152", and "RC152" all
+ * find what was meant. Room numbers that aren't listed, such as "RC 155",
+ * are still found when the room regexes route to them.
+ * @param {Object} graph - The graph to take the buildings from
+ * @param {string} text - What the user typed
+ * @param {Object} [options]
+ * @param {number} [options.limit] - The most results to return
+ * @return {Array} The best matches first, each with its type (building or
+ *  room), buildingID, building name, abbreviation, and score from 0 to 1.
+ *  Rooms also have a name (null for unlisted rooms), number, the room key
+ *  used to route to them, and the nodeIDs that serve them. Buildings have
+ *  the nodeIDs in them.
+ */
+exports.search = async function(graph, text, { limit = DEFAULT_LIMIT } = {}) {
+  let words = exports.tokenize(text).filter(word => !STOP_WORDS.has(word));
+  if (words.length === 0) return [];
+
+  let index = getIndex(graph);
+  let results = [];
+
+  for (let entry of index) {
+    let score = scoreEntry(entry, words);
+    if (score >= MIN_SCORE) results.push({ entry, score });
+  }
+
+  results.push(...(await findUnlistedRooms(index, words, results)));
+  results.sort((a, b) => b.score - a.score);
+
+  //The same room is often listed under several names, so only its best
+  //match is kept
+  let seen = new Set();
+  let best = results.filter(({ entry }) => {
+    let key = entry.room ? entry.room + "|" + entry.name : entry.buildingID;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  return Promise.all(
+    best.slice(0, limit).map(async ({ entry, score }) => {
+      let { words, ...result } = entry;
+
+      return {
+        ...result,
+        score: Math.round(score * 1000) / 1000,
+        nodeIDs: entry.room
+          ? await database.getNodesToRoom(entry.room, "true")
+          : entry.nodeIDs
+      };
+    })
+  );
+};
+
+/**
+ * Splits text into lowercase words for searching. Punctuation is dropped, &
+ * is read as "and", and room codes are split from their buildings, so
+ * "RC152" becomes ["rc", "152"].
+ * @param {string} text - The text to split
+ * @return {Array} The words
+ */
+exports.tokenize = function(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .replace(/\b([a-z]{2,})(\d)/g, "$1 $2")
+    .trim()
+    .split(" ")
+    .filter(word => word !== "");
+};
+
+function getIndex(graph) {
+  if (indexes.has(graph)) return indexes.get(graph);
+
+  let index = [];
+
+  for (let building of buildings.list(graph)) {
+    let buildingWords = exports.tokenize(
+      building.name + " " + (building.abbreviation || "")
+    );
+    let base = {
+      buildingID: building.buildingID,
+      building: building.name,
+      abbreviation: building.abbreviation
+    };
+
+    index.push({
+      type: "building",
+      ...base,
+      nodeIDs: building.nodeIDs,
+      words: buildingWords
+    });
+
+    let rooms = buildings.rooms(graph.buildings.get(building.buildingID));
+
+    for (let room of rooms) {
+      index.push({
+        type: "room",
+        ...base,
+        name: room.name,
+        number: room.number,
+        room: room.room,
+        words: [
+          ...buildingWords,
+          ...exports.tokenize(room.name),
+          room.number.toLowerCase()
+        ]
+      });
+    }
+  }
+
+  indexes.set(graph, index);
+  return index;
+}
+
+//Averages how well each word of the query matches the entry, with a little
+//extra for entries that the query covers more of, so that "russ" ranks the
+//building above each of its rooms
+function scoreEntry(entry, words) {
+  let total = 0;
+  let matched = new Set();
+
+  for (let word of words) {
+    let best = 0;
+    let bestIndex = -1;
+
+    entry.words.forEach((entryWord, i) => {
+      let score = matchWord(word, entryWord);
+      if (score > best) {
+        best = score;
+        bestIndex = i;
+      }
+    });
+
+    total += best;
+    if (bestIndex > -1) matched.add(bestIndex);
+  }
+
+  return (
+    (total / words.length) * 0.95 + (matched.size / entry.words.length) * 0.05
+  );
+}
+
+//Scores how well a word of the query matches a word of an entry, from 0 to 1
+function matchWord(word, entryWord) {
+  if (word === entryWord) return 1;
+
+  //Room numbers have to be typed exactly, apart from a missing letter suffix
+  if (/\d/.test(word) || /\d/.test(entryWord))
+    return entryWord.startsWith(word) && /^\d+$/.test(word) ? 0.9 : 0;
+
+  //Words that are still being typed
+  if (word.length >= 2 && entryWord.startsWith(word)) return 0.9;
+
+  let allowed = word.length <= 3 ? 0 : word.length <= 6 ? 1 : 2;
+  let distance = editDistance(word, entryWord, allowed);
+
+  return distance <= allowed ? 1 - 0.15 * distance : 0;
+}
+
+//Rooms that aren't in building-roomKeys.json can still be routed to through
+//the room regexes, so a building followed by a room number that isn't listed
+//is offered when a node serves it
+async function findUnlistedRooms(index, words, results) {
+  let number = words.find(word => /^[a-z]*[a-z0-9]\d{2}[a-z]{0,2}$/.test(word));
+  if (!number) return [];
+
+  let otherWords = words.filter(word => word !== number);
+  if (otherWords.length === 0) return [];
+
+  let found = [];
+  for (let entry of index) {
+    if (entry.type !== "building" || !entry.abbreviation) continue;
+
+    let score = scoreEntry(entry, otherWords);
+    let room = entry.abbreviation + " " + number.toUpperCase();
+    let listed = results.some(result => result.entry.room === room);
+
+    if (score < 0.8 || listed) continue;
+    if ((await database.getNodesToRoom(room, "true")).length === 0) continue;
+
+    found.push({
+      entry: {
+        ...entry,
+        type: "room",
+        name: null,
+        number: number.toUpperCase(),
+        room
+      },
+      //Listed rooms that match as well come first
+      score: score * 0.99
+    });
+  }
+
+  return found;
+}
+
+//The Damerau-Levenshtein distance between two words, giving up once it is
+//more than max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    let current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      let cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+
+      //Swapped letters count as one typo
+      if (
+        previous2 &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      )
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > max) return max + 1;
+    previous2 = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
@@ -0,0 +1,312 @@
+const pathfinder = require("./pathfinder.js");
+const routingRules = require("./routingRules.js");
+const closures = require("./closures.js");
+const { NODE_TYPES } = require("./graph.js");
+
+//How many routes are kept when no size is given
+const DEFAULT_SIZE = 10000;
+exports.DEFAULT_SIZE = DEFAULT_SIZE;
+
+//Added to the keys of routes that were found around closures
+const AROUND_CLOSURES = "|closed";
+
+//The cache that the API uses
+let currentCache = null;
+
+//The entrances of each graph's buildings, found once per graph
+const entrancesByGraph = new WeakMap();
+
+/**
+ * Creates a least-recently-used cache of routes in front of
+ * pathfinder.getPath. Routes are cached for one graph at a time, and all of
+ * them are dropped when a newer graph is loaded.
+ *
+ * Routes that go around closures are cached apart from the open routes, and
+ * only while the same closures are in effect. When a closure starts, the
+ * routes that go around other closures through the newly closed place are
+ * dropped. When a closure ends, every route that goes around closures is
+ * dropped, since a shorter one may have opened up.
+ * @param {Object} [options]
+ * @param {number} [options.size] - How many routes to keep, 0 turns the cache
+ *  off
+ * @return {Object} The cache, with getPath, invalidate, clear, precompute,
+ *  and stats
+ */
+exports.create = function(options = {}) {
+  const size = options.size !== undefined ? options.size : DEFAULT_SIZE;
+
+  //Map keeps its keys in insertion order, so the first key is the one that
+  //was used longest ago
+  let entries = new Map();
+  let graph = null;
+  let closureIDs = new Set();
+  let counts = {
+    hits: 0,
+    misses: 0,
+    evicted: 0,
+    invalidated: 0,
+    precomputed: 0
+  };
+
+  //Switches to a newer graph, dropping the routes found in the old one.
+  //Returns false for requests still running on an older graph, which
+  //shouldn't use the cache at all.
+  function useGraph(requestGraph) {
+    if (requestGraph === graph) return true;
+    if (graph && requestGraph.loadedAt < graph.loadedAt) return false;
+
+    counts.invalidated += entries.size;
+    entries.clear();
+    graph = requestGraph;
+    return true;
+  }
+
+  //Drops the routes around closures that the closures in effect have made wrong
+  function useClosures(active) {
+    let activeIDs = new Set(active.closures.map(closure => closure.closureID));
+    let ended = Array.from(closureIDs).some(id => !activeIDs.has(id));
+    let started = {
+      closures: active.closures.filter(
+        closure => !closureIDs.has(closure.closureID)
+      )
+    };
+
+    closureIDs = activeIDs;
+
+    if (ended) {
+      drop(key => key.endsWith(AROUND_CLOSURES));
+    } else if (started.closures.length > 0) {
+      drop(
+        (key, path) =>
+          key.endsWith(AROUND_CLOSURES) &&
+          closures.onPath(started, path).length > 0
+      );
+    }
+  }
+
+  function drop(test) {
+    let dropped = 0;
+
+    for (let [key, path] of entries)
+      if (test(key, path)) {
+        entries.delete(key);
+        dropped++;
+      }
+
+    counts.invalidated += dropped;
+    return dropped;
+  }
+
+  async function lookup(key, find) {
+    let path = entries.get(key);
+
+    if (path) {
+      counts.hits++;
+      entries.delete(key);
+      entries.set(key, path);
+      return path;
+    }
+
+    counts.misses++;
+    path = await find();
+    store(key, path);
+    return path;
+  }
+
+  function store(key, path) {
+    entries.set(key, path);
+
+    if (entries.size > size) {
+      entries.delete(entries.keys().next().value);
+      counts.evicted++;
+    }
+  }
+
+  return {
+    /**
+     * Finds a route like pathfinder.getPath, answering from the cache when
+     * the same route has been asked for before.
+     * @param {number|Array} startIDs - The ID(s) of the node(s) to start at
+     * @param {number|Array} endIDs - The ID(s) of the node(s) to end at
+     * @param {Object} options - The graph, profile, and closures, as for
+     *  pathfinder.getPath
+     * @return {Object} The route. It is shared with later requests, so it
+     *  must not be changed.
+     */
+    async getPath(startIDs, endIDs, options) {
+      if (size === 0 || !useGraph(options.graph))
+        return pathfinder.getPath(startIDs, endIDs, options);
+
+      let { closures: active, ...openOptions } = options;
+      let key = getKey(
+        options.profile || routingRules.PROFILES.default,
+        startIDs,
+        endIDs
+      );
+
+      let path = await lookup(key, () =>
+        pathfinder.getPath(startIDs, endIDs, openOptions)
+      );
+      if (!active) return path;
+
+      //An open route that misses every closure is also the shortest route
+      //around them
+      useClosures(active);
+      if (closures.onPath(active, path).length === 0) return path;
+
+      return lookup(key + AROUND_CLOSURES, () =>
+        pathfinder.getPath(startIDs, endIDs, options)
+      );
+    },
+
+    /**
+     * Drops the cached routes that match a test, such as the ones that go
+     * through a connection that has been closed.
+     * @param {Function} test - Called with each route, returns true to drop it
+     * @return {number} How many routes were dropped
+     */
+    invalidate(test) {
+      return drop((key, path) => test(path));
+    },
+
+    /**
+     * Drops every cached route.
+     * @return {number} How many routes were dropped
+     */
+    clear() {
+      return this.invalidate(() => true);
+    },
+
+    /**
+     * Finds and caches the route between every pair of buildings, from
+     * whichever entrance of one is nearest to whichever entrance of the
+     * other, see getEntrances. These are cached under the same keys as the
+     * routes that fromBuilding and toBuilding ask for. Other requests are let
+     * through between routes, so this can run while the server is answering
+     * them.
+     * @param {Object} precomputeGraph - The graph to find the routes in
+     * @param {Array} [profiles] - The routing profiles to find routes for,
+     *  defaults to all of them
+     * @return {number} How many routes were found
+     */
+    async precompute(
+      precomputeGraph,
+      profiles = Object.values(routingRules.PROFILES)
+    ) {
+      let entrances = Array.from(exports.getEntrances(precomputeGraph));
+      let found = 0;
+      if (size === 0 || !useGraph(precomputeGraph)) return found;
+
+      for (let profile of profiles)
+        for (let [fromBuilding, starts] of entrances)
+          for (let [toBuilding, ends] of entrances) {
+            if (fromBuilding === toBuilding) continue;
+
+            //Stop if the graph is reloaded or the cache is full
+            if (graph !== precomputeGraph || entries.size >= size) return found;
+
+            let key = getKey(profile, starts, ends);
+            if (entries.has(key)) continue;
+
+            await new Promise(resolve => setImmediate(resolve));
+            if (graph !== precomputeGraph) return found;
+
+            try {
+              store(
+                key,
+                await pathfinder.getPath(starts, ends, {
+                  graph: precomputeGraph,
+                  profile
+                })
+              );
+              found++;
+              counts.precomputed++;
+            } catch (error) {
+              //Buildings that can't be reached are left to fail when asked for
+            }
+          }
+
+      return found;
+    },
+
+    /**
+     * @return {Object} How full the cache is and how often it is used:
+     *  size, capacity, hits, misses, hitRate (null before any requests),
+     *  evicted, invalidated, and precomputed
+     */
+    stats() {
+      let requests = counts.hits + counts.misses;
+
+      return {
+        size: entries.size,
+        capacity: size,
+        ...counts,
+        hitRate: requests > 0 ? counts.hits / requests : null
+      };
+    }
+  };
+};
+
+/**
+ * Chooses the cache that the API uses.
+ * @param {Object} cache - A cache from create
+ */
+exports.use = function(cache) {
+  currentCache = cache;
+};
+
+/**
+ * @return {Object} The cache that the API uses, which is a cache of the
+ *  default size unless another one was chosen
+ */
+exports.current = function() {
+  if (!currentCache) currentCache = exports.create();
+
+  return currentCache;
+};
+
+/**
+ * Finds the nodes where routes into each building start and end: its exits,
+ * or its intersections if it has no exits. Routes between buildings are
+ * cached under these lists, both when they are precomputed and when
+ * fromBuilding and toBuilding ask for them.
+ * @param {Object} graph - The graph
+ * @return {Map} The entrance node IDs, by building ID. It is shared with
+ *  later calls, so it must not be changed.
+ */
+exports.getEntrances = function(graph) {
+  if (entrancesByGraph.has(graph)) return entrancesByGraph.get(graph);
+
+  let entrances = new Map();
+
+  for (let building of graph.buildings.values()) {
+    if (building.buildingID <= 0) continue;
+
+    let nodes = Array.from(graph.nodes.values()).filter(
+      node => node.buildingID === building.buildingID
+    );
+    let exits = nodes.filter(node => node.nodeTypeID === NODE_TYPES.EXIT);
+    let chosen =
+      exits.length > 0
+        ? exits
+        : nodes.filter(node => node.nodeTypeID === NODE_TYPES.INTERSECTION);
+
+    if (chosen.length > 0)
+      entrances.set(
+        building.buildingID,
+        chosen.map(node => node.nodeID)
+      );
+  }
+
+  entrancesByGraph.set(graph, entrances);
+  return entrances;
+};
+
+//The order of the start and end nodes doesn't change the route
+function getKey(profile, startIDs, endIDs) {
+  return [profile.name, sortIDs(startIDs), sortIDs(endIDs)].join("|");
+}
+
+function sortIDs(nodeIDs) {
+  return [].concat(nodeIDs).sort((a, b) => a - b);
+}
@@ -0,0 +1,84 @@
+const { MalformedQueryError } = require("./errors.js");
+
+/**
+ * Creates a router that matches request paths against patterns such as
+ * "/nodes/:id" and passes the named parameters to the route's handler.
+ * @param {string} [prefix] - A prefix added to the patterns of every route
+ * @return {Object} The router
+ */
+exports.create = function(prefix = "") {
+  let routes = [];
+
+  return {
+    /**
+     * Adds a route for GET requests.
+     * @param {string} pattern - The path to match, with :name parameters
+     * @param {Function} handler - Called with { params, query }, returns the
+     *  body of the response
+     */
+    get(pattern, handler) {
+      routes.push({ method: "GET", handler, ...compile(prefix + pattern) });
+    },
+
+    /**
+     * @param {string} method - The method of the request
+     * @param {string} pathname - The path of the request, without the query
+     * @return {Object} The matching handler and its parameters, an object
+     *  listing the allowed methods if only the path matched, or null if
+     *  nothing matched
+     * @throws {MalformedQueryError} If a parameter isn't a valid
+     *  percent-encoded string
+     */
+    match(method, pathname) {
+      let allowed = [];
+
+      for (let route of routes) {
+        let result = route.regex.exec(pathname);
+        if (!result) continue;
+
+        if (route.method !== method) {
+          allowed.push(route.method);
+          continue;
+        }
+
+        let params = {};
+        route.names.forEach(
+          (name, i) => (params[name] = decodeParam(name, result[i + 1]))
+        );
+
+        return { handler: route.handler, params };
+      }
+
+      return allowed.length > 0 ? { allowed } : null;
+    }
+  };
+};
+
+function decodeParam(name, value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    if (!(error instanceof URIError)) throw error;
+    throw new MalformedQueryError(`${name} is not correctly encoded`, {
+      [name]: value
+    });
+  }
+}
+
+//Turns a pattern like "/buildings/:id/rooms" into a regex with a capture
+//group for each parameter
+function compile(pattern) {
+  let names = [];
+  let source = pattern
+    .split("/")
+    .map(part => {
+      if (!part.startsWith(":"))
+        return part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+      names.push(part.substring(1));
+      return "([^/]+)";
+    })
+    .join("/");
+
+  return { regex: new RegExp("^" + source + "/?$"), names };
+}
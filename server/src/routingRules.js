@@ -0,0 +1,180 @@
+const tunnelGraph = require("./graph.js");
+
+//The ways that a route can be planned, selected by name
+const PROFILES = {
+  default: {
+    name: "default",
+    allowStairs: true,
+    minWidth: 0,
+    rampFactor: 1
+  },
+  //Wheelchair users can't use stairs, so they change floors by elevator where
+  //they can. Other floor changes, such as ramps, count as twice their length.
+  //Widths are kept in feet, as tunnel-graph import writes them, and 3 feet is
+  //the minimum clear width for a wheelchair unless the server's settings say
+  //otherwise. Connections without a width are assumed to be wide enough.
+  accessible: {
+    name: "accessible",
+    allowStairs: false,
+    minWidth: 3,
+    rampFactor: 2
+  }
+};
+exports.PROFILES = PROFILES;
+
+/**
+ * @param {string} name - The name of a routing profile
+ * @return {Object} The profile with that name, or undefined if there isn't one
+ */
+exports.getProfile = function(name) {
+  return Object.prototype.hasOwnProperty.call(PROFILES, name)
+    ? PROFILES[name]
+    : undefined;
+};
+
+/**
+ * Sets how wide, in feet, a connection has to be for the accessible profile
+ * to use it.
+ * @param {number} feet - The minimum width
+ */
+exports.setAccessibleMinWidth = function(feet) {
+  PROFILES.accessible.minWidth = feet;
+};
+
+/**
+ * Creates the rules that decide which nodes and connections a route may use.
+ *
+ * Staircases and elevators lead up into the buildings, so a route should only
+ * pass through them when it has to:
+ *  - The start and end nodes can always be used.
+ *  - A staircase or elevator can be used when the stairwell or elevator bank
+ *    it belongs to touches one of the starts or one of the ends, since the trip
+ *    begins or ends there.
+ *  - A staircase or elevator can also be used when a destination is on a
+ *    different floor than it is.
+ *  - Connections that change floors (hasStairs, hasElevator, or joining nodes
+ *    on different floors) can only be used when they lead toward the floor of
+ *    a destination.
+ *  - The accessible profile never uses staircases, stair connections, or
+ *    connections narrower than its minimum width, even at the ends.
+ *  - Closed connections and nodes are never used, even at the ends.
+ * The rules also give what following a connection costs. That is its length,
+ * except for floor changes other than elevators, which are multiplied by the
+ * profile's rampFactor.
+ * @param {Object} graph - The graph being searched
+ * @param {number|Array} startIDs - The ID(s) of the node(s) the route can
+ *  start at
+ * @param {Array} endIDs - The IDs of the nodes the route can end at
+ * @param {Object} [profile] - The routing profile to follow
+ * @param {Object} [closed] - The closures in effect, from closures.active
+ * @return {Object} The rules for this route
+ */
+exports.create = function(
+  graph,
+  startIDs,
+  endIDs,
+  profile = PROFILES.default,
+  closed
+) {
+  startIDs = [].concat(startIDs);
+  let endFloors = endIDs
+    .map(i => graph.nodes.get(i))
+    .filter(node => node)
+    .map(node => node.floor || 0);
+
+  return {
+    /**
+     * @param {number} fromID - The ID of the node the route is leaving
+     * @param {Object} edge - The edge being followed, from graph.adjacency
+     * @param {Object} toNode - The node the edge leads to
+     * @return {boolean} Whether the route may follow the edge
+     */
+    canTraverse(fromID, edge, toNode) {
+      let fromNode = graph.nodes.get(fromID);
+      let connection = graph.connections.get(edge.connectionID) || {};
+
+      if (
+        closed &&
+        (closed.connectionIDs.has(edge.connectionID) ||
+          closed.nodeIDs.has(toNode.nodeID))
+      )
+        return false;
+
+      if (!profile.allowStairs && usesStairs(connection, toNode)) return false;
+
+      if (
+        profile.minWidth > 0 &&
+        connection.width !== null &&
+        connection.width !== undefined &&
+        connection.width < profile.minWidth
+      )
+        return false;
+
+      if (
+        exports.changesFloors(connection, fromNode, toNode) &&
+        !leadsTowardDestination(fromNode, toNode)
+      )
+        return false;
+
+      if (endIDs.includes(toNode.nodeID) || startIDs.includes(toNode.nodeID))
+        return true;
+
+      if (!tunnelGraph.isVertical(toNode)) return true;
+
+      let core = graph.verticalCores.get(toNode.nodeID);
+      if (startIDs.some(i => core.has(i)) || endIDs.some(i => core.has(i)))
+        return true;
+
+      return endFloors.some(floor => floor !== (toNode.floor || 0));
+    },
+
+    /**
+     * @param {number} fromID - The ID of the node the route is leaving
+     * @param {Object} edge - The edge being followed, from graph.adjacency
+     * @param {Object} toNode - The node the edge leads to
+     * @return {number} What following the edge adds to the route's cost
+     */
+    cost(fromID, edge, toNode) {
+      let connection = graph.connections.get(edge.connectionID) || {};
+
+      if (
+        profile.rampFactor !== 1 &&
+        connection.hasElevator !== "T" &&
+        exports.changesFloors(connection, graph.nodes.get(fromID), toNode)
+      )
+        return edge.length * profile.rampFactor;
+
+      return edge.length;
+    }
+  };
+
+  function usesStairs(connection, toNode) {
+    return (
+      connection.hasStairs === "T" ||
+      (toNode.nodeTypeID === tunnelGraph.NODE_TYPES.STAIRCASE &&
+        !startIDs.includes(toNode.nodeID))
+    );
+  }
+
+  function leadsTowardDestination(fromNode, toNode) {
+    return endFloors.some(
+      floor =>
+        Math.abs((toNode.floor || 0) - floor) <
+        Math.abs((fromNode.floor || 0) - floor)
+    );
+  }
+};
+
+/**
+ * @param {Object} connection - A row from the connections table
+ * @param {Object} nodeA - The node at one end of the connection
+ * @param {Object} nodeB - The node at the other end of the connection
+ * @return {boolean} Whether following the connection changes floors
+ */
+exports.changesFloors = function(connection, nodeA, nodeB) {
+  return (
+    connection.hasStairs === "T" ||
+    connection.hasElevator === "T" ||
+    (nodeA.floor || 0) !== (nodeB.floor || 0)
+  );
+};
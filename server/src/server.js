@@ -1,63 +1,198 @@
 const http = require("http");
 const url = require("url");
+const tunnelGraph = require("./graph.js");
+const routingRules = require("./routingRules.js");
+const validation = require("./validation.js");
+const api = require("./api.js");
 const database = require("./database.js");
-const pathfinder = require("./pathfinder.js");
+const storage = require("./storage");
+const routeCache = require("./routeCache.js");
+const configLoader = require("./config.js");
+const log = require("./log.js");
+const admin = require("./admin.js");
+const { ApiError, MalformedQueryError, InternalError } = require("./errors.js");
+
+//Stop right away if the settings are wrong rather than failing on the first request
+let config;
+try {
+  config = configLoader.load();
+} catch (error) {
+  if (!(error instanceof configLoader.ConfigError)) throw error;
+
+  console.error(error.message);
+  process.exit(1);
+}
+
+log.setLevel(config.logLevel);
+database.use(storage.fromConfig(config));
+routeCache.use(routeCache.create({ size: config.routeCache.size }));
+routingRules.setAccessibleMinWidth(config.routing.accessibleMinWidth);
 
 const server = http.createServer();
-server.listen(5000);
 server.setTimeout();
 
+//Load the tunnel graph into memory before accepting any requests
+tunnelGraph.load().then(
+  graph => {
+    log.info(
+      `Loaded ${graph.nodes.size} nodes and ${graph.connections.size} connections`
+    );
+    server.listen(config.port, () =>
+      log.info(`Listening on port ${config.port}`)
+    );
+    precomputeRoutes(graph);
+  },
+  error => {
+    log.error("Could not load the tunnel graph:", error);
+    process.exit(1);
+  }
+);
+
+//Reload the graph whenever the process is sent a SIGHUP
+process.on("SIGHUP", () => reloadGraph().catch(() => {}));
+
 server.on("request", async function(request, response) {
   const parsedUrl = parseUrl(request.url);
 
-  if (checkUrlForID(parsedUrl)) {
-    const path = await preparePath(parsedUrl);
-    response.end(JSON.stringify(path));
-  } else if (checkUrlForRoom(parsedUrl)) {
-    let endNodes = await database.getNodesToRoom(
-      parsedUrl.query.toRoom,
-      parsedUrl.query.useStairs
-    );
+  log.debug(request.method, request.url);
 
-    if (endNodes.length > 0) {
-      let path = await pathfinder.getPath(+parsedUrl.query.start, endNodes);
-      response.end(JSON.stringify(path));
+  //Let the app be served from a different origin than the API
+  setAllowedOrigin(request, response);
+  response.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  response.setHeader(
+    "Access-Control-Allow-Headers",
+    "Content-Type, Authorization"
+  );
+
+  try {
+    if (request.method === "OPTIONS") {
+      response.statusCode = 204;
+      response.end();
+      return;
+    }
+
+    const body = await api.handle(request, parsedUrl);
+
+    if (body !== undefined) {
+      sendJson(response, 200, body);
+    } else if (
+      parsedUrl.pathname === "/admin/reload" &&
+      request.method === "POST"
+    ) {
+      admin.authorize(request, config.adminToken);
+      const graph = await reloadGraph();
+      sendJson(response, 200, {
+        nodes: graph.nodes.size,
+        connections: graph.connections.size,
+        loadedAt: graph.loadedAt
+      });
+    } else if (parsedUrl.pathname.endsWith("/getPath")) {
+      //The original endpoint, kept for clients that haven't moved to /api/v1
+      sendJson(response, 200, await getLegacyPath(parsedUrl.query));
     } else {
-      response.end(
-        JSON.stringify({
-          ERROR: "Could not find any paths to room " + parsedUrl.query.toRoom
-        })
-      );
+      throw new MalformedQueryError("Poorly formed URL", { url: request.url });
     }
-  } else {
-    response.end(
-      JSON.stringify({
-        ERROR: "Poorly formed URL",
-        "REQUESTED URL": request.url
-      })
-    );
+  } catch (error) {
+    sendError(response, error);
   }
 });
 
-function checkUrlForID(parsedUrl) {
-  return parsedUrl.path.match(
-    /getPath\?start=\d+&end=[\d,]+(&useStairs=(true|false))?/
-  );
+async function reloadGraph() {
+  try {
+    const graph = await tunnelGraph.load();
+    log.info(
+      `Reloaded ${graph.nodes.size} nodes and ${graph.connections.size} connections`
+    );
+    precomputeRoutes(graph);
+    return graph;
+  } catch (error) {
+    //Keep serving the previous graph if the new one can't be loaded
+    log.error("Could not reload the tunnel graph:", error);
+    throw error;
+  }
 }
 
-function checkUrlForRoom(parsedUrl) {
-  return parsedUrl.path.match(
-    /getPath\?start=\d+&toRoom=[A-Z]{2}%20[A-Z]*[A-Z0-9]\d{2}[A-Z]{0,2}(&useStairs=(true|false))?/
-  );
+//Fills the route cache with the routes between buildings in the background,
+//when it is turned on in the settings
+function precomputeRoutes(graph) {
+  if (!config.routeCache.precompute) return;
+
+  routeCache
+    .current()
+    .precompute(graph)
+    .then(
+      count => log.info(`Precomputed ${count} routes between buildings`),
+      error => log.error("Could not precompute routes:", error)
+    );
+}
+
+function setAllowedOrigin(request, response) {
+  if (config.corsOrigins.includes("*")) {
+    response.setHeader("Access-Control-Allow-Origin", "*");
+  } else {
+    response.setHeader("Vary", "Origin");
+
+    if (config.corsOrigins.includes(request.headers.origin))
+      response.setHeader("Access-Control-Allow-Origin", request.headers.origin);
+  }
 }
 
 function parseUrl(requestUrl) {
   return url.parse(requestUrl, true);
 }
 
-async function preparePath(parsedUrl) {
-  //Transform the comma separated node IDs into an array
-  let endNodes = parsedUrl.query.end.split(",").map(i => +i);
+function sendJson(response, status, body) {
+  response.statusCode = status;
+  response.setHeader("Content-Type", "application/json");
+  response.end(JSON.stringify(body));
+}
+
+function sendError(response, error) {
+  //Don't leak the details of unexpected errors to the client
+  if (!(error instanceof ApiError)) {
+    log.error(error);
+    error = new InternalError();
+  }
+
+  sendJson(response, error.status, error);
+}
+
+//Handles /getPath?start=<nodeID>|fromBuilding=<buildingID>&end=<nodeIDs>|toRoom=<room>|toBuilding=<buildingID>,
+//picking the routing profile from the profile parameter or falling back to the
+//accessible profile when useStairs=false
+async function getLegacyPath(query) {
+  let start = validation.integer(query, "start", { min: 0 });
+  const fromBuilding = validation.integer(query, "fromBuilding", { min: 0 });
+  let endIDs = validation.integerList(query, "end");
+  const room = validation.string(query, "toRoom");
+  const toBuilding = validation.integer(query, "toBuilding", { min: 0 });
+  const useStairs = validation.boolean(query, "useStairs", true);
+  const profileName = validation.string(query, "profile", {
+    oneOf: Object.keys(routingRules.PROFILES)
+  });
+
+  if ((start === undefined) === (fromBuilding === undefined))
+    throw new MalformedQueryError(
+      "Exactly one of start and fromBuilding is required"
+    );
+  if ([endIDs, room, toBuilding].filter(end => end !== undefined).length !== 1)
+    throw new MalformedQueryError(
+      "Exactly one of end, toRoom, and toBuilding is required"
+    );
+
+  if (fromBuilding !== undefined) start = api.buildingEntrances(fromBuilding);
+  if (toBuilding !== undefined) endIDs = api.buildingEntrances(toBuilding);
+
+  const profile = profileName
+    ? routingRules.getProfile(profileName)
+    : routingRules.PROFILES[useStairs ? "default" : "accessible"];
 
-  return pathfinder.getPath(+parsedUrl.query.start, endNodes);
+  return api.findRoute({
+    start,
+    endIDs,
+    room,
+    profile,
+    speed: api.getSpeed(query),
+    language: api.getLanguage(query)
+  });
 }
@@ -0,0 +1,125 @@
+const fs = require("fs");
+const path = require("path");
+const csv = require("../csv.js");
+
+const ROOT = path.join(__dirname, "..", "..", "..");
+
+//The exports that are read when no other files are given
+const DEFAULT_FILES = {
+  nodes: path.join(ROOT, "Database_Info", "nodes_csv_spiral4.csv"),
+  connections: path.join(ROOT, "Database_Info", "connections_csv_spiral42.csv"),
+  buildings: path.join(ROOT, "Database_Info", "buildings_csv_spiral4.csv"),
+  regexes: path.join(ROOT, "REGEXGolf.csv"),
+  closures: path.join(ROOT, "Database_Info", "closures.csv"),
+  roomAccess: path.join(ROOT, "Database_Info", "room_access.csv")
+};
+exports.DEFAULT_FILES = DEFAULT_FILES;
+
+/**
+ * Creates a backend that reads the CSV exports of the database. The files are
+ * read again every time the graph is loaded, so edits to them are picked up by
+ * a reload.
+ * @param {Object} [files] - The paths of the nodes, connections, buildings,
+ *  regexes, closures, and roomAccess files, defaulting to DEFAULT_FILES
+ * @return {Object} The backend
+ */
+exports.create = function(files = {}) {
+  files = { ...DEFAULT_FILES, ...files };
+
+  function readNodes() {
+    return (
+      csv
+        .readObjects(files.nodes)
+        //Deleted nodes are left in the export as empty rows
+        .filter(row => row.lat !== "")
+        .map(row => ({
+          nodeID: +row.nodeID,
+          lat: +row.lat,
+          long: +row.long,
+          elev: +row.elev,
+          isIndoors: nullable(row.isIndoors),
+          buildingID: +row.buildingID,
+          floor: +row.floor,
+          nodeTypeID: +row.nodeTypeID
+        }))
+    );
+  }
+
+  return {
+    allNodes: async () => readNodes(),
+
+    //This export has no header: connectionID, nodeA_ID, nodeB_ID, length,
+    //isIndoors, hasStairs, hasElevator, width, updated
+    allEdges: async () =>
+      csv.readRows(files.connections).map(row => ({
+        connectionID: +row[0],
+        nodeA_ID: +row[1],
+        nodeB_ID: +row[2],
+        length: +row[3],
+        isIndoors: nullable(row[4]),
+        hasStairs: nullable(row[5]) || "F",
+        hasElevator: nullable(row[6]) || "F",
+        width: nullable(row[7]) === null ? null : +row[7]
+      })),
+
+    allBuildings: async () =>
+      csv.readObjects(files.buildings).map(row => ({
+        buildingID: +row.buildingID,
+        name: row.name
+      })),
+
+    allClosures: async () => {
+      if (!fs.existsSync(files.closures)) return [];
+
+      return csv.readObjects(files.closures).map(row => ({
+        closureID: +row.closureID,
+        connectionID:
+          nullable(row.connectionID) === null ? null : +row.connectionID,
+        nodeID: nullable(row.nodeID) === null ? null : +row.nodeID,
+        startsAt: row.startsAt,
+        endsAt: nullable(row.endsAt),
+        reason: nullable(row.reason)
+      }));
+    },
+
+    roomRegexes: async () => {
+      let nodes = new Map(readNodes().map(node => [node.nodeID, node]));
+
+      return csv
+        .readObjects(files.regexes)
+        .filter(row => nodes.has(+row.NodeID))
+        .map(row => ({
+          nodeID: +row.NodeID,
+          roomRegEx: row.Regex,
+          nodeTypeID: nodes.get(+row.NodeID).nodeTypeID
+        }));
+    },
+
+    roomAccess: async () => {
+      if (!fs.existsSync(files.roomAccess)) return [];
+
+      let nodes = new Map(readNodes().map(node => [node.nodeID, node]));
+
+      return csv
+        .readObjects(files.roomAccess)
+        .filter(row => nodes.has(+row.nodeID))
+        .map(row => ({
+          roomAccessID: +row.roomAccessID,
+          nodeID: +row.nodeID,
+          building: row.building,
+          floor: nullable(row.floor),
+          firstRoom: nullable(row.firstRoom),
+          lastRoom: nullable(row.lastRoom),
+          rooms: nullable(row.rooms),
+          nodeTypeID: nodes.get(+row.nodeID).nodeTypeID
+        }));
+    },
+
+    close: async () => {}
+  };
+};
+
+//The exports write missing values as NULL or leave them empty
+function nullable(value) {
+  return value === undefined || value === "" || value === "NULL" ? null : value;
+}
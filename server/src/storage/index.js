@@ -0,0 +1,54 @@
+/*
+ * The places that the tunnel data can be loaded from. Every backend provides
+ * the same functions:
+ *  - allNodes(), allEdges(), and allBuildings() resolve to the rows of the
+ *    nodes, connections, and buildings tables
+ *  - allClosures() resolves to the rows of the closures table, or to no rows
+ *    if the table hasn't been created yet
+ *  - roomRegexes() resolves to { nodeID, roomRegEx, nodeTypeID } for every
+ *    node that serves rooms
+ *  - roomAccess() resolves to the rows of the room_access table, each with
+ *    the nodeTypeID of its node, or to no rows if the table hasn't been
+ *    created yet
+ *  - close() releases anything the backend is holding open
+ */
+const BACKENDS = {
+  mysql: () => require("./mysql.js"),
+  sqlite: () => require("./sqlite.js"),
+  file: () => require("./file.js")
+};
+exports.BACKENDS = Object.keys(BACKENDS);
+
+/**
+ * Creates a storage backend. Backends are only loaded when they are used, so
+ * the drivers of the others don't need to be installed.
+ * @param {string} name - The name of the backend: mysql, sqlite, or file
+ * @param {Object} [options] - Options passed on to the backend
+ * @return {Object} The backend
+ */
+exports.create = function(name, options = {}) {
+  if (!Object.prototype.hasOwnProperty.call(BACKENDS, name))
+    throw new Error(
+      `Unknown storage backend ${name}, use one of ${exports.BACKENDS.join(
+        ", "
+      )}`
+    );
+
+  return BACKENDS[name]().create(options);
+};
+
+/**
+ * Creates the storage backend chosen by the server's settings.
+ * @param {Object} config - The settings, from config.load
+ * @return {Object} The backend
+ */
+exports.fromConfig = function(config) {
+  switch (config.storage.backend) {
+    case "mysql":
+      return exports.create("mysql", config.database);
+    case "sqlite":
+      return exports.create("sqlite", { filename: config.storage.filename });
+    default:
+      return exports.create(config.storage.backend);
+  }
+};
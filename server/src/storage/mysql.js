@@ -0,0 +1,47 @@
+const mysql = require("mysql");
+const util = require("util");
+
+/**
+ * Creates a backend that reads from a MySQL database.
+ * @param {Object} options - The connection options passed to mysql.createPool
+ * @return {Object} The backend
+ */
+exports.create = function(options) {
+  //The pool is created on first use so that creating the backend doesn't
+  //open any connections
+  let pool = null;
+
+  function query(sql, values) {
+    if (!pool) pool = mysql.createPool(options);
+
+    return util.promisify(pool.query).call(pool, sql, values);
+  }
+
+  return {
+    allNodes: () => query("SELECT * FROM nodes"),
+    allEdges: () => query("SELECT * FROM connections"),
+    allBuildings: () => query("SELECT * FROM buildings"),
+    allClosures: () =>
+      query("SELECT * FROM closures").catch(error => {
+        //Databases set up before closures were added don't have the table
+        if (error.code === "ER_NO_SUCH_TABLE") return [];
+        throw error;
+      }),
+    roomRegexes: () =>
+      query(
+        "SELECT nodeID, roomRegEx, nodeTypeID FROM nodes WHERE roomRegEx IS NOT NULL"
+      ),
+    roomAccess: () =>
+      query(
+        "SELECT room_access.*, nodes.nodeTypeID FROM room_access JOIN nodes ON nodes.nodeID = room_access.nodeID"
+      ).catch(error => {
+        //Databases set up before room_access was added don't have the table
+        if (error.code === "ER_NO_SUCH_TABLE") return [];
+        throw error;
+      }),
+    close: async () => {
+      if (pool) await util.promisify(pool.end).call(pool);
+      pool = null;
+    }
+  };
+};
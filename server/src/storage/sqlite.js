@@ -0,0 +1,51 @@
+const util = require("util");
+
+/**
+ * Creates a backend that reads from a SQLite database with the same tables as
+ * the MySQL database. Requires the optional sqlite3 package.
+ * @param {Object} options
+ * @param {string} options.filename - The path of the database file
+ * @return {Object} The backend
+ */
+exports.create = function({ filename }) {
+  if (!filename) throw new Error("The sqlite backend needs a filename");
+
+  //Loaded here so that the other backends work without the sqlite3 driver
+  const sqlite3 = require("sqlite3");
+
+  let db = null;
+
+  function query(sql) {
+    if (!db) db = new sqlite3.Database(filename, sqlite3.OPEN_READONLY);
+
+    return util.promisify(db.all).call(db, sql);
+  }
+
+  return {
+    allNodes: () => query("SELECT * FROM nodes"),
+    allEdges: () => query("SELECT * FROM connections"),
+    allBuildings: () => query("SELECT * FROM buildings"),
+    allClosures: () =>
+      query("SELECT * FROM closures").catch(error => {
+        //Databases set up before closures were added don't have the table
+        if (/no such table/.test(error.message)) return [];
+        throw error;
+      }),
+    roomRegexes: () =>
+      query(
+        "SELECT nodeID, roomRegEx, nodeTypeID FROM nodes WHERE roomRegEx IS NOT NULL"
+      ),
+    roomAccess: () =>
+      query(
+        "SELECT room_access.*, nodes.nodeTypeID FROM room_access JOIN nodes ON nodes.nodeID = room_access.nodeID"
+      ).catch(error => {
+        //Databases set up before room_access was added don't have the table
+        if (/no such table/.test(error.message)) return [];
+        throw error;
+      }),
+    close: async () => {
+      if (db) await util.promisify(db.close).call(db);
+      db = null;
+    }
+  };
+};
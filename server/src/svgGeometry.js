@@ -0,0 +1,128 @@
+const fs = require("fs");
+
+/**
+ * Reads the nodes and connections drawn on a map made by the SVG generator.
+ * Nodes are circles with IDs like N12 and connections are paths with IDs like
+ * E34.
+ * @param {string} file - The path of the SVG file
+ * @return {Object} { nodes: Map of nodeID to { x, y }, paths: Map of
+ *  connectionID to an array of { x, y } points }
+ */
+exports.readMap = function(file) {
+  let text = fs.readFileSync(file, "utf8");
+  let nodes = new Map();
+  let paths = new Map();
+
+  for (let [tag] of text.matchAll(/<circle\b[^>]*>/g)) {
+    let id = /\bid="N(\d+)"/.exec(tag);
+    if (!id) continue;
+
+    nodes.set(+id[1], {
+      x: +/\bcx="([^"]*)"/.exec(tag)[1],
+      y: +/\bcy="([^"]*)"/.exec(tag)[1]
+    });
+  }
+
+  for (let [tag] of text.matchAll(/<path\b[^>]*>/g)) {
+    let id = /\bid="E(\d+)"/.exec(tag);
+    let d = /\bd="([^"]*)"/.exec(tag);
+    if (id && d) paths.set(+id[1], exports.parsePath(d[1]));
+  }
+
+  return { nodes, paths };
+};
+
+/**
+ * Turns the d attribute of a path into the points it passes through. Only
+ * straight lines are supported: M, L, H, V, and Z, in upper and lower case.
+ * @param {string} d - The d attribute of the path
+ * @return {Array} The points, as { x, y }
+ * @throws {Error} If the path uses a command that isn't supported
+ */
+exports.parsePath = function(d) {
+  let tokens = d.match(/[a-zA-Z]|-?(\d+\.?\d*|\.\d+)(e-?\d+)?/g) || [];
+  let points = [];
+  let x = 0;
+  let y = 0;
+  let command = null;
+
+  for (let i = 0; i < tokens.length; ) {
+    if (/[a-zA-Z]/.test(tokens[i])) command = tokens[i++];
+    if (!command) throw new Error(`Path "${d}" doesn't start with a command`);
+
+    let relative = command === command.toLowerCase();
+    let next = () => +tokens[i++];
+
+    switch (command.toUpperCase()) {
+      case "M":
+      case "L":
+        x = next() + (relative ? x : 0);
+        y = next() + (relative ? y : 0);
+        //Pairs of numbers after a move are lines
+        if (command === "M") command = "L";
+        if (command === "m") command = "l";
+        break;
+      case "H":
+        x = next() + (relative ? x : 0);
+        break;
+      case "V":
+        y = next() + (relative ? y : 0);
+        break;
+      case "Z":
+        x = points[0].x;
+        y = points[0].y;
+        command = null;
+        break;
+      default:
+        throw new Error(`Unsupported path command ${command} in "${d}"`);
+    }
+
+    points.push({ x, y });
+  }
+
+  return points;
+};
+
+/**
+ * Works out how the map was projected from the positions of the nodes on it.
+ * The SVG generator maps longitude to x and latitude to y linearly, so a
+ * least squares fit of each recovers the mapping.
+ * @param {Map} svgNodes - The nodes drawn on the map, from readMap
+ * @param {Map} nodes - The nodes in the graph
+ * @return {Function} Converts a point on the map, { x, y }, into { lat, long }
+ */
+exports.fitProjection = function(svgNodes, nodes) {
+  let pairs = Array.from(svgNodes)
+    .filter(([nodeID]) => nodes.has(nodeID))
+    .map(([nodeID, point]) => ({ ...point, ...nodes.get(nodeID) }));
+
+  if (pairs.length < 2)
+    throw new Error("The map doesn't have enough nodes to line it up with");
+
+  let toLong = fitLine(
+    pairs.map(p => p.x),
+    pairs.map(p => p.long)
+  );
+  let toLat = fitLine(
+    pairs.map(p => p.y),
+    pairs.map(p => p.lat)
+  );
+
+  return point => ({ lat: toLat(point.y), long: toLong(point.x) });
+};
+
+function fitLine(xs, ys) {
+  let n = xs.length;
+  let meanX = xs.reduce((a, b) => a + b) / n;
+  let meanY = ys.reduce((a, b) => a + b) / n;
+
+  let covariance = 0;
+  let variance = 0;
+  for (let i = 0; i < n; i++) {
+    covariance += (xs[i] - meanX) * (ys[i] - meanY);
+    variance += (xs[i] - meanX) * (xs[i] - meanX);
+  }
+
+  let slope = covariance / variance;
+  return x => meanY + slope * (x - meanX);
+}
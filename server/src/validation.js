@@ -0,0 +1,112 @@
+const { MalformedQueryError } = require("./errors.js");
+
+/**
+ * Reads an integer query parameter.
+ * @param {Object} query - The parsed query string
+ * @param {string} name - The name of the parameter
+ * @param {Object} [options]
+ * @param {boolean} [options.required] - Whether the parameter must be given
+ * @param {number} [options.min] - The smallest value allowed
+ * @param {number} [options.max] - The largest value allowed
+ * @param {number} [options.defaultValue] - The value used when it isn't given
+ * @return {number} The value of the parameter
+ * @throws {MalformedQueryError} If the parameter is missing or invalid
+ */
+exports.integer = function(query, name, options = {}) {
+  let value = exports.string(query, name, { required: options.required });
+  if (value === undefined) return options.defaultValue;
+
+  let number = Number(value);
+  if (
+    !/^-?\d+$/.test(value) ||
+    (options.min !== undefined && number < options.min) ||
+    (options.max !== undefined && number > options.max)
+  )
+    throw invalid(name, value, "must be an integer" + describeRange(options));
+
+  return number;
+};
+
+/**
+ * Reads a comma separated list of integers from a query parameter.
+ * @param {Object} query - The parsed query string
+ * @param {string} name - The name of the parameter
+ * @param {Object} [options]
+ * @param {boolean} [options.required] - Whether the parameter must be given
+ * @return {Array} The integers in the list
+ * @throws {MalformedQueryError} If the parameter is missing or invalid
+ */
+exports.integerList = function(query, name, options = {}) {
+  let value = exports.string(query, name, { required: options.required });
+  if (value === undefined) return undefined;
+
+  if (!/^\d+(,\d+)*$/.test(value))
+    throw invalid(name, value, "must be a comma separated list of integers");
+
+  return value.split(",").map(i => +i);
+};
+
+/**
+ * Reads a boolean query parameter, given as true or false.
+ * @param {Object} query - The parsed query string
+ * @param {string} name - The name of the parameter
+ * @param {boolean} [defaultValue] - The value used when it isn't given
+ * @return {boolean} The value of the parameter
+ * @throws {MalformedQueryError} If the parameter isn't true or false
+ */
+exports.boolean = function(query, name, defaultValue) {
+  let value = exports.string(query, name);
+  if (value === undefined) return defaultValue;
+
+  if (value !== "true" && value !== "false")
+    throw invalid(name, value, "must be true or false");
+
+  return value === "true";
+};
+
+/**
+ * Reads a string query parameter.
+ * @param {Object} query - The parsed query string
+ * @param {string} name - The name of the parameter
+ * @param {Object} [options]
+ * @param {boolean} [options.required] - Whether the parameter must be given
+ * @param {Array} [options.oneOf] - The values that are allowed
+ * @return {string} The value of the parameter
+ * @throws {MalformedQueryError} If the parameter is missing or invalid
+ */
+exports.string = function(query, name, options = {}) {
+  let value = query[name];
+
+  //Repeated parameters are parsed into arrays, which are never expected
+  if (Array.isArray(value))
+    throw invalid(name, value, "must only be given once");
+
+  if (value === undefined || value === "") {
+    if (options.required)
+      throw new MalformedQueryError(`Missing the ${name} parameter`, {
+        parameter: name
+      });
+
+    return undefined;
+  }
+
+  if (options.oneOf && !options.oneOf.includes(value))
+    throw invalid(name, value, "must be one of " + options.oneOf.join(", "));
+
+  return value;
+};
+
+function invalid(name, value, reason) {
+  return new MalformedQueryError(`The ${name} parameter ${reason}`, {
+    parameter: name,
+    value
+  });
+}
+
+function describeRange(options) {
+  if (options.min !== undefined && options.max !== undefined)
+    return ` from ${options.min} to ${options.max}`;
+  if (options.min !== undefined) return ` of at least ${options.min}`;
+  if (options.max !== undefined) return ` of at most ${options.max}`;
+  return "";
+}
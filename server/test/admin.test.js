@@ -0,0 +1,33 @@
+const assert = require("assert");
+const admin = require("../src/admin.js");
+const { ForbiddenError } = require("../src/errors.js");
+
+function request(remoteAddress, authorization) {
+  return {
+    socket: { remoteAddress },
+    headers: authorization ? { authorization } : {}
+  };
+}
+
+describe("admin", function() {
+  it("only accepts requests from this machine without a token", function() {
+    admin.authorize(request("127.0.0.1"));
+    admin.authorize(request("::1"));
+
+    assert.throws(
+      () => admin.authorize(request("203.0.113.7")),
+      error => error instanceof ForbiddenError && error.status === 403
+    );
+  });
+
+  it("requires the token once one is set", function() {
+    admin.authorize(request("203.0.113.7", "Bearer secret"), "secret");
+
+    for (let authorization of [undefined, "Bearer wrong", "secret"])
+      assert.throws(
+        () => admin.authorize(request("127.0.0.1", authorization), "secret"),
+        ForbiddenError,
+        String(authorization)
+      );
+  });
+});
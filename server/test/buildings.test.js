@@ -0,0 +1,47 @@
+const assert = require("assert");
+const tunnelGraph = require("../src/graph.js");
+const buildings = require("../src/buildings.js");
+
+describe("buildings", function() {
+  //IDs that don't follow the order of the buildings table, with one of the
+  //names saved with a trailing line break
+  let graph = tunnelGraph.build(
+    [
+      { nodeID: 1, lat: 39.78, long: -84.063, buildingID: 7, nodeTypeID: 0 },
+      { nodeID: 2, lat: 39.781, long: -84.063, buildingID: 3, nodeTypeID: 0 }
+    ],
+    [],
+    [
+      { buildingID: 3, name: "Millet Hall\r\n" },
+      { buildingID: 7, name: "Allyn Hall" },
+      { buildingID: 9, name: "Parking Garage" }
+    ]
+  );
+
+  it("finds each building's entry by its name, not its ID", function() {
+    assert.deepStrictEqual(
+      buildings
+        .list(graph)
+        .map(building => [
+          building.buildingID,
+          building.name,
+          building.abbreviation,
+          building.mapClass,
+          building.nodeIDs
+        ]),
+      [
+        [3, "Millett Hall", "MH", ".millettHall", [2]],
+        [7, "Allyn Hall", "AL", ".allynHall", [1]],
+        [9, "Parking Garage", null, null, []]
+      ]
+    );
+  });
+
+  it("lists the rooms of a building", function() {
+    let rooms = buildings.rooms(graph.buildings.get(7));
+
+    assert.ok(rooms.length > 0);
+    assert.ok(rooms.every(room => room.room === "AL " + room.number));
+    assert.deepStrictEqual(buildings.rooms(graph.buildings.get(9)), []);
+  });
+});
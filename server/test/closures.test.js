@@ -0,0 +1,138 @@
+/* eslint-env mocha */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const storage = require("../src/storage");
+const database = require("../src/database.js");
+const tunnelGraph = require("../src/graph.js");
+const closures = require("../src/closures.js");
+const pathfinder = require("../src/pathfinder.js");
+const routeCache = require("../src/routeCache.js");
+const routingRules = require("../src/routingRules.js");
+const api = require("../src/api.js");
+
+const HOUR = 60 * 60 * 1000;
+
+//The shortest route from node 1 to node 5 is 1, 3, 5 through connections 215
+//and 4. With connection 4 closed it goes 1, 4, 5 instead.
+describe("closures", function() {
+  let file = path.join(os.tmpdir(), `closures-${process.pid}.csv`);
+  let graph;
+
+  before(async function() {
+    let now = Date.now();
+    fs.writeFileSync(
+      file,
+      [
+        "closureID,connectionID,nodeID,startsAt,endsAt,reason",
+        `1,4,,${iso(now - HOUR)},${iso(now + HOUR)},Flooding`,
+        `2,,131,${iso(now - HOUR)},,`,
+        `3,5,,${iso(now + HOUR)},${iso(now + 2 * HOUR)},Painting`,
+        `4,6,,${iso(now - 2 * HOUR)},${iso(now - HOUR)},Cleaning`
+      ].join("\n")
+    );
+
+    database.use(storage.create("file", { closures: file }));
+    graph = await tunnelGraph.load();
+  });
+
+  after(async function() {
+    fs.unlinkSync(file);
+
+    //Leave the regular graph loaded for the other tests
+    database.use(storage.create("file"));
+    await tunnelGraph.load();
+  });
+
+  it("finds the closures in effect", function() {
+    let active = closures.active(graph);
+
+    assert.deepStrictEqual(
+      active.closures.map(c => c.closureID),
+      [1, 2]
+    );
+    assert.deepStrictEqual(Array.from(active.connectionIDs), [4]);
+    assert.deepStrictEqual(Array.from(active.nodeIDs), [131]);
+    assert.strictEqual(active.closures[1].endsAt, null);
+
+    let later = closures.active(graph, new Date(Date.now() + 1.5 * HOUR));
+    assert.deepStrictEqual(
+      later.closures.map(c => c.closureID),
+      [2, 3]
+    );
+  });
+
+  it("lists the closures that haven't ended", function() {
+    assert.deepStrictEqual(
+      closures.list(graph).map(c => [c.closureID, c.active]),
+      [
+        [1, true],
+        [2, true],
+        [3, false]
+      ]
+    );
+  });
+
+  it("routes around closed connections and nodes", async function() {
+    let active = closures.active(graph);
+    let route = await pathfinder.getPath(1, [5], { graph, closures: active });
+
+    assert.deepStrictEqual(route.nodeIDs, [1, 4, 5]);
+    assert.deepStrictEqual(closures.onPath(active, route), []);
+
+    let rules = routingRules.create(graph, 130, [131], undefined, active);
+    assert.strictEqual(
+      rules.canTraverse(130, { connectionID: 0 }, graph.nodes.get(131)),
+      false
+    );
+  });
+
+  it("says which closure a shorter route was avoided for", async function() {
+    let route = await api.findRoute({
+      start: 1,
+      endIDs: [5],
+      profile: routingRules.PROFILES.default
+    });
+
+    assert.deepStrictEqual(route.nodeIDs, [1, 4, 5]);
+    assert.deepStrictEqual(
+      route.avoidedClosures.map(c => c.reason),
+      ["Flooding"]
+    );
+    assert.ok(route.detour.distance > 0);
+
+    let open = await api.findRoute({
+      start: 1,
+      endIDs: [3],
+      profile: routingRules.PROFILES.default
+    });
+    assert.deepStrictEqual(open.avoidedClosures, []);
+    assert.strictEqual(open.detour, null);
+  });
+
+  it("keeps cached routes in step with the closures", async function() {
+    let cache = routeCache.create();
+    let flooding = closures.active(graph);
+    let nothing = closures.active(graph, new Date(0));
+    let painting = closures.active(graph, new Date(Date.now() + 1.5 * HOUR));
+
+    let open = await cache.getPath(1, [5], { graph, closures: nothing });
+    let around = await cache.getPath(1, [5], { graph, closures: flooding });
+    assert.deepStrictEqual(open.nodeIDs, [1, 3, 5]);
+    assert.deepStrictEqual(around.nodeIDs, [1, 4, 5]);
+    assert.strictEqual(cache.stats().size, 2);
+
+    //The flooding has ended by the time the painting starts, so the route
+    //around it is dropped and the open route, which misses the painting, is
+    //used again
+    let later = await cache.getPath(1, [5], { graph, closures: painting });
+    assert.deepStrictEqual(later.nodeIDs, [1, 3, 5]);
+    assert.strictEqual(cache.stats().invalidated, 1);
+  });
+});
+
+//Times are written in ISO 8601 so that they read the same in any time zone
+function iso(time) {
+  return new Date(time).toISOString();
+}
@@ -0,0 +1,73 @@
+/* eslint-env mocha */
+const assert = require("assert");
+const path = require("path");
+const config = require("../src/config.js");
+
+describe("config", function() {
+  it("uses the defaults when nothing is set", function() {
+    let settings = config.load({ TUNNEL_STORAGE: "file" }, []);
+
+    assert.strictEqual(settings.port, 5000);
+    assert.strictEqual(settings.logLevel, "info");
+    assert.deepStrictEqual(settings.corsOrigins, ["*"]);
+    assert.deepStrictEqual(settings.routeCache, {
+      size: 10000,
+      precompute: false
+    });
+    assert.strictEqual(settings.routing.accessibleMinWidth, 3);
+  });
+
+  it("reads true and false from environment variables", function() {
+    let settings = config.load(
+      { TUNNEL_STORAGE: "file", TUNNEL_PRECOMPUTE_ROUTES: "true" },
+      []
+    );
+    assert.strictEqual(settings.routeCache.precompute, true);
+
+    assert.throws(
+      () =>
+        config.load(
+          { TUNNEL_STORAGE: "file", TUNNEL_PRECOMPUTE_ROUTES: "yes" },
+          []
+        ),
+      error =>
+        error instanceof config.ConfigError &&
+        error.problems[0].startsWith("TUNNEL_PRECOMPUTE_ROUTES")
+    );
+  });
+
+  it("lets environment variables override the config file", function() {
+    let settings = config.load(
+      { TUNNEL_DB_PASSWORD: "secret", TUNNEL_PORT: "8080" },
+      ["--config", path.join(__dirname, "..", "config.local.json")]
+    );
+
+    assert.strictEqual(settings.port, 8080);
+    assert.deepStrictEqual(settings.database, {
+      host: "localhost",
+      port: 3306,
+      user: "tunnelapp-user",
+      password: "secret",
+      database: "wsutunnelapp"
+    });
+  });
+
+  it("reports every invalid setting at once", function() {
+    assert.throws(
+      () =>
+        config.load(
+          {
+            TUNNEL_PORT: "http",
+            TUNNEL_LOG_LEVEL: "loud",
+            TUNNEL_DB_HOST: "db"
+          },
+          []
+        ),
+      error =>
+        error instanceof config.ConfigError &&
+        error.problems.length === 4 &&
+        error.problems.some(problem => problem.startsWith("TUNNEL_PORT")) &&
+        error.problems.some(problem => problem.startsWith("TUNNEL_LOG_LEVEL"))
+    );
+  });
+});
@@ -0,0 +1,59 @@
+const assert = require("assert");
+const tunnelGraph = require("../src/graph.js");
+const connectionLengths = require("../src/connectionLengths.js");
+const svgGeometry = require("../src/svgGeometry.js");
+const geodesy = require("../src/geodesy.js");
+
+describe("connectionLengths", function() {
+  it("parses the paths drawn by the SVG generator", function() {
+    assert.deepStrictEqual(svgGeometry.parsePath("M 1 2 3 4 l-1 0 L 5 6 v 2"), [
+      { x: 1, y: 2 },
+      { x: 3, y: 4 },
+      { x: 2, y: 4 },
+      { x: 5, y: 6 },
+      { x: 5, y: 8 }
+    ]);
+    assert.throws(() => svgGeometry.parsePath("M 0 0 C 1 1 2 2 3 3"));
+  });
+
+  it("measures bent connections along the map", function() {
+    let nodes = [
+      { nodeID: 1, lat: 39.78, long: -84.06, elev: 0 },
+      { nodeID: 2, lat: 39.78, long: -84.059, elev: 0 },
+      { nodeID: 3, lat: 39.781, long: -84.06, elev: 0 }
+    ];
+    let graph = tunnelGraph.build(nodes, [
+      { connectionID: 1, nodeA_ID: 1, nodeB_ID: 2, length: 1 },
+      { connectionID: 2, nodeA_ID: 1, nodeB_ID: 3, length: 1 }
+    ]);
+
+    //Longitude maps to x and latitude to y, upside down. Connection 2 is
+    //drawn from node 3 back to node 1 by way of node 2.
+    let map = {
+      nodes: new Map([
+        [1, { x: 0, y: 10 }],
+        [2, { x: 10, y: 10 }],
+        [3, { x: 0, y: 0 }]
+      ]),
+      paths: new Map([
+        [
+          2,
+          [
+            { x: 0, y: 0 },
+            { x: 10, y: 10 },
+            { x: 0, y: 10 }
+          ]
+        ]
+      ])
+    };
+
+    let [straight, bent] = connectionLengths.recalculate(graph, { map });
+    let viaNode2 =
+      geodesy.distance(nodes[0], nodes[1]) +
+      geodesy.distance(nodes[1], nodes[2]);
+
+    assert.strictEqual(straight.source, "straight");
+    assert.strictEqual(bent.source, "svg");
+    assert.ok(Math.abs(bent.newLength - viaNode2) < 0.01);
+  });
+});
@@ -0,0 +1,80 @@
+const assert = require("assert");
+const tunnelGraph = require("../src/graph.js");
+const pathfinder = require("../src/pathfinder.js");
+const routingRules = require("../src/routingRules.js");
+const validation = require("../src/validation.js");
+const {
+  UnknownNodeError,
+  UnreachableDestinationError,
+  MalformedQueryError
+} = require("../src/errors.js");
+
+describe("errors", function() {
+  //Two connected nodes and one on its own
+  let node = nodeID => ({ nodeID, nodeTypeID: 0, lat: 39.78, long: -84.063 });
+  let graph = tunnelGraph.build(
+    [node(1), node(2), node(3)],
+    [{ connectionID: 1, nodeA_ID: 1, nodeB_ID: 2, length: 10 }]
+  );
+
+  function serialize(error) {
+    return JSON.parse(JSON.stringify(error));
+  }
+
+  it("reports unknown nodes as UNKNOWN_NODE", async function() {
+    await assert.rejects(pathfinder.getPath(1, [2, 9], { graph }), error => {
+      assert.ok(error instanceof UnknownNodeError);
+      assert.strictEqual(error.status, 404);
+      assert.deepStrictEqual(serialize(error), {
+        error: {
+          code: "UNKNOWN_NODE",
+          message: "Unknown node 9",
+          details: { nodeIDs: [9] }
+        }
+      });
+      return true;
+    });
+  });
+
+  it("reports nodes that can't be reached as UNREACHABLE_DESTINATION", async function() {
+    await assert.rejects(
+      pathfinder.getPath(1, [3], {
+        graph,
+        profile: routingRules.PROFILES.accessible
+      }),
+      error => {
+        assert.ok(error instanceof UnreachableDestinationError);
+        assert.strictEqual(error.status, 422);
+        assert.deepStrictEqual(serialize(error).error.details, {
+          startIDs: [1],
+          endIDs: [3],
+          profile: "accessible",
+          noAccessibleRoute: true
+        });
+        return true;
+      }
+    );
+  });
+
+  it("reports parameters that can't be read as MALFORMED_QUERY", function() {
+    assert.throws(
+      () => validation.integer({ start: "N1" }, "start"),
+      error => {
+        assert.ok(error instanceof MalformedQueryError);
+        assert.strictEqual(error.status, 400);
+        assert.deepStrictEqual(serialize(error), {
+          error: {
+            code: "MALFORMED_QUERY",
+            message: "The start parameter must be an integer",
+            details: { parameter: "start", value: "N1" }
+          }
+        });
+        return true;
+      }
+    );
+    assert.throws(
+      () => validation.integer({}, "start", { required: true }),
+      MalformedQueryError
+    );
+  });
+});
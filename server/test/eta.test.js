@@ -0,0 +1,57 @@
+const assert = require("assert");
+const tunnelGraph = require("../src/graph.js");
+const eta = require("../src/eta.js");
+
+describe("eta", function() {
+  //A 14 m tunnel, a flight of stairs up to the first floor, and two elevator
+  //connections up to the third
+  let graph = tunnelGraph.build(
+    [
+      { nodeID: 1, floor: 0, nodeTypeID: 0 },
+      { nodeID: 2, floor: 0, nodeTypeID: 2 },
+      { nodeID: 3, floor: 1, nodeTypeID: 3 },
+      { nodeID: 4, floor: 2, nodeTypeID: 3 },
+      { nodeID: 5, floor: 3, nodeTypeID: 3 }
+    ],
+    [
+      { connectionID: 1, nodeA_ID: 1, nodeB_ID: 2, length: 14 },
+      { connectionID: 2, nodeA_ID: 2, nodeB_ID: 3, length: 7, hasStairs: "T" },
+      {
+        connectionID: 3,
+        nodeA_ID: 3,
+        nodeB_ID: 4,
+        length: 4,
+        hasElevator: "T"
+      },
+      { connectionID: 4, nodeA_ID: 4, nodeB_ID: 5, length: 4, hasElevator: "T" }
+    ]
+  );
+  let path = { nodeIDs: [1, 2, 3, 4, 5], edgeIDs: [1, 2, 3, 4] };
+  let profile = eta.SPEED_PROFILES.default;
+
+  it("adds up walking time and penalties for each connection", function() {
+    let estimate = eta.estimate(graph, path, profile);
+
+    assert.deepStrictEqual(
+      estimate.legs.map(leg => leg.duration),
+      [
+        10,
+        5 + profile.stairsPerFloor,
+        profile.elevatorWait + profile.elevatorPerFloor,
+        profile.elevatorPerFloor
+      ]
+    );
+    assert.strictEqual(estimate.distance, 29);
+    assert.strictEqual(
+      estimate.duration,
+      estimate.legs.reduce((total, leg) => total + leg.duration, 0)
+    );
+  });
+
+  it("takes longer at a slower speed", function() {
+    assert.ok(
+      eta.estimate(graph, path, eta.SPEED_PROFILES.slow).duration >
+        eta.estimate(graph, path, profile).duration
+    );
+  });
+});
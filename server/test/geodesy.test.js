@@ -0,0 +1,63 @@
+const assert = require("assert");
+const geodesy = require("../src/geodesy.js");
+
+describe("geodesy", function() {
+  const origin = { lat: 39.78, long: -84.063, elev: 0 };
+
+  function near(actual, expected, tolerance) {
+    assert.ok(
+      Math.abs(actual - expected) <= tolerance,
+      `${actual} isn't within ${tolerance} of ${expected}`
+    );
+  }
+
+  it("finds great-circle distances", function() {
+    //A degree of latitude is the same everywhere, but a degree of longitude
+    //shrinks with the cosine of the latitude
+    near(
+      geodesy.distance(origin, { lat: 40.78, long: -84.063 }),
+      (geodesy.EARTH_RADIUS * Math.PI) / 180,
+      0.01
+    );
+    near(
+      geodesy.distance(origin, { lat: 39.78, long: -84.062 }),
+      (((geodesy.EARTH_RADIUS * Math.PI) / 180) *
+        Math.cos((39.78 * Math.PI) / 180)) /
+        1000,
+      0.01
+    );
+  });
+
+  it("finds bearings clockwise from north", function() {
+    near(geodesy.bearing(origin, { lat: 39.781, long: -84.063 }), 0, 1e-6);
+    near(geodesy.bearing(origin, { lat: 39.78, long: -84.062 }), 90, 0.01);
+    near(geodesy.bearing(origin, { lat: 39.779, long: -84.063 }), 180, 1e-6);
+    near(geodesy.bearing(origin, { lat: 39.78, long: -84.064 }), 270, 0.01);
+  });
+
+  it("projects onto a plane that matches great-circle distances", function() {
+    let point = { lat: 39.7835, long: -84.0605, elev: 2 };
+    let enu = geodesy.toENU(point);
+
+    near(
+      Math.hypot(enu.east, enu.north),
+      geodesy.distance(geodesy.CAMPUS_ORIGIN, point),
+      0.05
+    );
+    assert.strictEqual(enu.up, 2);
+
+    let back = geodesy.fromENU(enu);
+    near(back.lat, point.lat, 1e-9);
+    near(back.long, point.long, 1e-9);
+  });
+
+  it("counts floors in 3D distances", function() {
+    let upstairs = { ...origin, floor: 2 };
+
+    assert.strictEqual(
+      geodesy.distance3D(origin, upstairs),
+      2 * geodesy.FLOOR_HEIGHT
+    );
+    assert.strictEqual(geodesy.distance3D(origin, upstairs, { 2: 9 }), 9);
+  });
+});
@@ -0,0 +1,107 @@
+const assert = require("assert");
+const tunnelGraph = require("../src/graph.js");
+const geojson = require("../src/geojson.js");
+const instructions = require("../src/instructions.js");
+
+describe("geojson", function() {
+  let graph = tunnelGraph.build(
+    [
+      {
+        nodeID: 1,
+        lat: 39.78,
+        long: -84.063,
+        buildingID: 0,
+        nodeTypeID: 1,
+        isIndoors: "T"
+      },
+      {
+        nodeID: 2,
+        lat: 39.781,
+        long: -84.063,
+        buildingID: 1,
+        nodeTypeID: 2,
+        floor: 1,
+        isIndoors: "T"
+      }
+    ],
+    [
+      {
+        connectionID: 7,
+        nodeA_ID: 1,
+        nodeB_ID: 2,
+        length: 111,
+        isIndoors: null,
+        hasStairs: "T",
+        hasElevator: "F"
+      },
+      { connectionID: 8, nodeA_ID: 2, nodeB_ID: 99, length: 5 }
+    ],
+    [{ buildingID: 1, name: "Allyn Hall" }]
+  );
+
+  it("exports nodes as points and connections as lines", function() {
+    let collection = geojson.network(graph);
+
+    assert.strictEqual(collection.type, "FeatureCollection");
+    assert.deepStrictEqual(collection.features[1], {
+      type: "Feature",
+      geometry: { type: "Point", coordinates: [-84.063, 39.781] },
+      properties: {
+        kind: "node",
+        nodeID: 2,
+        type: "staircase",
+        buildingID: 1,
+        building: "Allyn Hall",
+        floor: 1,
+        indoor: true
+      }
+    });
+    //The connection to the missing node 99 is left out
+    assert.strictEqual(collection.features.length, 3);
+    assert.deepStrictEqual(collection.features[2].geometry.coordinates, [
+      [-84.063, 39.78],
+      [-84.063, 39.781]
+    ]);
+    assert.deepStrictEqual(collection.features[2].properties, {
+      kind: "connection",
+      connectionID: 7,
+      nodeA_ID: 1,
+      nodeB_ID: 2,
+      length: 111,
+      indoor: true,
+      stairs: true,
+      elevator: false
+    });
+  });
+
+  it("exports a route as steps with flat properties", function() {
+    let path = { nodeIDs: [1, 2], edgeIDs: [7] };
+    let route = {
+      ...path,
+      distance: 111,
+      duration: 80,
+      profile: "default",
+      speed: "default",
+      steps: instructions.build(graph, path)
+    };
+
+    let collection = geojson.route(graph, route);
+
+    assert.deepStrictEqual(
+      collection.features.map(feature => feature.properties.kind),
+      ["step", "start", "end"]
+    );
+    assert.deepStrictEqual(collection.properties, {
+      distance: 111,
+      duration: 80,
+      profile: "default",
+      speed: "default"
+    });
+
+    let step = collection.features[0].properties;
+    assert.strictEqual(step.type, "stairs");
+    assert.strictEqual(step.building, "Allyn Hall");
+    assert.strictEqual(step.floorTo, 1);
+    assert.strictEqual(step.instruction, "Take the stairs up to floor 1");
+  });
+});
@@ -0,0 +1,78 @@
+const assert = require("assert");
+const tunnelGraph = require("../src/graph.js");
+const graphCheck = require("../src/graphCheck.js");
+
+describe("graphCheck", function() {
+  function node(nodeID, nodeTypeID, lat) {
+    return { nodeID, nodeTypeID, lat, long: -84.063, elev: 0, floor: 0 };
+  }
+
+  function connection(connectionID, nodeA_ID, nodeB_ID, length) {
+    return { connectionID, nodeA_ID, nodeB_ID, length };
+  }
+
+  //Nodes 1-3 are a tunnel, 4 is a staircase above a staircase, 5 and 6 are
+  //cut off from the rest, and 7 has no connections. 0.0001 degrees of
+  //latitude is about 11 m.
+  let graph = tunnelGraph.build(
+    [
+      node(1, 0, 39.78),
+      node(2, 0, 39.7801),
+      node(3, 2, 39.7802),
+      node(4, 2, 39.7802),
+      node(5, 0, 39.79),
+      node(6, 0, 39.7901),
+      node(7, 0, 39.8)
+    ],
+    [
+      connection(1, 1, 2, 11.1),
+      connection(2, 2, 3, 50),
+      connection(3, 3, 4, 0),
+      connection(4, 5, 6, 11.1),
+      connection(5, 6, 5, 11.1),
+      connection(6, 1, 99, 10)
+    ]
+  );
+
+  let problems = graphCheck.run(graph);
+  let found = check => problems.filter(problem => problem.check === check);
+
+  it("finds connections to missing nodes", function() {
+    assert.deepStrictEqual(
+      found("dangling").map(p => p.connectionIDs),
+      [[6]]
+    );
+  });
+
+  it("finds orphans and disconnected components", function() {
+    assert.deepStrictEqual(
+      found("orphan").map(p => p.nodeIDs),
+      [[7]]
+    );
+    assert.deepStrictEqual(
+      found("component").map(p => p.nodeIDs),
+      [[5, 6]]
+    );
+  });
+
+  it("finds staircases that only lead to other staircases", function() {
+    assert.deepStrictEqual(
+      found("vertical").map(p => p.nodeIDs),
+      [[4]]
+    );
+  });
+
+  it("finds duplicate connections", function() {
+    assert.deepStrictEqual(
+      found("duplicate").map(p => p.connectionIDs),
+      [[4, 5]]
+    );
+  });
+
+  it("finds lengths beyond the tolerance", function() {
+    assert.deepStrictEqual(
+      found("length").map(p => p.connectionIDs),
+      [[2]]
+    );
+  });
+});
@@ -0,0 +1,256 @@
+const assert = require("assert");
+const tunnelGraph = require("../src/graph.js");
+const geojson = require("../src/geojson.js");
+const indoorMap = require("../src/indoorMap.js");
+const graphImport = require("../src/graphImport.js");
+
+//A tunnel with one intersection (node 1) near 39.78, -84.063
+let graph = tunnelGraph.build(
+  [
+    { nodeID: 1, lat: 39.78, long: -84.063, buildingID: 0, nodeTypeID: 0 },
+    { nodeID: 2, lat: 39.78, long: -84.062, buildingID: 1, nodeTypeID: 1 }
+  ],
+  [{ connectionID: 5, nodeA_ID: 1, nodeB_ID: 2, length: 85.5 }],
+  [{ buildingID: 1, name: "Allyn Hall" }]
+);
+
+//A corridor drawn north from node 1 with a bend, ending at a door into Allyn
+//Hall, an elevator on floors 0 and 1, and stairs up to floor 1
+const OSM = `<?xml version="1.0" encoding="UTF-8"?>
+<osm version="0.6" generator="JOSM">
+  <node id="-1" lat="39.7800001" lon="-84.063" />
+  <node id="-2" lat="39.7805" lon="-84.0631" />
+  <node id="-3" lat="39.781" lon="-84.063">
+    <tag k="door" v="hinged" />
+    <tag k="building" v="Allyn Hall" />
+  </node>
+  <node id="-4" lat="39.781" lon="-84.0625">
+    <tag k="highway" v="elevator" />
+    <tag k="level" v="0;1" />
+  </node>
+  <node id="-5" lat="39.7811" lon="-84.0625" />
+  <node id="-6" lat="39.7812" lon="-84.063" action="delete" />
+  <way id="-10">
+    <nd ref="-1" /><nd ref="-2" /><nd ref="-3" /><nd ref="-4" />
+    <tag k="indoor" v="corridor" />
+    <tag k="level" v="0" />
+  </way>
+  <way id="-11">
+    <nd ref="-3" /><nd ref="-5" />
+    <tag k="highway" v="steps" />
+    <tag k="level" v="0;1" />
+  </way>
+  <relation id="-20"><member type="way" ref="-10" role="" /></relation>
+</osm>`;
+
+describe("indoorMap", function() {
+  it("reads nodes, ways, and tags from OSM XML", function() {
+    let map = indoorMap.parseOSM(OSM);
+
+    assert.strictEqual(map.nodes.size, 5);
+    assert.deepStrictEqual(map.nodes.get("-3").tags, {
+      door: "hinged",
+      building: "Allyn Hall"
+    });
+    assert.deepStrictEqual(map.ways[0].nodeRefs, ["-1", "-2", "-3", "-4"]);
+    assert.strictEqual(map.skipped, 1);
+  });
+
+  it("joins GeoJSON lines at shared vertices", function() {
+    let map = indoorMap.parseGeoJSON({
+      type: "FeatureCollection",
+      features: [
+        {
+          type: "Feature",
+          geometry: {
+            type: "LineString",
+            coordinates: [
+              [0, 0],
+              [1, 1]
+            ]
+          },
+          properties: {}
+        },
+        {
+          type: "Feature",
+          geometry: {
+            type: "LineString",
+            coordinates: [
+              [1, 1],
+              [2, 0]
+            ]
+          },
+          properties: {}
+        },
+        {
+          type: "Feature",
+          geometry: { type: "Polygon", coordinates: [] },
+          properties: { indoor: "corridor" }
+        }
+      ]
+    });
+
+    assert.strictEqual(map.nodes.size, 3);
+    assert.strictEqual(map.ways[0].nodeRefs[1], map.ways[1].nodeRefs[0]);
+    assert.strictEqual(map.skipped, 1);
+  });
+});
+
+describe("graphImport", function() {
+  let rows = graphImport.toRows(indoorMap.parseOSM(OSM), graph);
+  let byID = new Map(rows.nodes.map(row => [row.nodeID, row]));
+
+  it("keeps the ends, junctions, and tagged vertices as nodes", function() {
+    //The start snaps to node 1 and the bend at -2 is dropped
+    assert.deepStrictEqual(
+      rows.nodes
+        .map(row => [row.nodeID, row.nodeTypeID, row.buildingID, row.floor])
+        .sort((a, b) => a[0] - b[0]),
+      [
+        [1, 0, 0, 0],
+        [3, 1, 1, 0],
+        [4, 3, 0, 0],
+        [5, 2, 0, 1],
+        [6, 3, 0, 1]
+      ]
+    );
+    assert.strictEqual(byID.get(4).lat, 39.781);
+  });
+
+  it("splits ways into connections and joins elevator floors", function() {
+    assert.deepStrictEqual(
+      rows.connections.map(row => [
+        row.connectionID,
+        row.nodeA_ID,
+        row.nodeB_ID,
+        row.hasStairs,
+        row.hasElevator
+      ]),
+      [
+        [6, 1, 3, "F", "F"],
+        [7, 3, 4, "F", "F"],
+        [8, 3, 5, "T", "F"],
+        [9, 4, 6, "F", "T"]
+      ]
+    );
+
+    //The corridor is measured through its bend
+    assert(rows.connections[0].length > 111.2);
+    assert.strictEqual(rows.connections[3].length, 4);
+  });
+
+  it("diffs the rows against the graph", function() {
+    let diff = graphImport.diff(graph, rows);
+    assert.deepStrictEqual(
+      diff.nodes.added.map(row => row.nodeID),
+      [3, 4, 5, 6]
+    );
+    assert.deepStrictEqual(diff.nodes.changed, []);
+    assert.deepStrictEqual(diff.nodes.removed, []);
+
+    let replaced = graphImport.diff(graph, rows, { replace: true });
+    assert.deepStrictEqual(
+      replaced.nodes.removed.map(row => row.nodeID),
+      [2]
+    );
+    assert.deepStrictEqual(
+      replaced.connections.removed.map(row => row.connectionID),
+      [5]
+    );
+
+    let sql = graphImport.toSql(replaced).split("\n");
+    assert.strictEqual(sql[0], "START TRANSACTION;");
+    assert.strictEqual(
+      sql[1],
+      "DELETE FROM connections WHERE connectionID = 5;"
+    );
+    assert(
+      sql.includes(
+        "INSERT INTO connections (`connectionID`, `nodeA_ID`, `nodeB_ID`, `length`, `isIndoors`, `hasStairs`, `hasElevator`, `width`) VALUES (9, 4, 6, 4, 'T', 'F', 'T', NULL);"
+      )
+    );
+  });
+
+  it("reads back what tunnel-graph export writes", function() {
+    let exported = JSON.parse(JSON.stringify(geojson.network(graph)));
+    exported.features[1].properties.floor = 1;
+
+    let roundTrip = graphImport.toRows(indoorMap.parseGeoJSON(exported), graph);
+    let diff = graphImport.diff(graph, roundTrip, { replace: true });
+
+    assert.deepStrictEqual(diff.nodes.added, []);
+    assert.deepStrictEqual(diff.nodes.removed, []);
+    assert.deepStrictEqual(
+      diff.nodes.changed.map(change => change.changes),
+      [{ floor: [0, 1] }]
+    );
+    assert.deepStrictEqual(diff.connections, {
+      added: [],
+      changed: [],
+      removed: []
+    });
+  });
+
+  it("skips rooms and other areas", function() {
+    //A room outlined next to a corridor that runs along its wall, with the
+    //room's door on the corridor
+    let map = indoorMap.parseOSM(`<osm version="0.6">
+      <node id="-1" lat="39.781" lon="-84.063" />
+      <node id="-2" lat="39.781" lon="-84.0625"><tag k="door" v="hinged" /></node>
+      <node id="-3" lat="39.7812" lon="-84.0625" />
+      <node id="-4" lat="39.7812" lon="-84.063" />
+      <node id="-5" lat="39.781" lon="-84.062" />
+      <way id="-10">
+        <nd ref="-1" /><nd ref="-2" /><nd ref="-3" /><nd ref="-4" /><nd ref="-1" />
+        <tag k="indoor" v="room" />
+      </way>
+      <way id="-11">
+        <nd ref="-1" /><nd ref="-2" /><nd ref="-5" />
+        <tag k="indoor" v="corridor" />
+      </way>
+    </osm>`);
+    let rows = graphImport.toRows(map, graph, { firstNodeID: 10 });
+    let refs = new Map(rows.nodes.map(row => [row.nodeID, row]));
+
+    assert.deepStrictEqual(
+      rows.connections.map(row => [row.nodeA_ID, row.nodeB_ID]),
+      [
+        [10, 11],
+        [11, 12]
+      ]
+    );
+    assert.deepStrictEqual(
+      [10, 11, 12].map(id => refs.get(id).long),
+      [-84.063, -84.0625, -84.062]
+    );
+    assert.deepStrictEqual(rows.warnings, [
+      "Skipped 1 ways that aren't corridors, footways, steps, or elevators"
+    ]);
+  });
+
+  it("stores widths in feet", function() {
+    let map = indoorMap.parseOSM(`<osm version="0.6">
+      <node id="-1" lat="39.781" lon="-84.063" />
+      <node id="-2" lat="39.781" lon="-84.0625" />
+      <node id="-3" lat="39.781" lon="-84.062" />
+      <node id="-4" lat="39.781" lon="-84.0615" />
+      <way id="-10">
+        <nd ref="-1" /><nd ref="-2" />
+        <tag k="highway" v="corridor" /><tag k="width" v="1.5" />
+      </way>
+      <way id="-11">
+        <nd ref="-2" /><nd ref="-3" />
+        <tag k="highway" v="corridor" /><tag k="width" v="0.9 m" />
+      </way>
+      <way id="-12">
+        <nd ref="-3" /><nd ref="-4" />
+        <tag k="highway" v="corridor" /><tag k="width" v="6'" />
+      </way>
+    </osm>`);
+
+    assert.deepStrictEqual(
+      graphImport.toRows(map, graph).connections.map(row => row.width),
+      [4, 2, 6]
+    );
+  });
+});
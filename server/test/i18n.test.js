@@ -0,0 +1,52 @@
+const assert = require("assert");
+const i18n = require("../src/i18n.js");
+
+describe("i18n", function() {
+  it("fills in the placeholders of a message", function() {
+    assert.strictEqual(
+      i18n.translate("es", "step.stairs.up", { floor: 2 }),
+      "Suba por las escaleras al piso 2"
+    );
+    assert.strictEqual(
+      i18n.translate("en", ["place", "next", "elevator"]),
+      "the next elevator"
+    );
+  });
+
+  it("falls back to English for unknown languages", function() {
+    assert.strictEqual(
+      i18n.translate("fr", "step.head", { place: "the exit" }),
+      "Head to the exit"
+    );
+  });
+
+  it("throws for messages that don't exist", function() {
+    assert.throws(() => i18n.translate("en", "step.jump"), /step\.jump/);
+  });
+
+  it("formats distances for the language", function() {
+    assert.strictEqual(i18n.formatDistance("en", 12.4), "12 m");
+    assert.strictEqual(i18n.formatDistance("en", 1203), "1,205 m");
+    assert.strictEqual(i18n.formatDistance("es", 12003), "12.005 m");
+  });
+
+  it("has the same messages in every catalog", function() {
+    let keys = catalog =>
+      Object.keys(catalog).reduce(
+        (all, key) =>
+          all.concat(
+            typeof catalog[key] === "object"
+              ? keys(catalog[key]).map(inner => key + "." + inner)
+              : [key]
+          ),
+        []
+      );
+    let english = keys(require("../src/locales/en.json"));
+
+    for (let language of i18n.LANGUAGES)
+      assert.deepStrictEqual(
+        keys(require(`../src/locales/${language}.json`)),
+        english
+      );
+  });
+});
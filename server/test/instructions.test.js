@@ -0,0 +1,131 @@
+const assert = require("assert");
+const tunnelGraph = require("../src/graph.js");
+const instructions = require("../src/instructions.js");
+
+describe("instructions", function() {
+  it("names turns from bearings", function() {
+    assert.strictEqual(instructions.getTurn(0, 10), "straight");
+    assert.strictEqual(instructions.getTurn(350, 30), "slight right");
+    assert.strictEqual(instructions.getTurn(90, 0), "left");
+    assert.strictEqual(instructions.getTurn(10, 300), "left");
+    assert.strictEqual(instructions.getTurn(180, 270), "right");
+  });
+
+  it("builds a step for each connection", function() {
+    //North from node 1 to node 2, then east into Allyn Hall and up its stairs
+    let graph = tunnelGraph.build(
+      [
+        { nodeID: 1, lat: 39.78, long: -84.063, buildingID: 0, nodeTypeID: 1 },
+        { nodeID: 2, lat: 39.781, long: -84.063, buildingID: 0, nodeTypeID: 0 },
+        { nodeID: 3, lat: 39.781, long: -84.062, buildingID: 1, nodeTypeID: 2 },
+        {
+          nodeID: 4,
+          lat: 39.781,
+          long: -84.062,
+          buildingID: 1,
+          nodeTypeID: 2,
+          floor: 1
+        }
+      ],
+      [
+        { connectionID: 1, nodeA_ID: 1, nodeB_ID: 2, length: 111 },
+        { connectionID: 2, nodeA_ID: 2, nodeB_ID: 3, length: 85 },
+        { connectionID: 3, nodeA_ID: 3, nodeB_ID: 4, length: 4 }
+      ],
+      [{ buildingID: 1, name: "Allyn Hall\r\n" }]
+    );
+
+    let steps = instructions.build(graph, {
+      nodeIDs: [1, 2, 3, 4],
+      edgeIDs: [1, 2, 3]
+    });
+
+    assert.deepStrictEqual(
+      steps.map(step => [step.type, step.turn, step.instruction]),
+      [
+        ["continue", "right", "Take a right at the next intersection"],
+        ["continue", null, "Head to the next staircase in Allyn Hall"],
+        ["stairs", null, "Take the stairs up to floor 1"]
+      ]
+    );
+    assert.strictEqual(steps[0].bearing, 0);
+    assert.strictEqual(steps[1].distance, 85);
+    assert.deepStrictEqual(steps[1].building, {
+      buildingID: 1,
+      name: "Allyn Hall"
+    });
+  });
+});
+
+describe("instructions.merge", function() {
+  //Straight east along a tunnel into Allyn Hall, then a left turn and
+  //straight on into Millett Hall. 0.0001 degrees of longitude is about
+  //8.5 m here.
+  let node = (nodeID, lat, long, buildingID) => ({
+    nodeID,
+    lat,
+    long,
+    buildingID,
+    nodeTypeID: 0
+  });
+  let graph = tunnelGraph.build(
+    [
+      node(1, 39.78, -84.063, 0),
+      node(2, 39.78, -84.0625, 0),
+      node(3, 39.78, -84.062, 1),
+      node(4, 39.78, -84.0615, 1),
+      node(5, 39.7805, -84.0615, 1),
+      node(6, 39.781, -84.0615, 13)
+    ],
+    [1, 2, 3, 4, 5].map(i => ({
+      connectionID: i,
+      nodeA_ID: i,
+      nodeB_ID: i + 1,
+      length: 40
+    })),
+    [
+      { buildingID: 1, name: "Allyn Hall" },
+      { buildingID: 13, name: "Millett Hall" }
+    ]
+  );
+  let path = { nodeIDs: [1, 2, 3, 4, 5, 6], edgeIDs: [1, 2, 3, 4, 5] };
+  let maneuvers = instructions.merge(
+    graph,
+    path,
+    instructions.build(graph, path)
+  );
+
+  it("merges straight steps and announces buildings", function() {
+    assert.deepStrictEqual(
+      maneuvers.map(maneuver => [
+        maneuver.startIndex,
+        maneuver.endIndex,
+        maneuver.instruction
+      ]),
+      [
+        [0, 2, "Continue 80 m, entering Allyn Hall"],
+        [2, 3, "In 40 m, turn left toward Millett Hall"],
+        [3, 5, "In 80 m, entering Millett Hall, arrive at the intersection"]
+      ]
+    );
+    assert.deepStrictEqual(maneuvers[2].edgeIDs, [4, 5]);
+  });
+
+  it("writes the maneuvers in other languages", function() {
+    let spanish = instructions.merge(
+      graph,
+      path,
+      instructions.build(graph, path, [], "es"),
+      "es"
+    );
+
+    assert.deepStrictEqual(
+      spanish.map(maneuver => maneuver.instruction),
+      [
+        "Siga 80 m, entrando en Allyn Hall",
+        "En 40 m, gire a la izquierda hacia Millett Hall",
+        "En 80 m, entrando en Millett Hall, llegará a la intersección"
+      ]
+    );
+  });
+});
@@ -0,0 +1,137 @@
+/* eslint-env mocha */
+const assert = require("assert");
+const storage = require("../src/storage");
+const database = require("../src/database.js");
+const tunnelGraph = require("../src/graph.js");
+const pathfinder = require("../src/pathfinder.js");
+const routingRules = require("../src/routingRules.js");
+const routeCache = require("../src/routeCache.js");
+
+function lengthOf(path) {
+  let graph = tunnelGraph.current();
+  return path.edgeIDs.reduce(
+    (total, edgeID) => total + graph.connections.get(edgeID).length,
+    0
+  );
+}
+
+//These tests run against the CSV exports, so they don't need a database
+describe("pathfinder", function() {
+  before(async function() {
+    database.use(storage.create("file"));
+    await tunnelGraph.load();
+  });
+
+  it("finds the shortest route to the nearest end", async function() {
+    let path = await pathfinder.getPath(1, [6, 5]);
+
+    assert.deepStrictEqual(path.nodeIDs, [1, 3, 5]);
+    assert.strictEqual(path.edgeIDs.length, path.nodeIDs.length - 1);
+  });
+
+  it("starts from whichever start is nearest", async function() {
+    //From the entrances of the Student Union to the entrances of Dunbar Library
+    let entrances = routeCache.getEntrances(tunnelGraph.current());
+    let starts = entrances.get(19);
+    let ends = entrances.get(7);
+
+    let path = await pathfinder.getPath(starts, ends);
+    let shortest = Math.min(
+      ...(
+        await Promise.all(
+          starts.map(startID => pathfinder.getPath(startID, ends))
+        )
+      ).map(lengthOf)
+    );
+
+    assert.ok(starts.includes(path.nodeIDs[0]));
+    assert.ok(ends.includes(path.nodeIDs[path.nodeIDs.length - 1]));
+    assert.strictEqual(lengthOf(path), shortest);
+  });
+
+  it("routes to a room using the regexes", async function() {
+    let endIDs = await database.getNodesToRoom("RC 252", "true");
+    let path = await pathfinder.getPath(1, endIDs);
+
+    assert.ok(endIDs.includes(path.nodeIDs[path.nodeIDs.length - 1]));
+  });
+
+  it("rejects unknown nodes", async function() {
+    await assert.rejects(pathfinder.getPath(1, [9999]), {
+      code: "UNKNOWN_NODE"
+    });
+  });
+
+  it("reports destinations that can't be reached", async function() {
+    //Node 131 isn't connected to anything
+    await assert.rejects(
+      pathfinder.getPath(1, [131], {
+        profile: routingRules.PROFILES.accessible
+      }),
+      error =>
+        error.code === "UNREACHABLE_DESTINATION" &&
+        error.details.noAccessibleRoute
+    );
+  });
+
+  it("prefers elevators on accessible routes", async function() {
+    //Routes from 1 on the ground floor to 4 on the first floor: 14 m up
+    //elevator 2-3, or along a ramp from 5
+    let node = (nodeID, nodeTypeID, floor) => ({
+      nodeID,
+      nodeTypeID,
+      floor,
+      lat: 39.78,
+      long: -84.063
+    });
+    let build = rampLength =>
+      tunnelGraph.build(
+        [
+          node(1, 0, 0),
+          node(2, 3, 0),
+          node(3, 3, 1),
+          node(4, 0, 1),
+          node(5, 0, 0)
+        ],
+        [
+          { connectionID: 1, nodeA_ID: 1, nodeB_ID: 2, length: 5 },
+          {
+            connectionID: 2,
+            nodeA_ID: 2,
+            nodeB_ID: 3,
+            length: 4,
+            hasElevator: "T"
+          },
+          { connectionID: 3, nodeA_ID: 3, nodeB_ID: 4, length: 5 },
+          { connectionID: 4, nodeA_ID: 1, nodeB_ID: 5, length: 7 },
+          { connectionID: 5, nodeA_ID: 5, nodeB_ID: 4, length: rampLength }
+        ]
+      );
+    let accessible = { profile: routingRules.PROFILES.accessible };
+
+    //The ramp is as long as the elevator route
+    let path = await pathfinder.getPath(1, 4, {
+      graph: build(7),
+      ...accessible
+    });
+    assert.deepStrictEqual(path.edgeIDs, [1, 2, 3]);
+
+    //Other routes take the ramp when it is shorter, and accessible routes
+    //only when it is shorter by more than its length
+    let shorter = build(6);
+    assert.deepStrictEqual(
+      (await pathfinder.getPath(1, 4, { graph: shorter })).edgeIDs,
+      [4, 5]
+    );
+    assert.deepStrictEqual(
+      (await pathfinder.getPath(1, 4, { graph: shorter, ...accessible }))
+        .edgeIDs,
+      [1, 2, 3]
+    );
+    assert.deepStrictEqual(
+      (await pathfinder.getPath(1, 4, { graph: build(3), ...accessible }))
+        .edgeIDs,
+      [4, 5]
+    );
+  });
+});
@@ -0,0 +1,46 @@
+const assert = require("assert");
+const PriorityQueue = require("../src/priorityQueue.js");
+
+describe("PriorityQueue", function() {
+  it("pops values in order of priority", function() {
+    let queue = new PriorityQueue();
+    let priorities = [5, 3, 9, 1, 7, 2, 8, 6, 4, 0];
+    priorities.forEach(p => queue.push("value " + p, p));
+
+    let popped = [];
+    while (!queue.isEmpty()) popped.push(queue.pop());
+
+    assert.deepStrictEqual(
+      popped,
+      priorities.sort((a, b) => a - b).map(p => "value " + p)
+    );
+  });
+
+  it("pops values with equal priorities in the order they were pushed", function() {
+    let queue = new PriorityQueue();
+    queue.push("first", 1);
+    queue.push("second", 1);
+    queue.push("zeroth", 0);
+    queue.push("third", 1);
+
+    assert.strictEqual(queue.pop(), "zeroth");
+    assert.strictEqual(queue.pop(), "first");
+    assert.strictEqual(queue.pop(), "second");
+    assert.strictEqual(queue.pop(), "third");
+  });
+
+  it("tracks its size and handles being emptied", function() {
+    let queue = new PriorityQueue();
+    assert.strictEqual(queue.pop(), undefined);
+
+    queue.push("a", 2);
+    queue.push("b", 1);
+    assert.strictEqual(queue.size, 2);
+    assert.strictEqual(queue.peek(), "b");
+
+    queue.pop();
+    queue.pop();
+    assert.strictEqual(queue.size, 0);
+    assert.ok(queue.isEmpty());
+  });
+});
@@ -0,0 +1,149 @@
+/* eslint-env mocha */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const storage = require("../src/storage");
+const database = require("../src/database.js");
+const tunnelGraph = require("../src/graph.js");
+const csv = require("../src/csv.js");
+const roomAccess = require("../src/roomAccess.js");
+
+function row(columns) {
+  return roomAccess.fromRows([
+    { roomAccessID: 1, nodeID: 1, nodeTypeID: 3, building: "AL", ...columns }
+  ])[0];
+}
+
+function entry(nodeID, roomRegEx, nodeTypeID = 3) {
+  return { nodeID, roomRegEx, nodeTypeID, regex: new RegExp(roomRegEx) };
+}
+
+describe("roomAccess", function() {
+  it("splits rooms into their parts", function() {
+    assert.deepStrictEqual(roomAccess.parseRoom("SC E145A"), {
+      building: "SC",
+      number: "E145A",
+      prefix: "E",
+      digits: 145,
+      suffix: "A",
+      floor: 1
+    });
+    assert.strictEqual(roomAccess.parseRoom("Allyn 378"), null);
+  });
+
+  it("serves rooms by floor, range, and list", function() {
+    let floor = row({ floor: 1 });
+    assert.ok(roomAccess.serves(floor, "AL 155A"));
+    assert.ok(!roomAccess.serves(floor, "AL 255"));
+    assert.ok(!roomAccess.serves(floor, "MH 155"));
+
+    let range = row({ firstRoom: "140", lastRoom: "299" });
+    assert.ok(roomAccess.serves(range, "AL 140"));
+    assert.ok(roomAccess.serves(range, "AL 299B"));
+    assert.ok(!roomAccess.serves(range, "AL 139"));
+
+    let list = row({ rooms: "109 152A" });
+    assert.ok(roomAccess.serves(list, "AL 152A"));
+    assert.ok(!roomAccess.serves(list, "AL 152"));
+
+    assert.ok(roomAccess.serves(row({}), "AL 001"));
+  });
+
+  it("turns regexes into floors, ranges, and lists", function() {
+    let { rows, unconverted, differences } = roomAccess.fromRegexes(
+      [
+        entry(1, "(AL|MH) 0\\d{2}[A-Z]?"),
+        entry(2, "BS (1[4-9]|2\\d)\\d[A-Z]?"),
+        entry(3, "OH 109"),
+        entry(4, "a^This staircase leads to the outside", 2)
+      ],
+      [{ room: "AL 031" }, { room: "BS 155A" }, { room: "OH 109" }]
+    );
+
+    assert.deepStrictEqual(rows.map(roomAccess.describe), [
+      "AL floor 0",
+      "MH floor 0",
+      "BS 140-299",
+      "OH 109"
+    ]);
+    assert.deepStrictEqual(
+      rows.map(row => row.roomAccessID),
+      [1, 2, 3, 4]
+    );
+    assert.deepStrictEqual(
+      unconverted.map(entry => entry.nodeID),
+      [4]
+    );
+    assert.deepStrictEqual(differences, []);
+  });
+
+  it("lists rooms that the rows send somewhere else", function() {
+    //Only plain numbers are tried, so the wing's regex isn't converted and
+    //its rooms end up on the floor's row
+    let { differences } = roomAccess.fromRegexes(
+      [entry(1, "SC E1\\d{2}"), entry(2, "SC 1\\d{2}")],
+      [{ room: "SC E145" }, { room: "SC 145" }]
+    );
+
+    assert.deepStrictEqual(differences, [
+      { room: "SC E145", fromRegexes: [1], fromRows: [2] }
+    ]);
+  });
+
+  describe("with a room_access table", function() {
+    let file = path.join(os.tmpdir(), `room-access-${process.pid}.csv`);
+
+    before(async function() {
+      fs.writeFileSync(
+        file,
+        csv.format(
+          [
+            { roomAccessID: 1, nodeID: 97, building: "AL", floor: 3 },
+            { roomAccessID: 2, nodeID: 96, building: "AL", rooms: "378 380" }
+          ],
+          roomAccess.COLUMNS
+        )
+      );
+
+      database.use(storage.create("file", { roomAccess: file }));
+      await tunnelGraph.load();
+    });
+
+    after(async function() {
+      fs.unlinkSync(file);
+      database.use(storage.create("file"));
+      await tunnelGraph.load();
+    });
+
+    it("routes to the nodes in the table", async function() {
+      assert.deepStrictEqual(await database.getNodesToRoom("AL 378", "true"), [
+        97,
+        96
+      ]);
+      assert.deepStrictEqual(await database.getNodesToRoom("AL 378", "false"), [
+        97
+      ]);
+      assert.strictEqual(
+        (await database.findRoomAccess("AL 378")).source,
+        "table"
+      );
+    });
+
+    it("falls back to the regexes for rooms the table doesn't cover", async function() {
+      assert.deepStrictEqual(await database.getNodesToRoom("AL 255", "true"), [
+        96,
+        97,
+        98
+      ]);
+      assert.strictEqual(
+        (await database.findRoomAccess("AL 255")).source,
+        "regex"
+      );
+      assert.strictEqual(
+        (await database.findRoomAccess("ZZ 100")).source,
+        null
+      );
+    });
+  });
+});
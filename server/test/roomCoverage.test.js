@@ -0,0 +1,139 @@
+const assert = require("assert");
+const buildings = require("../src/buildings.js");
+const roomAccess = require("../src/roomAccess.js");
+const roomCoverage = require("../src/roomCoverage.js");
+
+function entry(nodeID, roomRegEx, nodeTypeID) {
+  let regex = null;
+  let error = null;
+  try {
+    regex = new RegExp(roomRegEx);
+  } catch (e) {
+    error = e.message;
+  }
+  return { nodeID, roomRegEx, nodeTypeID, regex, error };
+}
+
+//Looks rooms up like database.findRoomAccess does, from the rows first and
+//the regexes otherwise
+function lookup(rows, regexes) {
+  return async function(room) {
+    let served = roomAccess.lookup(roomAccess.fromRows(rows), room);
+    if (served.length > 0) return { source: "table", entries: served };
+
+    let matching = regexes.filter(
+      entry => entry.regex && entry.regex.test(room)
+    );
+    return { source: matching.length > 0 ? "regex" : null, entries: matching };
+  };
+}
+
+function room(name, number) {
+  return { name, number, room: "AL " + number };
+}
+
+describe("roomCoverage", function() {
+  it("builds rooms the way the app does", function() {
+    let rooms = buildings.allRooms();
+
+    assert.ok(
+      rooms.some(
+        room => room.building === "Allyn Hall" && room.room === "AL 378"
+      )
+    );
+    assert.ok(
+      rooms.every(room => room.room === room.abbreviation + " " + room.number)
+    );
+  });
+
+  it("reports rooms that routes can't end at", async function() {
+    let regexes = [
+      entry(1, "AL 1\\d{2}", 3),
+      entry(2, "AL 2\\d{2}", 2),
+      entry(3, "AL 3\\d{2}", 0)
+    ];
+    let problems = await roomCoverage.run(
+      [
+        room("Office", "101"),
+        room("Lab", "201"),
+        room("Lounge", "301"),
+        room("Lounge Desk", "301"),
+        room("Storage", "401")
+      ],
+      regexes,
+      lookup([], regexes)
+    );
+
+    assert.deepStrictEqual(
+      problems.map(problem => [problem.check, problem.rooms, problem.nodeIDs]),
+      [
+        ["stairsOnly", ["AL 201"], [2]],
+        ["uncovered", ["AL 301"], [3]],
+        ["uncovered", ["AL 401"], []]
+      ]
+    );
+    assert.match(problems[1].message, /Lounge, Lounge Desk/);
+  });
+
+  it("reports regexes that match nothing or don't compile", async function() {
+    let regexes = [
+      entry(1, "AL 1\\d{2}", 3),
+      entry(2, "XY 1\\d{2}", 3),
+      entry(3, "a^This staircase leads to the outside", 2),
+      entry(4, "AL (", 3)
+    ];
+    let problems = await roomCoverage.run(
+      [room("Office", "101")],
+      regexes,
+      lookup([], regexes)
+    );
+
+    assert.deepStrictEqual(
+      problems.map(problem => [problem.check, problem.nodeIDs]),
+      [
+        ["unusedRegex", [2]],
+        ["invalidRegex", [4]]
+      ]
+    );
+  });
+
+  it("uses the room_access rows before the regexes", async function() {
+    //The regex would give AL 101 an elevator, but the rows that routes use
+    //only give it a staircase, and AL 201 an elevator
+    let regexes = [entry(1, "AL \\d{3}", 3)];
+    let problems = await roomCoverage.run(
+      [room("Office", "101"), room("Lab", "201")],
+      regexes,
+      lookup(
+        [
+          {
+            roomAccessID: 1,
+            nodeID: 2,
+            nodeTypeID: 2,
+            building: "AL",
+            floor: 1
+          },
+          {
+            roomAccessID: 2,
+            nodeID: 3,
+            nodeTypeID: 3,
+            building: "AL",
+            floor: 2
+          }
+        ],
+        regexes
+      )
+    );
+
+    assert.deepStrictEqual(
+      problems.map(problem => [
+        problem.check,
+        problem.rooms,
+        problem.nodeIDs,
+        problem.source
+      ]),
+      [["stairsOnly", ["AL 101"], [2], "table"]]
+    );
+    assert.match(problems[0].message, /room_access table/);
+  });
+});
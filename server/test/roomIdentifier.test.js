@@ -0,0 +1,121 @@
+/* eslint-env mocha */
+const assert = require("assert");
+const storage = require("../src/storage");
+const database = require("../src/database.js");
+const tunnelGraph = require("../src/graph.js");
+const routingRules = require("../src/routingRules.js");
+const api = require("../src/api.js");
+const { AmbiguousRoomError } = require("../src/errors.js");
+const { normalize } = require("../../src/roomIdentifier.js");
+
+function roomOf(text, options) {
+  return normalize(text, options).room;
+}
+
+describe("roomIdentifier", function() {
+  before(async function() {
+    database.use(storage.create("file"));
+    await tunnelGraph.load();
+  });
+
+  it("reads rooms written in different ways", function() {
+    for (let text of ["AL 378", "al378", "Allyn Hall room 378", "allyn 378"])
+      assert.strictEqual(roomOf(text), "AL 378", text);
+
+    assert.strictEqual(roomOf("Russ 152a"), "RC 152A");
+    assert.strictEqual(roomOf("rc-152-A"), "RC 152A");
+    assert.strictEqual(roomOf("math & micro 120"), "MM 120");
+  });
+
+  it("uses aliases, preferring them to the start of other names", function() {
+    assert.strictEqual(roomOf("SSC 100"), "SC 100");
+    assert.strictEqual(roomOf("library 101"), "DL 101");
+    assert.strictEqual(roomOf("library annex 101"), "LX 101");
+  });
+
+  it("reads every building name that the server uses", async function() {
+    let listed = await api.handle(
+      { method: "GET" },
+      { pathname: "/api/v1/buildings", query: {} }
+    );
+    //Along with the names in the buildings table, such as "Millet Hall"
+    let names = listed
+      .map(building => [building.name, building.abbreviation])
+      .concat(
+        listed.map(building => [
+          tunnelGraph.current().buildings.get(building.buildingID).name,
+          building.abbreviation
+        ])
+      );
+
+    for (let [name, abbreviation] of names)
+      assert.strictEqual(roomOf(name + " 140"), abbreviation + " 140", name);
+  });
+
+  it("keeps wing letters and reads basement prefixes", function() {
+    assert.strictEqual(roomOf("su e156"), "SU E156");
+    assert.strictEqual(roomOf("AL B31"), "AL 031");
+    assert.strictEqual(roomOf("AL basement 31"), "AL 031");
+    assert.strictEqual(roomOf("AL 31"), "AL 031");
+
+    //The Student Success Center has a level B of its own
+    assert.strictEqual(roomOf("SC B12"), "SC B12");
+  });
+
+  it("reads floors", function() {
+    let floor = normalize("Dunbar Library 1st floor");
+    assert.strictEqual(floor.room, "DL 100");
+    assert.strictEqual(floor.floor, 1);
+
+    assert.strictEqual(roomOf("Student Union basement"), "SU 000");
+  });
+
+  it("uses the default building for bare room numbers", function() {
+    assert.strictEqual(roomOf("e156", { building: "SU" }), "SU E156");
+    assert.strictEqual(normalize("156").error, "NO_BUILDING");
+  });
+
+  it("lists the rooms that text could be", function() {
+    let result = normalize("student 152");
+
+    assert.strictEqual(result.room, null);
+    assert.strictEqual(result.error, "AMBIGUOUS");
+    assert.deepStrictEqual(
+      result.ambiguities.map(a => a.room),
+      ["SC 152", "SU 152"]
+    );
+  });
+
+  it("says why text can't be read", function() {
+    assert.strictEqual(normalize("").error, "EMPTY");
+    assert.strictEqual(normalize("Zebra Hall 100").error, "UNKNOWN_BUILDING");
+    assert.strictEqual(normalize("Allyn Hall").error, "NO_ROOM");
+    assert.strictEqual(normalize("AL 378 west").error, "UNREADABLE");
+  });
+
+  it("routes to rooms however they are written", async function() {
+    let request = { start: 1, profile: routingRules.PROFILES.default };
+    let written = await api.findRoute({ ...request, room: "russ 252" });
+    let key = await api.findRoute({ ...request, room: "RC 252" });
+
+    assert.deepStrictEqual(written.nodeIDs, key.nodeIDs);
+    await assert.rejects(
+      api.findRoute({ ...request, room: "student 152" }),
+      AmbiguousRoomError
+    );
+  });
+
+  it("resolves rooms however they are written", async function() {
+    let resolve = room =>
+      api.handle(
+        { method: "GET" },
+        { pathname: "/api/v1/rooms/resolve", query: { room } }
+      );
+
+    let resolution = await resolve("russ 252");
+    assert.strictEqual(resolution.room, "RC 252");
+    assert.deepStrictEqual(resolution.problems, []);
+
+    await assert.rejects(resolve("student 152"), AmbiguousRoomError);
+  });
+});
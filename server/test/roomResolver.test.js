@@ -0,0 +1,87 @@
+/* eslint-env mocha */
+const assert = require("assert");
+const storage = require("../src/storage");
+const database = require("../src/database.js");
+const tunnelGraph = require("../src/graph.js");
+const roomResolver = require("../src/roomResolver.js");
+const routingRules = require("../src/routingRules.js");
+
+describe("roomResolver", function() {
+  let graph;
+  let regexReads = 0;
+
+  before(async function() {
+    let backend = storage.create("file");
+    let roomRegexes = backend.roomRegexes;
+    backend.roomRegexes = () => {
+      regexReads++;
+      return roomRegexes();
+    };
+
+    database.use(backend);
+    graph = await tunnelGraph.load();
+  });
+
+  it("explains which nodes serve a room", async function() {
+    let resolution = await roomResolver.resolve(graph, "AL 378", {
+      profile: routingRules.PROFILES.accessible
+    });
+
+    assert.deepStrictEqual(resolution.buildings, [
+      { buildingID: 1, name: "Allyn Hall" }
+    ]);
+    assert.deepStrictEqual(resolution.nodeIDs, [97]);
+    assert.deepStrictEqual(
+      resolution.matches.map(match => [match.nodeID, match.type, match.usable]),
+      [
+        [96, "staircase", false],
+        [97, "elevator", true],
+        [98, "staircase", false]
+      ]
+    );
+    assert.strictEqual(resolution.matches[0].building, "Allyn Hall");
+    assert.deepStrictEqual(resolution.problems, []);
+  });
+
+  it("says why matching nodes aren't used", async function() {
+    let resolution = await roomResolver.resolve(graph, "RC 152");
+
+    assert.deepStrictEqual(resolution.nodeIDs, []);
+    assert.match(resolution.matches[0].reason, /not by intersections/);
+    assert.strictEqual(resolution.problems.length, 1);
+  });
+
+  it("lists regexes that almost match", async function() {
+    let resolution = await roomResolver.resolve(graph, "al 378");
+
+    assert.deepStrictEqual(resolution.matches, []);
+    assert.ok(
+      resolution.nearMisses.some(
+        miss => miss.nodeID === 97 && /case/.test(miss.reason)
+      )
+    );
+  });
+
+  it("flags nodes in the wrong building", async function() {
+    let resolution = await roomResolver.resolve(graph, "JC 390");
+
+    assert.ok(resolution.matches.every(match => match.wrongBuilding));
+    assert.ok(
+      resolution.problems.some(problem =>
+        problem.includes("is in Russ Engineering Center, not Joshi Center")
+      )
+    );
+  });
+
+  it("compiles the regexes once for each load", async function() {
+    let reads = regexReads;
+
+    await database.getNodesToRoom("AL 378", "true");
+    await roomResolver.resolve(graph, "AL 378");
+    assert.strictEqual(regexReads, reads);
+
+    graph = await tunnelGraph.load();
+    await roomResolver.resolve(graph, "AL 378");
+    assert.strictEqual(regexReads, reads + 1);
+  });
+});
@@ -0,0 +1,61 @@
+/* eslint-env mocha */
+const assert = require("assert");
+const storage = require("../src/storage");
+const database = require("../src/database.js");
+const tunnelGraph = require("../src/graph.js");
+const roomSearch = require("../src/roomSearch.js");
+
+describe("roomSearch", function() {
+  let graph;
+
+  before(async function() {
+    database.use(storage.create("file"));
+    graph = await tunnelGraph.load();
+  });
+
+  it("splits room codes from their buildings", function() {
+    assert.deepStrictEqual(roomSearch.tokenize("RC152"), ["rc", "152"]);
+    assert.deepStrictEqual(roomSearch.tokenize("Veteran & Military"), [
+      "veteran",
+      "and",
+      "military"
+    ]);
+  });
+
+  it("finds rooms by department or office name", async function() {
+    let [first] = await roomSearch.search(graph, "veterans center");
+
+    assert.strictEqual(first.name, "Veteran & Military Center");
+    assert.strictEqual(first.room, "AL 131");
+    assert.ok(first.nodeIDs.length > 0);
+  });
+
+  it("finds rooms by building and number", async function() {
+    for (let text of ["russ 152", "RC152", "rc 152"]) {
+      let [first] = await roomSearch.search(graph, text);
+      assert.strictEqual(first.room, "RC 152", text);
+    }
+  });
+
+  it("tolerates typos", async function() {
+    let [building] = await roomSearch.search(graph, "millet hal");
+    assert.strictEqual(building.type, "building");
+    assert.strictEqual(building.building, "Millett Hall");
+
+    let [room] = await roomSearch.search(graph, "departmnet of chemistry");
+    assert.strictEqual(room.room, "OH 202");
+  });
+
+  it("offers unlisted rooms that the regexes route to", async function() {
+    let [first] = await roomSearch.search(graph, "allyn 155");
+
+    assert.strictEqual(first.room, "AL 155");
+    assert.strictEqual(first.name, null);
+    assert.ok(first.nodeIDs.length > 0);
+  });
+
+  it("returns nothing for words that don't name anything", async function() {
+    assert.deepStrictEqual(await roomSearch.search(graph, "the & of"), []);
+    assert.deepStrictEqual(await roomSearch.search(graph, "zzyzx"), []);
+  });
+});
@@ -0,0 +1,164 @@
+/* eslint-env mocha */
+const assert = require("assert");
+const storage = require("../src/storage");
+const database = require("../src/database.js");
+const tunnelGraph = require("../src/graph.js");
+const routeCache = require("../src/routeCache.js");
+const routingRules = require("../src/routingRules.js");
+const api = require("../src/api.js");
+
+describe("routeCache", function() {
+  let graph;
+
+  before(async function() {
+    database.use(storage.create("file"));
+    graph = await tunnelGraph.load();
+  });
+
+  it("answers repeated routes from the cache", async function() {
+    let cache = routeCache.create();
+
+    let first = await cache.getPath(1, [6, 5], { graph });
+    let second = await cache.getPath(1, [5, 6], { graph });
+
+    assert.strictEqual(second, first);
+    assert.deepStrictEqual(first.nodeIDs, [1, 3, 5]);
+    assert.deepStrictEqual(cache.stats(), {
+      size: 1,
+      capacity: routeCache.DEFAULT_SIZE,
+      hits: 1,
+      misses: 1,
+      evicted: 0,
+      invalidated: 0,
+      precomputed: 0,
+      hitRate: 0.5
+    });
+  });
+
+  it("keeps routes for each profile apart", async function() {
+    let cache = routeCache.create();
+
+    await cache.getPath(1, [5], { graph });
+    await cache.getPath(1, [5], {
+      graph,
+      profile: routingRules.PROFILES.accessible
+    });
+
+    assert.strictEqual(cache.stats().misses, 2);
+  });
+
+  it("evicts the route used longest ago", async function() {
+    let cache = routeCache.create({ size: 2 });
+
+    await cache.getPath(1, [5], { graph });
+    await cache.getPath(1, [6], { graph });
+    await cache.getPath(1, [5], { graph });
+    await cache.getPath(1, [3], { graph });
+    await cache.getPath(1, [5], { graph });
+
+    let stats = cache.stats();
+    assert.strictEqual(stats.size, 2);
+    assert.strictEqual(stats.evicted, 1);
+    assert.strictEqual(stats.hits, 2);
+  });
+
+  it("doesn't cache routes that can't be found", async function() {
+    let cache = routeCache.create();
+
+    await assert.rejects(cache.getPath(1, [9999], { graph }), {
+      code: "UNKNOWN_NODE"
+    });
+    assert.strictEqual(cache.stats().size, 0);
+  });
+
+  it("drops every route when a newer graph is loaded", async function() {
+    let cache = routeCache.create();
+    let reloaded = { ...graph, loadedAt: new Date(+graph.loadedAt + 1000) };
+
+    await cache.getPath(1, [5], { graph });
+    await cache.getPath(1, [5], { graph: reloaded });
+
+    let stats = cache.stats();
+    assert.strictEqual(stats.invalidated, 1);
+    assert.strictEqual(stats.misses, 2);
+
+    //Requests still running on the old graph don't use the cache
+    await cache.getPath(1, [5], { graph });
+    assert.strictEqual(cache.stats().misses, 2);
+  });
+
+  it("drops the routes that match a test", async function() {
+    let cache = routeCache.create();
+
+    let path = await cache.getPath(1, [5], { graph });
+    await cache.getPath(1, [3], { graph });
+
+    let edgeID = path.edgeIDs[path.edgeIDs.length - 1];
+    assert.strictEqual(
+      cache.invalidate(route => route.edgeIDs.includes(edgeID)),
+      1
+    );
+    assert.strictEqual(cache.stats().size, 1);
+  });
+
+  it("precomputes routes between building entrances", async function() {
+    let cache = routeCache.create({ size: 5 });
+    let entrances = routeCache.getEntrances(graph);
+
+    assert.ok(entrances.size > 1);
+    for (let nodeIDs of entrances.values())
+      for (let nodeID of nodeIDs)
+        assert.ok(
+          [
+            tunnelGraph.NODE_TYPES.EXIT,
+            tunnelGraph.NODE_TYPES.INTERSECTION
+          ].includes(graph.nodes.get(nodeID).nodeTypeID)
+        );
+
+    //It stops once the cache is full
+    let count = await cache.precompute(graph, [routingRules.PROFILES.default]);
+    assert.strictEqual(count, 5);
+    assert.strictEqual(cache.stats().precomputed, 5);
+  });
+
+  it("answers routes between buildings from the precomputed routes", async function() {
+    let cache = routeCache.create();
+    let entrances = routeCache.getEntrances(graph);
+    let count = await cache.precompute(graph, [routingRules.PROFILES.default]);
+
+    assert.strictEqual(count, entrances.size * (entrances.size - 1));
+
+    //The Student Union to Dunbar Library, the way fromBuilding and toBuilding
+    //ask for it
+    let path = await cache.getPath(entrances.get(19), entrances.get(7), {
+      graph
+    });
+
+    assert.ok(entrances.get(19).includes(path.nodeIDs[0]));
+    assert.strictEqual(cache.stats().hits, 1);
+    assert.strictEqual(cache.stats().misses, 0);
+  });
+
+  it("answers fromBuilding and toBuilding routes from the precomputed routes", async function() {
+    let cache = routeCache.create();
+    routeCache.use(cache);
+    await cache.precompute(graph, [routingRules.PROFILES.default]);
+
+    let route = await api.findRoute({
+      start: api.buildingEntrances(19),
+      endIDs: api.buildingEntrances(7),
+      profile: routingRules.PROFILES.default
+    });
+
+    assert.ok(
+      routeCache
+        .getEntrances(graph)
+        .get(19)
+        .includes(route.nodeIDs[0])
+    );
+    assert.strictEqual(cache.stats().hits, 1);
+    assert.strictEqual(cache.stats().misses, 0);
+
+    routeCache.use(null);
+  });
+});
@@ -0,0 +1,38 @@
+const assert = require("assert");
+const router = require("../src/router.js");
+const { MalformedQueryError } = require("../src/errors.js");
+
+describe("router", function() {
+  let handler = () => {};
+  let routes = router.create("/api/v1");
+  routes.get("/buildings/:id/rooms", handler);
+
+  it("matches paths and decodes their parameters", function() {
+    assert.deepStrictEqual(routes.match("GET", "/api/v1/buildings/17/rooms"), {
+      handler,
+      params: { id: "17" }
+    });
+    assert.deepStrictEqual(
+      routes.match("GET", "/api/v1/buildings/a%20b/rooms/").params,
+      { id: "a b" }
+    );
+  });
+
+  it("rejects parameters that can't be decoded", function() {
+    assert.throws(
+      () => routes.match("GET", "/api/v1/buildings/%E0/rooms"),
+      error => error instanceof MalformedQueryError && error.status === 400
+    );
+  });
+
+  it("lists the allowed methods when only the path matches", function() {
+    assert.deepStrictEqual(routes.match("POST", "/api/v1/buildings/17/rooms"), {
+      allowed: ["GET"]
+    });
+  });
+
+  it("doesn't match other paths", function() {
+    assert.strictEqual(routes.match("GET", "/api/v1/buildings/17"), null);
+    assert.strictEqual(routes.match("GET", "/buildings/17/rooms"), null);
+  });
+});
@@ -0,0 +1,156 @@
+const assert = require("assert");
+const tunnelGraph = require("../src/graph.js");
+const pathfinder = require("../src/pathfinder.js");
+const routingRules = require("../src/routingRules.js");
+
+describe("routingRules", function() {
+  //A tunnel from 1 to 4 with two buildings above it. Staircase 5 and the
+  //first floor intersection 20 both make shortcuts between 2 and 3 that
+  //routes along the tunnel mustn't take. Staircases 10 and 11 and elevators
+  //30 and 31 lead up to intersection 12 on the first floor. Every node is in
+  //the same place, so the search is guided only by the floors. Connection 14
+  //is a shorter but narrower tunnel from 3 to 4.
+  let node = (nodeID, nodeTypeID, floor) => ({
+    nodeID,
+    nodeTypeID,
+    floor,
+    lat: 39.78,
+    long: -84.063
+  });
+  let connection = (connectionID, nodeA_ID, nodeB_ID, length, extra) => ({
+    connectionID,
+    nodeA_ID,
+    nodeB_ID,
+    length,
+    ...extra
+  });
+  let { INTERSECTION, STAIRCASE, ELEVATOR } = tunnelGraph.NODE_TYPES;
+  let graph = tunnelGraph.build(
+    [
+      node(1, INTERSECTION, 0),
+      node(2, INTERSECTION, 0),
+      node(3, INTERSECTION, 0),
+      node(4, INTERSECTION, 0),
+      node(5, STAIRCASE, 0),
+      node(10, STAIRCASE, 0),
+      node(11, STAIRCASE, 1),
+      node(12, INTERSECTION, 1),
+      node(20, INTERSECTION, 1),
+      node(30, ELEVATOR, 0),
+      node(31, ELEVATOR, 1)
+    ],
+    [
+      connection(1, 1, 2, 10),
+      connection(2, 2, 3, 10),
+      connection(3, 3, 4, 10, { width: 5 }),
+      connection(4, 2, 5, 3),
+      connection(5, 5, 3, 3),
+      connection(6, 2, 10, 5),
+      connection(7, 10, 11, 4, { hasStairs: "T" }),
+      connection(8, 11, 12, 5),
+      connection(9, 2, 20, 4, { hasStairs: "T" }),
+      connection(10, 20, 3, 4, { hasStairs: "T" }),
+      connection(11, 3, 30, 5),
+      connection(12, 30, 31, 4, { hasElevator: "T" }),
+      connection(13, 31, 12, 5),
+      connection(14, 3, 4, 6, { width: 2 })
+    ]
+  );
+
+  async function route(startID, endID, profile) {
+    let path = await pathfinder.getPath(startID, endID, { graph, profile });
+    return {
+      edgeIDs: path.edgeIDs,
+      cost: path.edgeIDs.reduce(
+        (total, edgeID) => total + graph.connections.get(edgeID).length,
+        0
+      )
+    };
+  }
+
+  function allows(fromID, toID, endIDs, profile, connectionID) {
+    let edge = graph.adjacency
+      .get(fromID)
+      .find(
+        e =>
+          e.nextNodeID === toID &&
+          (connectionID === undefined || e.connectionID === connectionID)
+      );
+    return routingRules
+      .create(graph, [1], endIDs, profile)
+      .canTraverse(fromID, edge, graph.nodes.get(toID));
+  }
+
+  it("keeps routes along the tunnels out of staircases", async function() {
+    assert.ok(!allows(2, 5, [4]));
+    assert.deepStrictEqual(await route(1, 4), {
+      edgeIDs: [1, 2, 14],
+      cost: 26
+    });
+  });
+
+  it("uses the staircases that a route starts or ends at", async function() {
+    assert.deepStrictEqual(await route(1, 5), { edgeIDs: [1, 4], cost: 13 });
+    assert.deepStrictEqual(await route(5, 4), { edgeIDs: [5, 14], cost: 9 });
+  });
+
+  it("uses staircases that lead to a destination on another floor", async function() {
+    assert.ok(allows(2, 10, [12]));
+    assert.deepStrictEqual(await route(1, 12), {
+      edgeIDs: [1, 6, 7, 8],
+      cost: 24
+    });
+  });
+
+  it("only changes floors toward a destination", async function() {
+    //The climb to 20 leads toward the first floor but away from the tunnel
+    assert.ok(allows(2, 20, [12]));
+    assert.ok(!allows(2, 20, [4]));
+    assert.ok(!allows(20, 3, [12]));
+  });
+
+  it("groups connected staircases and elevators into cores", function() {
+    assert.deepStrictEqual(
+      Array.from(graph.verticalCores.get(10)).sort((a, b) => a - b),
+      [2, 10, 11, 12]
+    );
+    assert.strictEqual(
+      graph.verticalCores.get(11),
+      graph.verticalCores.get(10)
+    );
+    assert.ok(!graph.verticalCores.has(2));
+  });
+
+  describe("the accessible profile", function() {
+    let accessible = routingRules.PROFILES.accessible;
+
+    it("never uses stairs, even where they lead", async function() {
+      assert.ok(!allows(2, 10, [12], accessible));
+      assert.ok(!allows(2, 20, [12], accessible));
+      assert.ok(!allows(10, 11, [11], accessible));
+
+      await assert.rejects(
+        route(1, 11, accessible),
+        error =>
+          error.code === "UNREACHABLE_DESTINATION" &&
+          error.details.noAccessibleRoute
+      );
+    });
+
+    it("skips connections narrower than its minimum width", async function() {
+      assert.ok(!allows(3, 4, [4], accessible, 14));
+      assert.ok(allows(3, 4, [4], accessible, 3));
+      assert.deepStrictEqual(await route(1, 4, accessible), {
+        edgeIDs: [1, 2, 3],
+        cost: 30
+      });
+    });
+
+    it("changes floors by elevator", async function() {
+      assert.deepStrictEqual(await route(1, 12, accessible), {
+        edgeIDs: [1, 2, 11, 12, 13],
+        cost: 34
+      });
+    });
+  });
+});
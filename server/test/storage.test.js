@@ -0,0 +1,132 @@
+/* eslint-env mocha */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const util = require("util");
+const storage = require("../src/storage");
+const database = require("../src/database.js");
+const tunnelGraph = require("../src/graph.js");
+const pathfinder = require("../src/pathfinder.js");
+
+//A tunnel from node 1 to an elevator up into Allyn Hall, with the same
+//columns as the MySQL tables. There is no closures table, like in databases
+//set up before closures were added.
+const SCHEMA = `
+  CREATE TABLE buildings (buildingID INTEGER PRIMARY KEY, name TEXT NOT NULL);
+  CREATE TABLE nodes (
+    nodeID INTEGER PRIMARY KEY, lat REAL NOT NULL, long REAL NOT NULL,
+    elev REAL DEFAULT 0, isIndoors TEXT DEFAULT 'T', roomRegEx TEXT,
+    buildingID INTEGER DEFAULT 0, floor INTEGER DEFAULT 0,
+    nodeTypeID INTEGER NOT NULL DEFAULT 1
+  );
+  CREATE TABLE connections (
+    connectionID INTEGER PRIMARY KEY, fname TEXT, nodeA_ID INTEGER NOT NULL,
+    nodeB_ID INTEGER NOT NULL, length REAL NOT NULL, isIndoors TEXT,
+    hasStairs TEXT DEFAULT 'F', hasElevator TEXT DEFAULT 'F', width INTEGER
+  );
+  CREATE TABLE room_access (
+    roomAccessID INTEGER PRIMARY KEY, nodeID INTEGER NOT NULL,
+    building TEXT NOT NULL, floor INTEGER, firstRoom TEXT, lastRoom TEXT,
+    rooms TEXT
+  );
+  INSERT INTO buildings VALUES (0, 'No Building'), (1, 'Allyn Hall\r\n');
+  INSERT INTO nodes (nodeID, lat, long, roomRegEx, buildingID, floor, nodeTypeID)
+  VALUES
+    (1, 39.78, -84.063, NULL, 0, 0, 0),
+    (2, 39.7801, -84.063, 'AL 0\\d{2}', 1, 0, 3),
+    (3, 39.7801, -84.063, 'AL 1\\d{2}', 1, 1, 3);
+  INSERT INTO connections VALUES
+    (1, '1002', 1, 2, 11.1, 'T', 'F', 'F', NULL),
+    (2, '2003', 2, 3, 4, 'T', 'F', 'T', 4);
+  INSERT INTO room_access (roomAccessID, nodeID, building, floor)
+  VALUES (1, 3, 'AL', 1);
+`;
+
+describe("storage", function() {
+  describe("the sqlite backend", function() {
+    let file = path.join(os.tmpdir(), `tunnels-${process.pid}.sqlite`);
+    let backend;
+
+    before(async function() {
+      //sqlite3 is an optional dependency, and can fail to build
+      let sqlite3;
+      try {
+        sqlite3 = require("sqlite3");
+      } catch (error) {
+        this.skip();
+      }
+
+      let db = new sqlite3.Database(file);
+      await util.promisify(db.exec).call(db, SCHEMA);
+      await util.promisify(db.close).call(db);
+
+      backend = storage.fromConfig({
+        storage: { backend: "sqlite", filename: file }
+      });
+    });
+
+    after(async function() {
+      if (backend) await backend.close();
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+
+      database.use(storage.create("file"));
+      await tunnelGraph.load();
+    });
+
+    it("reads the tables", async function() {
+      assert.deepStrictEqual(
+        (await backend.allNodes()).map(row => [row.nodeID, row.floor]),
+        [
+          [1, 0],
+          [2, 0],
+          [3, 1]
+        ]
+      );
+      assert.deepStrictEqual(
+        (await backend.allEdges()).map(row => [
+          row.connectionID,
+          row.hasElevator,
+          row.width
+        ]),
+        [
+          [1, "F", null],
+          [2, "T", 4]
+        ]
+      );
+      assert.strictEqual((await backend.allBuildings()).length, 2);
+      assert.deepStrictEqual(await backend.allClosures(), []);
+    });
+
+    it("reads the rooms that nodes serve", async function() {
+      assert.deepStrictEqual(await backend.roomRegexes(), [
+        { nodeID: 2, roomRegEx: "AL 0\\d{2}", nodeTypeID: 3 },
+        { nodeID: 3, roomRegEx: "AL 1\\d{2}", nodeTypeID: 3 }
+      ]);
+      assert.deepStrictEqual(await backend.roomAccess(), [
+        {
+          roomAccessID: 1,
+          nodeID: 3,
+          building: "AL",
+          floor: 1,
+          firstRoom: null,
+          lastRoom: null,
+          rooms: null,
+          nodeTypeID: 3
+        }
+      ]);
+    });
+
+    it("loads a graph that can be routed through", async function() {
+      database.use(backend);
+      let graph = await tunnelGraph.load();
+
+      assert.strictEqual(graph.buildings.get(1).name, "Allyn Hall");
+      assert.deepStrictEqual(await database.getNodesToRoom("AL 140"), [3]);
+      assert.deepStrictEqual(await database.getNodesToRoom("AL 040"), [2]);
+
+      let path = await pathfinder.getPath(1, [3], { graph });
+      assert.deepStrictEqual(path.edgeIDs, [1, 2]);
+    });
+  });
+});
@@ -11,11 +11,25 @@ import FAQ from "./Components/Views/FAQ";
 import About from "./Components/Views/About";
 import Help from "./Components/Views/Help.js";
 
+import { getLanguage, onLanguageChange } from "./i18n";
+
 class App extends Component {
   state = {
-    sideDrawerOpen: false
+    sideDrawerOpen: false,
+    language: getLanguage()
   };
 
+  //everything is shown again in the new language as soon as it is picked
+  componentDidMount() {
+    this.stopListeningForLanguage = onLanguageChange(language =>
+      this.setState({ language: language })
+    );
+  }
+
+  componentWillUnmount() {
+    this.stopListeningForLanguage();
+  }
+
   drawerToggleClickHandler = () => {
     this.setState({ sideDrawerOpen: true });
   };
@@ -3,6 +3,7 @@ import React from "react";
 import "./SelectFrom.css";
 
 import BuildingRooms from '../../building-roomKeys.json';
+import { t } from '../../i18n';
 
 // const SelectFrom = props => {
 //   const options = ["A", "B", "C", "D", "E"];
@@ -23,14 +24,14 @@ import BuildingRooms from '../../building-roomKeys.json';
 class SelectFrom extends React.Component {
     render() {
       var options = [];
-      options.push(<option key="from None Selected" value={""}>{"[None Selected]"}</option>)
+      options.push(<option key="from None Selected" value={""}>{t("drawer.noneSelected")}</option>)
       for(let b in BuildingRooms) {
           options.push(<option key={"from" + b} value={BuildingRooms[b]["Class"]}>{b}</option>);
       }
 
       return(
           <div id="select-from">
-            <p>Select starting point:</p>
+            <p>{t("drawer.selectFrom")}</p>
             <select ref={this.props.selectFromRef} onChange={(e) => {this.props.selectStart(e.target.value);}}>
               {options}
             </select>
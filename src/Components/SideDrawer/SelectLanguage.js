@@ -0,0 +1,32 @@
+import React from "react";
+
+import { LANGUAGES, getLanguage, setLanguage, t } from "../../i18n";
+
+class SelectLanguage extends React.Component {
+  render() {
+    var options = [];
+    for (let code in LANGUAGES) {
+      options.push(
+        <option key={"language" + code} value={code}>
+          {LANGUAGES[code]}
+        </option>
+      );
+    }
+
+    return (
+      <div id="select-language">
+        <p>{t("drawer.language")}</p>
+        <select
+          value={getLanguage()}
+          onChange={e => {
+            setLanguage(e.target.value);
+          }}
+        >
+          {options}
+        </select>
+      </div>
+    );
+  }
+}
+
+export default SelectLanguage;
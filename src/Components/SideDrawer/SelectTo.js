@@ -3,6 +3,7 @@ import React from "react";
 import "./SelectTo.css";
 
 import BuildingRooms from '../../building-roomKeys.json';
+import { t } from '../../i18n';
 
 // const SelectTo = props => {
 //   const options = ["A", "B", "C", "D", "E"];
@@ -23,18 +24,18 @@ import BuildingRooms from '../../building-roomKeys.json';
 class SelectTo extends React.Component {
   render() {
     var options = [];
-    options.push(<option key="to None Selected" value={""}>{"[None Selected]"}</option>)
+    options.push(<option key="to None Selected" value={""}>{t("drawer.noneSelected")}</option>)
     for(let b in BuildingRooms) {
         options.push(<option key={"to" + b} value={BuildingRooms[b]["Class"]}>{b}</option>);
     }
     return(
         <div id="select-to">
-            <p>Select destination:</p>
+            <p>{t("drawer.selectTo")}</p>
             <select ref={this.props.selectToRef} onChange={(e) => {this.updateDataList(e.target.options[e.target.selectedIndex].innerHTML);this.props.selectEnd(e.target.value);document.getElementById('toRoom').value = '';}}>
               {options}
             </select>
             <br/>
-            <input ref={this.props.selectToRoomRef} type='text' id='toRoom' placeholder='room number' list='roomData'/>
+            <input ref={this.props.selectToRoomRef} type='text' id='toRoom' placeholder={t("drawer.roomNumber")} list='roomData'/>
             <datalist id='roomData'/>
         </div>
     )
@@ -2,9 +2,11 @@ import React from "react";
 import "./SideDrawer.css";
 import SelectFrom from "./SelectFrom";
 import SelectTo from "./SelectTo";
+import SelectLanguage from "./SelectLanguage";
 import Pilot from "../Images/pilot_wsu_logo.png";
 import Switch from "../Views/Settings/Switch";
 import "../Views/Settings/Switch.css";
+import { t } from "../../i18n";
 
 const sideDrawer = props => {
   let drawerClasses = "sideDrawer";
@@ -41,13 +43,16 @@ const sideDrawer = props => {
               }}
               onClick={props.navigateFunction}
             >
-              Go
+              {t("drawer.go")}
             </button>
           </li>
           <li>
-            <Switch label="Use elevators only (no stairs)" id="switch1" />
+            <Switch label={t("drawer.useElevators")} id="switch1" />
             {/* <Switch label="Show bathrooms" id="2"/> */}
-            <Switch label="Enable Dark Theme" id="switch2" />
+            <Switch label={t("drawer.darkTheme")} id="switch2" />
+          </li>
+          <li>
+            <SelectLanguage />
           </li>
         </ul>
       </nav>
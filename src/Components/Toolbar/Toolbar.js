@@ -1,6 +1,7 @@
 import React from "react";
 import "./Toolbar.css";
 import DrawerToggleButton from "../SideDrawer/DrawerToggleButton";
+import { t } from "../../i18n";
 // import { NavLink } from "react-router-dom";
 
 const toolbar = props => (
@@ -11,7 +12,7 @@ const toolbar = props => (
       </div>
       <button className="menu_item" onClick={props.toMap}>Tunnel Raider</button>
       <div className="spacer"> </div>
-      <button className="menu_item" onClick={props.toHelp}>Help</button>
+      <button className="menu_item" onClick={props.toHelp}>{t("toolbar.help")}</button>
     </nav>
   </header>
 );
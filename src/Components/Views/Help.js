@@ -1,54 +1,45 @@
 import React from "react";
 
+import { t } from "../../i18n";
+
 function HelpPage() {
   return (
     <div style={{padding: '65px 0px 200px 0px'}}>
-      <h1>What to Do</h1>
+      <h1>{t("help.title")}</h1>
       <ol>
         <li>
-          Select a route
+          {t("help.selectRoute")}
           <ul>
             <li>
-              Navigate by Touch
+              {t("help.byTouch")}
               <ol>
-                <li>
-                  Select a tunnel intersection (dark green circle) that will
-                  represent your starting location by tapping it.
-                </li>
-                <li>
-                  Select the tunnel intersection you wish to
-                  navigate to by tapping it.
-                </li>
-                <li>Press the Go button.</li>
+                <li>{t("help.byTouchStart")}</li>
+                <li>{t("help.byTouchEnd")}</li>
+                <li>{t("help.pressGo")}</li>
               </ol>
             </li>
             <li>
-              Navigate using sidebar
+              {t("help.bySidebar")}
               <ol>
-                <li>Select a starting building from the dropdown.</li>
-                <li>Select a destination building and optionally, a room number or specific area.</li>
-                <li>Press the Go button from the sidebar or from the map.</li>
+                <li>{t("help.bySidebarStart")}</li>
+                <li>{t("help.bySidebarEnd")}</li>
+                <li>{t("help.bySidebarGo")}</li>
               </ol>
             </li>
-            Set your preferences
+            {t("help.preferences")}
             <ol>
-                <li>Toggle the first switch to the ON position to prevent using stairs.</li>
-                <li>Toggle the second switch to the ON position to use a dark theme.</li>
+                <li>{t("help.preferencesStairs")}</li>
+                <li>{t("help.preferencesTheme")}</li>
+                <li>{t("help.preferencesLanguage")}</li>
             </ol>
           </ul>
         </li>
         <li>
-          Turn by Turn Navigation
+          {t("help.turnByTurn")}
           <ol>
-            <li>
-              After a path has been found by the app, press the Next button.
-              (You will begin at the starting location you selected).
-            </li>
-            <li>
-              Press Next as many times as needed until you reach your
-              destination.
-            </li>
-            <li>Use the Previous button if you lose track of your route.</li>
+            <li>{t("help.turnByTurnNext")}</li>
+            <li>{t("help.turnByTurnRepeat")}</li>
+            <li>{t("help.turnByTurnPrevious")}</li>
           </ol>
         </li>
       </ol>
@@ -11,6 +11,13 @@ import MyFooter from "../Footer/MyFooter";
 import HelpPage from "./Help.js";
 
 import BuildingRooms from "../../building-roomKeys.json";
+import roomIdentifier from "../../roomIdentifier.js";
+import {
+  t,
+  formatDuration,
+  getLanguage,
+  onLanguageChange
+} from "../../i18n";
 
 class Map extends Component {
   constructor(props) {
@@ -24,8 +31,16 @@ class Map extends Component {
     this.animating = false;
     this.pathNodes = null;
     this.pathEdges = null;
-    this.currNodes = 0;
+    this.pathLegs = null;
+    this.pathManeuvers = null;
+    this.pathQuery = null;
+    this.lastPath = null;
+    this.currManeuver = 0;
+    this.startBuilding = null;
+    this.endBuilding = null;
+    this.buildingIDs = null;
     this.defaultViewBoxArgs = "0 0 640 480";
+    this.stopListeningForLanguage = null;
 
     global.useStairs = true;
 
@@ -36,7 +51,7 @@ class Map extends Component {
     this.selectToObjectRef = React.createRef();
 
     this.state = {
-      direction: "Tap to select a start and end location",
+      direction: t("map.selectStartAndEnd"),
       sideDrawerOpen: false,
       displayMap: "block",
       displayHelp: "none",
@@ -130,7 +145,7 @@ class Map extends Component {
               this.getPath(this.getStartPointID(), this.getEndPointID())
             }
           >
-            Go
+            {t("map.go")}
           </button>
 
           <button
@@ -138,7 +153,7 @@ class Map extends Component {
             style={{ visibility: "hidden" }}
             onClick={() => this.prevStep()}
           >
-            Previous
+            {t("map.previous")}
           </button>
 
           <button
@@ -146,7 +161,7 @@ class Map extends Component {
             style={{ visibility: "hidden" }}
             onClick={() => this.nextStep()}
           >
-            Next
+            {t("map.next")}
           </button>
 
           <img id="Compass" src="north.png" alt="compass" />
@@ -256,6 +271,13 @@ class Map extends Component {
     return s;
   }
 
+  componentWillUnmount() {
+    //mounting can fail before the listener is added
+    if (this.stopListeningForLanguage) {
+      this.stopListeningForLanguage();
+    }
+  }
+
   //set onclick for svg elements, called after load
   componentDidMount() {
     Array.from(
@@ -312,9 +334,14 @@ class Map extends Component {
 
     this.scaleNodes();
     this.updateCompass();
+    this.showClosures();
+
+    this.stopListeningForLanguage = onLanguageChange(() =>
+      this.changeLanguage()
+    );
 
     var urlParams = window.location.search;
-    var from, to;
+    var from, to, room;
     if (urlParams) {
       urlParams = urlParams.split("?")[1].split("&");
       for (let i of urlParams) {
@@ -325,6 +352,9 @@ class Map extends Component {
         if (j[0] === "to") {
           to = j[1];
         }
+        if (j[0] === "room") {
+          room = decodeURIComponent(j[1].replace(/\+/g, " "));
+        }
       }
     }
 
@@ -365,7 +395,7 @@ class Map extends Component {
             ";"
         );
       this.setState({
-        direction: "You are here, tap to select destination"
+        direction: t("map.youAreHere")
       });
     }
     if (to) {
@@ -376,6 +406,8 @@ class Map extends Component {
 
     if (from && to) {
       this.getPath(from.substring(1), to.map(n => n.substring(1)));
+    } else if (from && room) {
+      this.getPathToRoom(from.substring(1), room);
     }
 
     this.jsspeccy = window.JSSpeccy("speccy", {
@@ -823,15 +855,15 @@ class Map extends Component {
 
     if (this.selected[0] && this.selected[1]) {
       this.setState({
-        direction: "Press the Go button to generate a path"
+        direction: t("map.pressGo")
       });
     } else if (this.selected[0]) {
       this.setState({
-        direction: "Tap to select destination"
+        direction: t("map.selectEnd")
       });
     } else {
       this.setState({
-        direction: "Tap to select starting location"
+        direction: t("map.selectStart")
       });
     }
   }
@@ -839,7 +871,7 @@ class Map extends Component {
   getPath(startID, endID) {
     if (startID && endID) {
       this.setState({
-        direction: "Navigating... please wait"
+        direction: t("map.navigating")
       });
 
       if (this.selectToRoomRef.current.value) {
@@ -858,7 +890,7 @@ class Map extends Component {
             this.jsspeccy.activateKeyboard();
           }
           this.setState({
-            direction: "Easter Egg",
+            direction: t("map.easterEgg"),
             displayMap: "none",
             displayHelp: "none",
             displayGame: "block"
@@ -871,62 +903,54 @@ class Map extends Component {
             }
           }
 
-          let roomNumber = building["Abbreviation"] + " " + number;
-          console.log(roomNumber);
-
-          fetch(
-            `getPath?start=${startID}&toRoom=${roomNumber}&useStairs=${
-              global.useStairs
-            }`
-          )
-            .then(result => result.json())
-            .then(path => {
-              console.log(path);
-              if (!path.ERROR) {
-                this.transform(
-                  path.nodeIDs[0],
-                  path.nodeIDs[path.nodeIDs.length - 1]
-                );
-                this.setState({
-                  direction: "Finished pathfinding, press Next to begin"
-                });
-                this.pathNodes = path.nodeIDs;
-                this.pathEdges = path.edgeIDs;
-                this.currNodes = 0;
-                this.flush();
-                this.highlightPath(path);
-                this.showButtons();
-              } else {
-                this.setState({
-                  direction:
-                    "Could not navigate to that room number. We may not have full support for that building yet, or " +
-                    "there could be no tunnels leading to that building."
-                });
-                this.flush();
-              }
-            });
+          this.getPathToRoom(startID, number, building["Abbreviation"]);
         }
       } else {
-        fetch(
-          `getPath?start=${startID}&end=${endID}&useStairs=${global.useStairs}`
-        )
+        let query;
+
+        Promise.all([
+          this.getPointQuery(
+            "start",
+            "fromBuilding",
+            startID,
+            this.startBuilding
+          ),
+          this.getPointQuery("end", "toBuilding", endID, this.endBuilding)
+        ])
+          .then(points => {
+            query = `${points.join("&")}&useStairs=${global.useStairs}`;
+            return fetch(`getPath?${query}&lang=${getLanguage()}`);
+          })
           .then(result => result.json())
           .then(path => {
-            console.log(path);
+            if (path.error) {
+              this.showPathError(path.error);
+              return;
+            }
+            this.followMenuChoices(
+              path.nodeIDs[0],
+              path.nodeIDs[path.nodeIDs.length - 1]
+            );
             this.transform(
               path.nodeIDs[0],
               path.nodeIDs[path.nodeIDs.length - 1]
             );
             this.setState({
-              direction: "Finished pathfinding, press Next to begin"
+              direction: this.getRouteSummary(path)
             });
             this.pathNodes = path.nodeIDs;
             this.pathEdges = path.edgeIDs;
-            this.currNodes = 0;
+            this.pathLegs = path.legs;
+            this.pathManeuvers = path.maneuvers;
+            this.pathQuery = query;
+            this.lastPath = path;
+            this.currManeuver = 0;
             this.flush();
             this.highlightPath(path);
             this.showButtons();
-          });
+            this.showClosures();
+          })
+          .catch(() => this.showPathError());
       }
     }
 
@@ -966,6 +990,267 @@ class Map extends Component {
     // }
   }
 
+  //finds a path to a room typed in any of the ways roomIdentifier understands, such as "rc152" or
+  //"Dunbar Library 1st floor". Rooms without a building are looked for in the default building
+  getPathToRoom(startID, text, defaultBuilding) {
+    let identified = roomIdentifier.normalize(text, {
+      building: defaultBuilding
+    });
+
+    if (identified.error === "AMBIGUOUS") {
+      this.setState({
+        direction: t("errors.AMBIGUOUS_ROOM", {
+          rooms: identified.ambiguities.map(a => a.room).join(", ")
+        })
+      });
+      this.flush();
+      return;
+    }
+    if (!identified.room) {
+      this.setState({
+        direction: t("errors.UNREADABLE_ROOM", { room: text })
+      });
+      this.flush();
+      return;
+    }
+
+    let roomNumber = identified.room;
+    let query;
+
+    this.getPointQuery("start", "fromBuilding", startID, this.startBuilding)
+      .then(start => {
+        query = `${start}&toRoom=${encodeURIComponent(
+          roomNumber
+        )}&useStairs=${global.useStairs}`;
+        return fetch(`getPath?${query}&lang=${getLanguage()}`);
+      })
+      .then(result => result.json())
+      .then(path => {
+        if (!path.error) {
+          this.followMenuChoices(path.nodeIDs[0], null);
+          this.transform(
+            path.nodeIDs[0],
+            path.nodeIDs[path.nodeIDs.length - 1]
+          );
+          this.setState({
+            direction: this.getRouteSummary(path)
+          });
+          this.pathNodes = path.nodeIDs;
+          this.pathEdges = path.edgeIDs;
+          this.pathLegs = path.legs;
+          this.pathManeuvers = path.maneuvers;
+          this.pathQuery = query;
+          this.lastPath = path;
+          this.currManeuver = 0;
+          this.flush();
+          this.highlightPath(path);
+          this.showButtons();
+          this.showClosures();
+        } else {
+          this.showPathError(path.error);
+        }
+      })
+      .catch(() => this.showPathError());
+  }
+
+  //the part of a getPath query that says where a path starts or ends. a point that was picked from the
+  //menu stands for its whole building, so the path server can use whichever of its entrances is nearest
+  getPointQuery(nodeParam, buildingParam, id, menuChoice) {
+    if (!menuChoice || menuChoice.nodeID !== String(id)) {
+      return Promise.resolve(`${nodeParam}=${id}`);
+    }
+
+    return this.getBuildingIDs().then(buildingIDs =>
+      buildingIDs[menuChoice.building] !== undefined
+        ? `${buildingParam}=${buildingIDs[menuChoice.building]}`
+        : `${nodeParam}=${id}`
+    );
+  }
+
+  //the path server's building IDs by the class of each building's nodes on the map, fetched once
+  getBuildingIDs() {
+    if (!this.buildingIDs) {
+      this.buildingIDs = fetch("api/v1/buildings")
+        .then(result => result.json())
+        .then(buildings => {
+          var buildingIDs = {};
+          for (let building of buildings) {
+            if (building.mapClass) {
+              buildingIDs[building.mapClass] = building.buildingID;
+            }
+          }
+          return buildingIDs;
+        })
+        .catch(() => {
+          //try again next time, and use the selected nodes until then
+          this.buildingIDs = null;
+          return {};
+        });
+    }
+
+    return this.buildingIDs;
+  }
+
+  //moves the points that were picked from the menu onto the entrances that the path actually uses
+  followMenuChoices(startID, endID) {
+    var start = this.startBuilding;
+    var end = this.endBuilding;
+
+    if (
+      start &&
+      start.nodeID === String(this.getStartPointID()) &&
+      start.nodeID !== String(startID)
+    ) {
+      this.selectStartPoint(startID);
+      start.nodeID = String(startID);
+    }
+
+    if (
+      end &&
+      endID !== null &&
+      end.nodeID === String(this.getEndPointID()) &&
+      end.nodeID !== String(endID)
+    ) {
+      this.selectEndPoint(endID);
+      end.nodeID = String(endID);
+    }
+  }
+
+  //show a message explaining why a path could not be found, based on the error code sent by the path server
+  showPathError(error = { code: "INTERNAL_ERROR" }) {
+    var code = error.code;
+
+    if (
+      code === "UNREACHABLE_DESTINATION" &&
+      error.details &&
+      error.details.closures &&
+      error.details.closures.length > 0
+    ) {
+      code = "CLOSED";
+    } else if (
+      code === "UNREACHABLE_DESTINATION" &&
+      error.details &&
+      error.details.noAccessibleRoute
+    ) {
+      code = "NO_ACCESSIBLE_ROUTE";
+    } else if (t("errors." + code) === "errors." + code) {
+      code = "INTERNAL_ERROR";
+    }
+
+    var direction = t("errors." + code, {
+      rooms:
+        error.details && error.details.ambiguities
+          ? error.details.ambiguities.map(a => a.room).join(", ")
+          : ""
+    });
+
+    this.setState({
+      direction: direction
+    });
+    this.flush();
+  }
+
+  //App shows everything in the new language right away, this fetches the directions of
+  //the current path again. They stay as they were if that fails.
+  changeLanguage() {
+    if (!this.pathQuery) {
+      var direction = t("map.selectStartAndEnd");
+      if (this.selected[0] && this.selected[1]) {
+        direction = t("map.pressGo");
+      } else if (this.selected[0]) {
+        direction = t("map.selectEnd");
+      }
+
+      this.setState({
+        direction: direction
+      });
+      return;
+    }
+
+    //the summary is written by the app, so it doesn't have to wait
+    if (this.currManeuver === 0) {
+      this.setState({
+        direction: this.getRouteSummary(this.lastPath)
+      });
+    }
+
+    fetch(`getPath?${this.pathQuery}&lang=${getLanguage()}`)
+      .then(result => result.json())
+      .then(path => {
+        if (path.error) {
+          return;
+        }
+        this.lastPath = path;
+        this.pathManeuvers = path.maneuvers;
+        this.setState({
+          direction:
+            this.currManeuver > 0
+              ? this.getDirection(this.pathManeuvers[this.currManeuver - 1])
+              : this.getRouteSummary(path)
+        });
+      })
+      .catch(() => {});
+  }
+
+  //the message shown once a path has been found, including how long it takes
+  getRouteSummary(path) {
+    if (path.duration === undefined) {
+      return t("map.finished");
+    }
+
+    var summary = t("map.finishedIn", {
+      duration: formatDuration(path.duration)
+    });
+
+    if (path.detour) {
+      summary += t("map.detour", {
+        duration: formatDuration(path.detour.duration)
+      });
+    }
+
+    return summary;
+  }
+
+  //marks the tunnels and intersections that are closed right now
+  showClosures() {
+    fetch("api/v1/closures")
+      .then(result => result.json())
+      .then(closures => {
+        var map = document.getElementById("Map");
+
+        Array.from(map.getElementsByClassName("closed")).forEach(element =>
+          element.classList.remove("closed")
+        );
+
+        closures
+          .filter(closure => closure.active)
+          .forEach(closure => {
+            var element = map.getElementById(
+              closure.connectionID !== null
+                ? "E" + closure.connectionID
+                : "N" + closure.nodeID
+            );
+            if (element) {
+              element.classList.add("closed");
+            }
+          });
+      })
+      .catch(() => {});
+  }
+
+  //returns how long the rest of the path takes, starting with the edge at edgeIndex
+  getTimeRemaining(edgeIndex) {
+    if (!this.pathLegs) {
+      return "";
+    }
+
+    var seconds = this.pathLegs
+      .slice(edgeIndex)
+      .reduce((total, leg) => total + leg.duration, 0);
+
+    return t("map.timeLeft", { duration: formatDuration(seconds) });
+  }
+
   showButtons() {
     document.getElementById("NextViewButton").style.visibility = "visible";
     document.getElementById("PreviousViewButton").style.visibility = "visible";
@@ -1051,15 +1336,15 @@ class Map extends Component {
 
     if (this.selected[0] && this.selected[1]) {
       this.setState({
-        direction: "Press the Go button to generate a path"
+        direction: t("map.pressGo")
       });
     } else if (this.selected[0]) {
       this.setState({
-        direction: "Tap to select destination"
+        direction: t("map.selectEnd")
       });
     } else {
       this.setState({
-        direction: "Tap to select starting location"
+        direction: t("map.selectStart")
       });
     }
   }
@@ -1133,15 +1418,15 @@ class Map extends Component {
 
     if (this.selected[0] && this.selected[1]) {
       this.setState({
-        direction: "Press the Go button to generate a path"
+        direction: t("map.pressGo")
       });
     } else if (this.selected[0]) {
       this.setState({
-        direction: "Tap to select destination"
+        direction: t("map.selectEnd")
       });
     } else {
       this.setState({
-        direction: "Tap to select starting location"
+        direction: t("map.selectStart")
       });
     }
   }
@@ -1441,23 +1726,19 @@ class Map extends Component {
 
   //move map to next step in path
   nextStep() {
-    if (this.pathNodes != null && this.currNodes < this.pathNodes.length - 1) {
-      let node = document.getElementById("N" + this.pathNodes[this.currNodes]);
-      if (node !== null) node.classList.add("traversed");
-      if (this.currNodes > 0) {
-        let edge = document.getElementById(
-          "E" + this.pathEdges[this.currNodes - 1]
-        );
-        if (edge !== null) edge.classList.add("traversed");
-      }
+    if (
+      this.pathManeuvers != null &&
+      this.currManeuver < this.pathManeuvers.length
+    ) {
+      var maneuver = this.pathManeuvers[this.currManeuver];
+      this.markTraversed(maneuver.startIndex);
       this.transform(
-        this.pathNodes[this.currNodes],
-        this.pathNodes[this.currNodes + 1]
+        this.pathNodes[maneuver.startIndex],
+        this.pathNodes[maneuver.endIndex]
       );
-      var dir = this.getDirection(this.currNodes);
-      console.log(dir);
+      var dir = this.getDirection(maneuver);
 
-      this.currNodes = this.currNodes + 1;
+      this.currManeuver = this.currManeuver + 1;
       this.setState({
         direction: dir
       });
@@ -1466,93 +1747,36 @@ class Map extends Component {
 
   //move map to previous step in path
   prevStep() {
-    if (this.pathNodes != null && this.currNodes > 1) {
-      document
-        .getElementById("N" + this.pathNodes[this.currNodes - 1])
-        .classList.remove("traversed");
-      if (this.currNodes > 1) {
-        document
-          .getElementById("E" + this.pathEdges[this.currNodes - 2])
-          .classList.remove("traversed");
-      }
+    if (this.pathManeuvers != null && this.currManeuver > 1) {
+      var maneuver = this.pathManeuvers[this.currManeuver - 2];
+      this.markTraversed(maneuver.startIndex);
       this.transform(
-        this.pathNodes[this.currNodes - 2],
-        this.pathNodes[this.currNodes - 1]
+        this.pathNodes[maneuver.startIndex],
+        this.pathNodes[maneuver.endIndex]
       );
-      var dir = this.getDirection(this.currNodes - 2);
-      console.log(dir);
-      this.currNodes = this.currNodes - 1;
+      var dir = this.getDirection(maneuver);
+      this.currManeuver = this.currManeuver - 1;
       this.setState({
         direction: dir
       });
     }
   }
 
-  //returns directions for user based on node passed in.
-  getDirection(currNodes) {
-    var ret = "Your destination is at the ";
-    var n1 = document.getElementById("N" + this.pathNodes[currNodes]);
-    var n2 = document.getElementById("N" + this.pathNodes[currNodes + 1]);
-    if (this.pathNodes && currNodes < this.pathNodes.length - 2) {
-      var n3 = document.getElementById("N" + this.pathNodes[currNodes + 2]);
-
-      var theta1 = Math.atan2(
-        n2.getAttribute("cx") - n1.getAttribute("cx"),
-        n2.getAttribute("cy") - n1.getAttribute("cy")
-      );
-      var theta2 = Math.atan2(
-        n3.getAttribute("cx") - n2.getAttribute("cx"),
-        n3.getAttribute("cy") - n2.getAttribute("cy")
-      );
-
-      ret = "";
-
-      var theta = theta1 - theta2;
-      if (theta > Math.PI) {
-        theta -= 2 * Math.PI;
-      } else if (theta < -Math.PI) {
-        theta += 2 * Math.PI;
-      }
-
-      if (theta > Math.PI / 8) {
-        ret += "Take a ";
-        if (theta > Math.PI / 4) {
-          ret += "right ";
-        } else {
-          ret += "slight right ";
-        }
-      } else if (theta < -Math.PI / 8) {
-        ret += "Take a ";
-        if (theta < -Math.PI / 4) {
-          ret += "left ";
-        } else {
-          ret += "slight left ";
-        }
-      } else {
-        ret += "Continue straight ";
-      }
-
-      ret += "at the next ";
+  //returns the directions for a maneuver along with the time left from its start
+  getDirection(maneuver) {
+    return maneuver.instruction + this.getTimeRemaining(maneuver.startIndex);
+  }
 
-      if (n2.classList.contains("intersection")) {
-        ret += "intersection";
-      } else if (n2.classList.contains("staircase")) {
-        ret += "staircase";
-      } else if (n2.classList.contains("exit")) {
-        ret += "exit";
-      } else if (n2.classList.contains("elevator")) {
-        ret += "elevator";
-      }
-    } else if (n2.classList.contains("intersection")) {
-      ret += "intersection ahead";
-    } else if (n2.classList.contains("staircase")) {
-      ret += "staircase ahead";
-    } else if (n2.classList.contains("exit")) {
-      ret += "exit ahead";
-    } else if (n2.classList.contains("elevator")) {
-      ret += "elevator ahead";
-    }
-    return ret;
+  //marks the path as traversed up to the node at index nodeIndex and clears the rest
+  markTraversed(nodeIndex) {
+    this.pathNodes.forEach((nodeID, i) => {
+      let node = document.getElementById("N" + nodeID);
+      if (node !== null) node.classList.toggle("traversed", i <= nodeIndex);
+    });
+    this.pathEdges.forEach((edgeID, i) => {
+      let edge = document.getElementById("E" + edgeID);
+      if (edge !== null) edge.classList.toggle("traversed", i < nodeIndex);
+    });
   }
 
   //adds markers along path pointing along the desired direction
@@ -1833,14 +2057,15 @@ class Map extends Component {
     } else {
       let g = this.getBuildingGroup(b);
       if (g.length > 0) {
+        //the path starts from whichever entrance is nearest, see getPointQuery
         this.selectStartPoint(g[0]);
+        this.startBuilding = { building: b, nodeID: g[0] };
       } else {
         if (this.selected[0]) {
           this.selectElement(this.selected[0]);
         }
         this.setState({
-          direction:
-            "There is no direct access to that building from the tunnels"
+          direction: t("map.noBuildingAccess")
         });
       }
     }
@@ -1853,13 +2078,13 @@ class Map extends Component {
       let g = this.getBuildingGroup(b);
       if (g.length > 0) {
         this.selectEndPoint(g[0]);
+        this.endBuilding = { building: b, nodeID: g[0] };
       } else {
         if (this.selected[1]) {
           this.selectElement(this.selected[1]);
         }
         this.setState({
-          direction:
-            "There is no direct access to that building from the tunnels"
+          direction: t("map.noBuildingAccess")
         });
       }
     }
@@ -0,0 +1,85 @@
+import en from "./en.json";
+import es from "./es.json";
+import messages from "./messages.js";
+
+//The message catalogs for the app, along with the name of each language in
+//that language. The path server has its own catalogs for the directions, and
+//looks messages up in them with the same messages.js.
+const CATALOGS = { en, es };
+export const LANGUAGES = { en: "English", es: "Español" };
+
+//Messages missing from a catalog fall back to this language
+const DEFAULT_LANGUAGE = "en";
+
+let language = pickLanguage();
+let listeners = [];
+document.documentElement.lang = language;
+
+//chooses the language that was picked last time, or else the browser's language
+function pickLanguage() {
+  let saved = null;
+  try {
+    saved = window.localStorage.getItem("language");
+  } catch (e) {
+    //localStorage can be turned off
+  }
+
+  let browser = (navigator.language || "").split("-")[0];
+
+  if (CATALOGS[saved]) return saved;
+  if (CATALOGS[browser]) return browser;
+  return DEFAULT_LANGUAGE;
+}
+
+//returns the code of the language that the app is shown in
+export function getLanguage() {
+  return language;
+}
+
+//switches the app to another language and tells everything listening for changes
+export function setLanguage(code) {
+  if (!CATALOGS[code] || code === language) return;
+
+  language = code;
+  document.documentElement.lang = code;
+  try {
+    window.localStorage.setItem("language", code);
+  } catch (e) {
+    //the choice just won't be remembered
+  }
+
+  listeners.forEach(listener => listener(code));
+}
+
+//calls listener whenever the language changes, returns a function that stops listening
+export function onLanguageChange(listener) {
+  listeners.push(listener);
+  return () => {
+    listeners = listeners.filter(l => l !== listener);
+  };
+}
+
+//looks up a message by its dotted key and fills in its {placeholders}. Messages with
+//plural forms are picked using params.count, and numbers are formatted for the language
+export function t(key, params = {}) {
+  let message = messages.translate(
+    CATALOGS,
+    DEFAULT_LANGUAGE,
+    language,
+    key.split("."),
+    params
+  );
+
+  return message === undefined ? key : message;
+}
+
+//describes a duration in seconds to the nearest minute
+export function formatDuration(seconds) {
+  let minutes = Math.round(seconds / 60);
+
+  if (minutes < 1) {
+    return t("duration.lessThanAMinute");
+  }
+
+  return t("duration.minutes", { count: minutes });
+}
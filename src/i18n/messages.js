@@ -0,0 +1,40 @@
+//Looks up messages in catalogs of translations and fills in their
+//{placeholders}. Both the app and the path server use it, so it is written as
+//a CommonJS module that node can require.
+
+//finds a message by the parts of its key, falling back to the default
+//language. Messages can be split into plural forms (one, few, many, other,
+//...), which are picked using params.count, and numbers are formatted for the
+//language. Returns undefined if none of the catalogs have the message.
+function translate(catalogs, defaultLanguage, language, path, params = {}) {
+  let message = lookup(catalogs[language], path);
+  if (message === undefined) message = lookup(catalogs[defaultLanguage], path);
+  if (message === undefined) return undefined;
+
+  if (typeof message === "object") {
+    let form = new Intl.PluralRules(language).select(params.count);
+    message = message[form] || message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    let value = params[name];
+    if (value === undefined) return placeholder;
+
+    return typeof value === "number"
+      ? new Intl.NumberFormat(language).format(value)
+      : value;
+  });
+}
+
+function lookup(catalog, path) {
+  let message = catalog;
+
+  for (let part of path) {
+    if (message === undefined || typeof message === "string") return undefined;
+    message = message[part];
+  }
+
+  return message;
+}
+
+module.exports = { translate };
@@ -0,0 +1,232 @@
+//Reads the rooms that people type, such as "rc152", "Russ 152a", "SU E156",
+//"AL B31", or "Dunbar Library 1st floor", and turns them into the room keys
+//that the path server routes to, such as "RC 152A". Both the app and the path
+//server use it, so it is written as a CommonJS module that node can require.
+//It doesn't use object spread, since babel would import a helper for it and
+//the module would stop being CommonJS.
+const BuildingRooms = require("./building-roomKeys.json");
+
+//words that can come before a room number without saying anything about it
+const FILLER = ["room", "rm", "number", "no", "in", "the", "of", "at"];
+
+//floors that are written as words
+const FLOOR_WORDS = { ground: 1, first: 1, second: 2, third: 3, fourth: 4 };
+
+//ways of writing a floor: "1st floor", "floor 1", "first floor"
+const FLOOR_PATTERNS = [
+  /\b(\d)(?:st|nd|rd|th)? floor\b/,
+  /\bfloor (\d)\b/,
+  /\b(ground|first|second|third|fourth) floor\b/
+];
+
+//the buildings along with everything they can be called, lowercased
+const BUILDINGS = Object.keys(BuildingRooms).map(name => {
+  let keys = BuildingRooms[name];
+  return {
+    name,
+    abbreviation: keys.Abbreviation,
+    names: [name].concat(keys.Aliases || []).map(simplify),
+    prefixes: keys.RoomPrefixes || []
+  };
+});
+
+//lowercases text and turns & into "and", dropping other punctuation
+function simplify(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+//reads a room or a floor from text, returning the room key along with its
+//parts, or the rooms it could be if it names more than one building:
+//  { room, building, abbreviation, number, floor, ambiguities, error }
+//room is null when the text can't be read, and error says why: EMPTY,
+//NO_BUILDING, UNKNOWN_BUILDING, NO_ROOM, UNREADABLE, or AMBIGUOUS. A floor is
+//given the key of its first room ("DL 100"), which the same stairs and
+//elevators lead to. options.building is the abbreviation used when the text
+//doesn't name a building.
+function normalize(text, options = {}) {
+  let simple = simplify(text);
+  if (!simple) return failure("EMPTY");
+
+  let floor = null;
+  for (let pattern of FLOOR_PATTERNS) {
+    let match = pattern.exec(simple);
+    if (match) {
+      floor = match[1] in FLOOR_WORDS ? FLOOR_WORDS[match[1]] : +match[1];
+      simple = simple.replace(pattern, " ");
+      break;
+    }
+  }
+
+  //room codes are split from their buildings, and suffixes from the numbers
+  let words = simple
+    .replace(/([a-z])(\d)/g, "$1 $2")
+    .replace(/(\d)([a-z])/g, "$1 $2")
+    .split(" ")
+    .filter(word => word && !FILLER.includes(word));
+
+  let room = floor === null ? readRoom(words) : { words, floor };
+  if (room.error) return failure(room.error);
+
+  //a letter that ends a building's name, as in "Biological Sciences I 140",
+  //isn't a wing
+  if (room.prefix && namedBy(room.words.concat(room.prefix)).length > 0) {
+    room.words.push(room.prefix);
+    room.prefix = "";
+  }
+
+  let buildings = findBuildings(room.words, options.building);
+  if (buildings.error) return failure(buildings.error);
+
+  let rooms = buildings.map(building => makeRoom(building, room));
+  let unreadable = rooms.find(found => found.error);
+  if (unreadable) return failure(unreadable.error);
+
+  if (rooms.length > 1)
+    return Object.assign(failure("AMBIGUOUS"), {
+      ambiguities: rooms.map(found => ({
+        room: found.room,
+        building: found.building,
+        abbreviation: found.abbreviation
+      }))
+    });
+
+  return Object.assign(rooms[0], { ambiguities: [], error: null });
+}
+
+//takes the number off the end of the words, with the letters before and
+//after it, leaving the words that name the building
+function readRoom(words) {
+  let index = -1;
+  words.forEach((word, i) => {
+    if (/^\d+$/.test(word)) index = i;
+  });
+
+  if (index === -1) {
+    return {
+      words: words.filter(word => word !== "basement"),
+      basement: words.includes("basement"),
+      number: null
+    };
+  }
+
+  let after = words.slice(index + 1);
+  if (after.length > 1 || (after.length === 1 && !/^[a-z]$/.test(after[0])))
+    return { error: "UNREADABLE" };
+
+  let before = words.slice(0, index);
+  let prefix = "";
+  if (/^([a-z]|ll|basement)$/.test(before[before.length - 1]))
+    prefix = before.pop();
+
+  return {
+    words: before,
+    prefix,
+    digits: words[index],
+    suffix: after.length > 0 ? after[0] : ""
+  };
+}
+
+//finds the buildings that the words name, preferring buildings that they
+//name in full over buildings whose names they only start
+function findBuildings(words, fallback) {
+  if (words.length === 0) {
+    let building = BUILDINGS.find(
+      b => fallback && b.abbreviation === fallback.toUpperCase()
+    );
+    return building ? [building] : { error: "NO_BUILDING" };
+  }
+
+  let exact = namedBy(words);
+  let found =
+    exact.length > 0 ? exact : BUILDINGS.filter(b => startsName(b, words));
+
+  if (found.length === 0) return { error: "UNKNOWN_BUILDING" };
+
+  //buildings that share an abbreviation share their room keys
+  return found.filter(
+    (b, i) => found.findIndex(o => o.abbreviation === b.abbreviation) === i
+  );
+}
+
+//the buildings that the words name in full, or by their abbreviation
+function namedBy(words) {
+  let text = words.join(" ");
+  return BUILDINGS.filter(
+    b => b.abbreviation.toLowerCase() === text || b.names.includes(text)
+  );
+}
+
+//whether the words are the start of one of the building's names, with the last
+//word allowed to be cut short ("math and micro")
+function startsName(building, words) {
+  return building.names.some(name => {
+    let nameWords = name.split(" ");
+    if (words.length > nameWords.length) return false;
+
+    return words.every((word, i) =>
+      i === words.length - 1
+        ? word.length >= 2 && nameWords[i].startsWith(word)
+        : nameWords[i] === word
+    );
+  });
+}
+
+//puts a building together with a room or floor read from the text
+function makeRoom(building, room) {
+  let floor = room.floor;
+  let number;
+
+  if (floor !== undefined && floor !== null) {
+    number = floor + "00";
+  } else if (room.number === null) {
+    if (!room.basement) return { error: "NO_ROOM" };
+    floor = 0;
+    number = "000";
+  } else {
+    let prefix = room.prefix.toUpperCase();
+    let digits = room.digits;
+    let basement =
+      prefix === "LL" ||
+      prefix === "BASEMENT" ||
+      (prefix === "B" && !building.prefixes.includes("B"));
+
+    if (basement) {
+      //basement rooms are numbered from 000
+      if (digits.length > 3 || (digits.length === 3 && digits[0] !== "0"))
+        return { error: "UNREADABLE" };
+      prefix = "";
+      digits = digits.padStart(3, "0");
+    } else if (!prefix) {
+      digits = digits.padStart(3, "0");
+    }
+
+    number = prefix + digits + room.suffix.toUpperCase();
+    floor = digits.length === 3 ? +digits[0] : null;
+  }
+
+  return {
+    room: building.abbreviation + " " + number,
+    building: building.name,
+    abbreviation: building.abbreviation,
+    number,
+    floor
+  };
+}
+
+function failure(error) {
+  return {
+    room: null,
+    building: null,
+    abbreviation: null,
+    number: null,
+    floor: null,
+    ambiguities: [],
+    error
+  };
+}
+
+module.exports = { normalize };
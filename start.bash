@@ -30,14 +30,43 @@ npm install
 popd
 
 # Start the other part of the server
+#
+# The server reads its settings from TUNNEL_* environment variables, and from a
+# JSON config file named by TUNNEL_CONFIG (see "Pathfinding Server" in README.md):
+#  - the local MySQL database reads server/config.local.json and only needs
+#    TUNNEL_DB_PASSWORD, which is asked for if it isn't set
+#  - another MySQL database needs TUNNEL_DB_HOST, TUNNEL_DB_USER, and
+#    TUNNEL_DB_PASSWORD, or a config file with them. server/config.json is used
+#    when it exists, and is ignored by git so the password can be kept there.
+#  - the CSV files in Database_Info don't need anything
+# Run this with sudo -E to keep the variables when starting on port 80.
 
-echo -ne "Would you like to use the \033[4ml\033[0mocal \033[4mt\033[0mabletop database? "
+if [[ -z $TUNNEL_CONFIG && -f server/config.json ]]; then
+  export TUNNEL_CONFIG=server/config.json
+fi
+
+echo -ne "Would you like to use the \033[4ml\033[0mocal MySQL database, the MySQL database in the \033[4ms\033[0mettings, or the CSV \033[4mf\033[0miles? "
 
 read usrin
 
 if [[ $usrin =~ ^[lL] ]]; then
+  if [[ -z $TUNNEL_DB_PASSWORD ]]; then
+    read -s -p "Password for the local database: " TUNNEL_DB_PASSWORD
+    echo
+    export TUNNEL_DB_PASSWORD
+  fi
   npm run start-server-local &>>server.log &
+elif [[ $usrin =~ ^[fF] ]]; then
+  npm run start-server-file &>>server.log &
 else
+  if [[ -z $TUNNEL_CONFIG ]]; then
+    for variable in TUNNEL_DB_HOST TUNNEL_DB_USER TUNNEL_DB_PASSWORD; do
+      if [[ -z ${!variable} ]]; then
+        echo -e "\033[31;1mSet $variable or TUNNEL_CONFIG to use a MySQL database\033[0m"
+        exit 1
+      fi
+    done
+  fi
   npm run start-server &>>server.log &
 fi
 